@@ -1,14 +1,21 @@
-import { initHistory, pushHistory, undo, redo, canUndo, canRedo, getTainted, getHistoryThumbnails, setThumbHeight, setMaxEntries } from "./modules/history.js";
-import { initLoader, initDragAndDrop } from "./modules/loader.js";
-import { rotate90CW, flipHorizontal, cropToRect } from "./modules/transforms.js";
+import { initHistory, pushHistory, undo, redo, canUndo, canRedo, getTainted, getHistoryThumbnails, setThumbHeight, setMaxEntries, setMaxBytes, clearHistory, getPersistState, getEntryRecord, restoreHistory, jumpTo, switchBranch, getCurrentIndex, getCurrentState, registerLayer, getCurrentLayer, getEntryImageData, getMemoryUsage, snapshotLayers } from "./modules/history.js";
+import { initLoader, initDragAndDrop, initProjectLoader, initPaste, decodeFullResolution } from "./modules/loader.js";
 import { initCropOverlay } from "./modules/cropOverlay.js";
-import { initTextTool } from "./modules/textTool.js";
+import { initTextTool, drawTextState } from "./modules/textTool.js";
 import { initBrushTool } from "./modules/brushTool.js";
+import { initPasteLayer } from "./modules/pasteLayer.js";
 import { initUI } from "./modules/ui.js";
 import { initExport, downloadPNG as downloadPNGExport } from "./modules/export.js";
 import { initShortcuts } from "./modules/shortcuts.js";
+import { initSession } from "./modules/session.js";
+import { initOperations, FILTER_NAMES } from "./modules/operations.js";
+import { initCompare } from "./modules/compare.js";
+import { writeProject, PROJECT_EXTENSION } from "./modules/project.js";
+import { initBatch, recipeFromOps } from "./modules/batch.js";
+import { composeTiles, canvasFits } from "./modules/tiles.js";
 
 const canvas = document.getElementById("canvas");
+const pasteLayer = document.getElementById("paste-layer");
 const textLayer = document.getElementById("text-layer");
 const drawLayer = document.getElementById("draw-layer");
 const overlay = document.getElementById("overlay");
@@ -17,6 +24,10 @@ const ctx = canvas.getContext("2d");
 // DOM refs
 const fileInput = document.getElementById("fileInput");
 const removeImageBtn = document.getElementById("removeImageBtn");
+const projectFileInput = document.getElementById("projectFileInput");
+const saveProjectBtn = document.getElementById("saveProjectBtn");
+const loadResampleSel = document.getElementById("loadResample");
+const fullResBox = document.getElementById("fullResEdit");
 const cropBtn = document.getElementById("cropBtn");
 const rotateBtn = document.getElementById("rotateBtn");
 const flipHBtn = document.getElementById("flipHBtn");
@@ -29,8 +40,12 @@ const undoBtn = document.getElementById("undoBtn");
 const redoBtn = document.getElementById("redoBtn");
 const saveBtn = document.getElementById("saveBtn");
 const exportBtn = document.getElementById("exportBtn");
+const copyBtn = document.getElementById("copyBtn");
 const historyStrip = document.getElementById("historyStrip");
 const histSize = document.getElementById("histSize");
+const histMemory = document.getElementById("histMemory");
+const histMemoryText = document.getElementById("histMemoryText");
+const histBudget = document.getElementById("histBudget");
 // Filters
 const vintageBtn = document.getElementById("vintageBtn");
 const lomoBtn = document.getElementById("lomoBtn");
@@ -56,14 +71,59 @@ const formatSel = document.getElementById("format");
 const qualityRange = document.getElementById("quality");
 const qualityVal = document.getElementById("qualityVal");
 const scaleInput = document.getElementById("scale");
+const sizeModeSel = document.getElementById("sizeMode");
+const longEdgeInput = document.getElementById("longEdge");
+const exactWidthInput = document.getElementById("exactWidth");
+const exactHeightInput = document.getElementById("exactHeight");
+const exportPresetSel = document.getElementById("exportPreset");
+const presetNameInput = document.getElementById("presetName");
+const savePresetBtn = document.getElementById("savePreset");
+const deletePresetBtn = document.getElementById("deletePreset");
+const presetList = document.getElementById("presetList");
+const exportBundleBtn = document.getElementById("exportBundle");
+const exportMetadataSel = document.getElementById("exportMetadata");
+const exportMaxSizeInput = document.getElementById("exportMaxSize");
+const exportFitScaleBox = document.getElementById("exportFitScale");
+const exportResampleSel = document.getElementById("exportResample");
+const exportDpiInput = document.getElementById("exportDpi");
+const pdfPageSel = document.getElementById("pdfPage");
+const pdfWidthInput = document.getElementById("pdfWidth");
+const pdfHeightInput = document.getElementById("pdfHeight");
+const pdfOrientationSel = document.getElementById("pdfOrientation");
+const pdfMarginInput = document.getElementById("pdfMargin");
+const pdfPlacementSel = document.getElementById("pdfPlacement");
+const exportPreviewBox = document.getElementById("exportPreview");
+const exportPreviewImg = document.getElementById("exportPreviewImg");
+const previewZoomSel = document.getElementById("previewZoom");
+const exportEstimate = document.getElementById("exportEstimate");
 const cancelExportBtn = document.getElementById("cancelExport");
 const confirmExportBtn = document.getElementById("confirmExport");
+const exportFileNameInput = document.getElementById("exportFileName");
+const exportFileNameHint = document.getElementById("exportFileNameHint");
+const saveAsExportBtn = document.getElementById("saveAsExport");
+const saveOriginalBtn = document.getElementById("saveOriginalExport");
 // Misc UI
 const hint = document.getElementById("hint");
 const canvasWrapper = document.getElementById("canvasWrapper");
 const toasts = document.getElementById("toasts");
 const layersPanel = document.getElementById("layersPanel");
 const layerList = document.getElementById("layerList");
+const opList = document.getElementById("opList");
+const saveOpsBtn = document.getElementById("saveOpsBtn");
+const opsFileInput = document.getElementById("opsFileInput");
+const batchBtn = document.getElementById("batchBtn");
+const batchDialog = document.getElementById("batchDialog");
+// Compare UI
+const compareLayer = document.getElementById("compare-layer");
+const compareSplit = document.getElementById("compareSplit");
+const compareHandle = document.getElementById("compareHandle");
+const compareBtn = document.getElementById("compareBtn");
+const holdOriginalBtn = document.getElementById("holdOriginalBtn");
+const compareRef = document.getElementById("compareRef");
+// Session restore UI
+const restoreDialog = document.getElementById("restoreDialog");
+const pageDialog = document.getElementById("pageDialog");
+const pageSelect = document.getElementById("pageSelect");
 
 // Settings helpers
 const SETTINGS_KEY = "photoEdit.settings";
@@ -85,6 +145,10 @@ function setCanvasSize(w, h){
   canvas.width = Math.max(1, Math.floor(w));
   canvas.height = Math.max(1, Math.floor(h));
   // keep layers in sync
+  if (pasteLayer) {
+    pasteLayer.width = canvas.width;
+    pasteLayer.height = canvas.height;
+  }
   if (textLayer) {
     textLayer.width = canvas.width;
     textLayer.height = canvas.height;
@@ -120,17 +184,16 @@ function main(){
     getTainted,
     canUndo,
     canRedo,
-    getCurrentIndex: () => {
-      const thumbs = getHistoryThumbnails();
-      return Array.isArray(thumbs) ? thumbs.length - 1 : 0;
-    },
-    jumpTo: null, // optimized jump not implemented; ui will iterate undo/redo
-    drawImageData: (data) => drawImageDataWithUI(data)
+    getCurrentIndex,
+    jumpTo,
+    switchBranch,
+    drawImageData: (data) => showHistoryState(data)
   });
 
-  // Busy/serialization for Caman and debounce
-  let camanBusy = false;
-  let camanOpToken = 0;
+  // Edit operation log: edits are replayable operations over the original bitmap
+  const editOps = initOperations();
+  let editQueue = Promise.resolve(); // edits render one after another
+  let editingAdjustId = null;        // adjust operation being tweaked from the Edits panel
 
   function setUiBusy(busy) {
     [brightness, contrast, saturation, vibrance, vintageBtn, lomoBtn, sepiaBtn, nostalgiaBtn].forEach(el => {
@@ -148,66 +211,174 @@ function main(){
     };
   }
 
-  function withCaman(work, { label, onDone } = {}) {
-    if (!canvas.width) return;
-    // cancel previous by advancing token
-    const token = ++camanOpToken;
-    if (camanBusy) {
-      // allow previous render to finish but mark it stale by token comparison
+  function copyOfCanvas() {
+    const c = document.createElement("canvas");
+    c.width = canvas.width;
+    c.height = canvas.height;
+    c.getContext("2d").drawImage(canvas, 0, 0);
+    return c;
+  }
+
+  // Draw a rendered result onto the base canvas, resizing only when dimensions changed
+  function showRendered(out) {
+    if (canvas.width !== out.width || canvas.height !== out.height) {
+      setCanvasSizeWithUI(out.width, out.height);
     }
-    camanBusy = true;
-    setUiBusy(true);
-    try {
-      Caman("#canvas", function () {
-        try {
-          // Ensure we always start from current pixels unless explicitly reverted inside work
-          work && work.call(this);
-          this.render(() => {
-            // Only accept result if token matches latest
-            if (token === camanOpToken) {
-              if (label) {
-                try { pushHistory(label); } catch {}
-              }
-              onHistoryChange();
-              if (label) {
-                ui.announce(`${label} applied`);
-              }
-              onDone && onDone();
-            }
-            camanBusy = false;
-            setUiBusy(false);
-          });
-        } catch (e) {
-          console.error("Caman work failed:", e);
-          camanBusy = false;
-          setUiBusy(false);
-          onHistoryChange({ tainted: true });
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(out, 0, 0);
+  }
+
+  // Per-entry history state: the edit log and the pending (unflattened) text
+  function historyState() {
+    return {
+      ops: editOps.getOps(),
+      text: textApi && textApi.getState ? textApi.getState() : null
+    };
+  }
+
+  // Queue an edit: `work` resolves with a canvas to show (or null when the base canvas already
+  // holds the result); the outcome is then recorded in history together with the edit log.
+  // The edit log, pending text and layers are taken now, when the edit is asked for: strokes,
+  // pastes or text changes made while earlier edits render belong to their own later entries.
+  function runEdit(work, { label, onDone, layers = snapshotLayers() } = {}) {
+    if (!canvas.width) return editQueue;
+    const state = historyState();
+    editQueue = editQueue.then(async () => {
+      setUiBusy(true);
+      try {
+        const out = await work();
+        if (out) showRendered(out);
+        try { pushHistory(label, state, layers); } catch {}
+        onHistoryChange();
+        renderOpList();
+        syncSlidersFromOps();
+        if (label) {
+          ui.announce(`${label} applied`);
         }
-      });
-    } catch (e) {
-      console.error("Caman init failed:", e);
-      camanBusy = false;
-      setUiBusy(false);
-      onHistoryChange({ tainted: true });
-    }
+        onDone && onDone();
+      } catch (e) {
+        console.error("Edit failed:", e);
+        onHistoryChange({ tainted: true });
+      } finally {
+        setUiBusy(false);
+      }
+    });
+    return editQueue;
+  }
+
+  // Append an operation and apply only that step to the current pixels
+  function applyOperation(type, params, { label, onDone } = {}) {
+    if (!canvas.width) return editQueue;
+    const op = editOps.append(type, params);
+    return runEdit(() => editOps.applyTo(copyOfCanvas(), op), { label: label || editOps.describe(op), onDone });
+  }
+
+  // Re-render the whole log from source, replaying from the step at `fromIndex`
+  function rerenderOperations(label, fromIndex) {
+    return runEdit(() => editOps.render(undefined, { checkpointAt: fromIndex }), { label });
+  }
+
+  function readAdjustSliders() {
+    return {
+      brightness: parseInt(brightness?.value || "0", 10) || 0,
+      contrast: parseInt(contrast?.value || "0", 10) || 0,
+      saturation: parseInt(saturation?.value || "0", 10) || 0,
+      vibrance: parseInt(vibrance?.value || "0", 10) || 0
+    };
+  }
+
+  // Sliders show the adjust step they will tweak: the one picked in the Edits panel, or a
+  // trailing adjust step; otherwise they rest at zero and the next move appends a new step.
+  function adjustTarget() {
+    const list = editOps.getOps();
+    const picked = list.find(op => op.id === editingAdjustId);
+    if (picked) return { op: picked, index: list.indexOf(picked) };
+    const last = list[list.length - 1];
+    return last && last.type === "adjust" ? { op: last, index: list.length - 1 } : null;
+  }
+
+  function syncSlidersFromOps() {
+    const target = adjustTarget();
+    const p = target ? target.op.params : {};
+    if (brightness) brightness.value = String(p.brightness || 0);
+    if (contrast) contrast.value = String(p.contrast || 0);
+    if (saturation) saturation.value = String(p.saturation || 0);
+    if (vibrance) vibrance.value = String(p.vibrance || 0);
   }
 
   function applyAdjustmentsFromUI() {
-    const b = parseInt(brightness?.value || "0", 10) || 0;
-    const c = parseInt(contrast?.value || "0", 10) || 0;
-    const s = parseInt(saturation?.value || "0", 10) || 0;
-    const v = parseInt(vibrance?.value || "0", 10) || 0;
-    withCaman(function () {
-      this.revert(false);
-      this.brightness(b);
-      this.contrast(c);
-      this.saturation(s);
-      this.vibrance(v);
-    }, { label: "Adjustments" });
+    const params = readAdjustSliders();
+    const target = adjustTarget();
+    if (target) {
+      editOps.update(target.op.id, params);
+      rerenderOperations("Adjustments", target.index);
+    } else {
+      applyOperation("adjust", params, { label: "Adjustments" });
+    }
   }
 
   const applyAdjustmentsDebounced = debounce(applyAdjustmentsFromUI, 200);
 
+  // Session recovery (created below; history callbacks may fire before that)
+  let session = null;
+  let sourceBlob = null;      // encoded original bitmap, needed to re-render the edit log
+  let sourceMetadata = null;  // EXIF/XMP of the loaded file, written back on export
+  let sourceFile = null;      // { name, handle } of the opened file, for export names and saving back
+  let fullRes = null;         // { blob, width, height, orientation } when the source is a reduced proxy
+  let fullResCache = null;    // { key, tiles } of the last full-resolution replay
+
+  function fullResScale() {
+    const src = editOps.getSource();
+    return { x: fullRes.width / src.width, y: fullRes.height / src.height };
+  }
+
+  // Size of the edited full-resolution image, or null while editing at full size
+  function fullResSize() {
+    if (!fullRes || !editOps.hasSource()) return null;
+    return editOps.tiledSize(fullRes.width, fullRes.height, fullResScale());
+  }
+
+  // Replay the edit log on the original (kept from the last export while the log is unchanged)
+  // and return it with the pasted-image and drawing layers and pending text scaled up from the
+  // editing size
+  async function renderFullResolution({ width, height, separate }) {
+    await editQueue;
+    const key = JSON.stringify(editOps.getOps().map(op => [op.type, op.params]));
+    if (!fullResCache || fullResCache.key !== key) {
+      fullResCache = null; // let the previous replay go before decoding again
+      const tiles = await decodeFullResolution(fullRes);
+      fullResCache = { key, tiles: await editOps.renderTiled(tiles, fullResScale()) };
+    }
+    const { tiles } = fullResCache;
+    const image = canvasFits(tiles.width, tiles.height) ? composeTiles(tiles) : composeTiles(tiles, width, height);
+    const kx = image.width / canvas.width;
+    const ky = image.height / canvas.height;
+    const layer = (paint) => {
+      let target = image;
+      if (separate) {
+        target = document.createElement("canvas");
+        target.width = image.width;
+        target.height = image.height;
+      }
+      const lctx = target.getContext("2d");
+      lctx.imageSmoothingEnabled = true;
+      lctx.imageSmoothingQuality = "high";
+      paint(lctx);
+      return separate ? target : null;
+    };
+    const pasteShown = pasteLayer && pasteLayer.width && (separate || !pasteApi || pasteApi.isVisible());
+    const pasted = pasteLayer ? layer(lctx => pasteShown && lctx.drawImage(pasteLayer, 0, 0, image.width, image.height)) : null;
+    const state = textApi && textApi.getState ? textApi.getState() : null;
+    const text = layer(lctx => state && state.text && drawTextState(lctx, {
+      ...state,
+      x: state.x * kx,
+      y: state.y * ky,
+      size: state.size * Math.min(kx, ky)
+    }));
+    const drawing = drawLayer ? layer(lctx => drawLayer.width && lctx.drawImage(drawLayer, 0, 0, image.width, image.height)) : null;
+    return { image, pasted, text, drawing };
+  }
+
   // Layer sync helper (tools may provide ensure functions)
   function syncLayers() {
     try {
@@ -216,6 +387,9 @@ function main(){
     try {
       brushApi && brushApi.ensureLayerSizeLike && brushApi.ensureLayerSizeLike(canvas);
     } catch {}
+    try {
+      pasteApi && pasteApi.ensureLayerSizeLike(canvas);
+    } catch {}
   }
 
   // Safe wrappers that can access ui
@@ -229,58 +403,264 @@ function main(){
     ui.updateCanvasAriaLabel();
     syncLayers();
   };
+  // A registered layer as history recorded it for the current entry (empty when it has none)
+  const restoreLayer = (name, layerCanvas) => {
+    if (!layerCanvas) return;
+    const layerData = getCurrentLayer(name);
+    const lctx = layerCanvas.getContext("2d");
+    lctx.clearRect(0, 0, layerCanvas.width, layerCanvas.height);
+    if (layerData && layerData.width === layerCanvas.width && layerData.height === layerCanvas.height) {
+      lctx.putImageData(layerData, 0, 0);
+    }
+  };
+  // History navigation: draw the entry with its pasted-image and drawing layers and pending
+  // text, and adopt the edit log recorded with it
+  const showHistoryState = (imgData) => {
+    drawImageDataWithUI(imgData);
+    restoreLayer("draw", drawLayer);
+    restoreLayer("paste", pasteLayer);
+    const state = getCurrentState();
+    textApi && textApi.setState && textApi.setState((state && state.text) || { text: "" });
+    try { editOps.setOps((state && state.ops) || []); } catch (e) {
+      console.warn("Could not restore edit log:", e);
+      editOps.setOps([]);
+    }
+    editingAdjustId = null;
+    syncSlidersFromOps();
+    renderOpList();
+  };
 
   function onHistoryChange(payload){
     const tainted = (payload && payload.tainted) || (getTainted && getTainted());
-    ui.updateUndoRedoButtons({ undoBtn, redoBtn, saveBtn, brightness, contrast, saturation, vibrance });
+    ui.updateUndoRedoButtons({ undoBtn, redoBtn, saveBtn, copyBtn, brightness, contrast, saturation, vibrance });
     if (!document.body.classList.contains("is-cropping")) {
-      hint.textContent = canvas.width ? "Tip: Use Crop, Rotate, Flip, or the sliders. Undo/Redo available." : "Drop or load an image to begin. No uploads, all in-browser.";
+      hint.textContent = canvas.width ? "Tip: Use Crop, Rotate, Flip, or the sliders. Undo/Redo available." : "Drop, paste or load an image to begin. No uploads, all in-browser.";
     }
     if (tainted) {
       ui.showToast("Cross-origin image", "Undo, adjustments, and saving are disabled.");
       ui.announce("Image is cross-origin; undo, adjustments, and saving are disabled.");
     }
-    ui.renderHistoryStrip((payload && payload.thumbnails) || getHistoryThumbnails(), (payload && payload.thumbPrefs) || null);
+    const thumbnails = (payload && payload.thumbnails) || getHistoryThumbnails();
+    ui.renderHistoryStrip(thumbnails, (payload && payload.thumbPrefs) || null);
+    syncCompare(thumbnails);
+    ui.renderMemoryBudget(histMemory, histMemoryText, (payload && payload.memory) || getMemoryUsage());
     ui.updateCanvasAriaLabel();
+    session && session.schedulePersist();
+  }
+
+  // Before/after compare (reads history, never changes it)
+  const compare = initCompare({
+    canvas,
+    compareLayer,
+    splitEl: compareSplit,
+    handleEl: compareHandle,
+    getReferenceData: getEntryImageData
+  });
+
+  // Keep the reference choices in step with the active branch; a reference that is no longer
+  // listed (evicted or on another branch) falls back to the first entry
+  function syncCompare(thumbnails) {
+    if (!compare) return;
+    const listed = thumbnails.some(t => t.id === compare.getReference());
+    if (!listed) compare.setReference(thumbnails.length ? thumbnails[0].id : null);
+    ui.renderCompareOptions(compareRef, thumbnails, compare.getReference());
+    compare.refresh();
+  }
+
+  if (compare) {
+    compareBtn && compareBtn.addEventListener("click", () => {
+      if (!canvas.width) return;
+      const next = compare.setActive(!compare.isActive());
+      compareBtn.classList.toggle("is-active", next);
+      compareBtn.setAttribute("aria-pressed", String(next));
+      ui.announce(next ? "Compare on. Drag the split handle or use the arrow keys." : "Compare off");
+      next && compareHandle && compareHandle.focus();
+    });
+    compareRef && compareRef.addEventListener("change", () => {
+      compare.setReference(Number(compareRef.value));
+      ui.announce(`Comparing against ${compareRef.selectedOptions[0] ? compareRef.selectedOptions[0].textContent : "selected step"}`);
+    });
+    if (holdOriginalBtn) {
+      const hold = (on) => canvas.width && compare.setHold(on);
+      holdOriginalBtn.addEventListener("pointerdown", (e) => {
+        if (e.button !== 0) return;
+        try { holdOriginalBtn.setPointerCapture(e.pointerId); } catch {}
+        hold(true);
+      });
+      ["pointerup", "pointercancel", "lostpointercapture"].forEach(ev => holdOriginalBtn.addEventListener(ev, () => hold(false)));
+      holdOriginalBtn.addEventListener("keydown", (e) => {
+        if ((e.key === " " || e.key === "Enter") && !e.repeat) {
+          e.preventDefault();
+          hold(true);
+        }
+      });
+      holdOriginalBtn.addEventListener("keyup", (e) => {
+        if (e.key === " " || e.key === "Enter") hold(false);
+      });
+      holdOriginalBtn.addEventListener("blur", () => hold(false));
+    }
   }
 
   // History
   initHistory(canvas, onHistoryChange);
+  drawLayer && registerLayer("draw", drawLayer);
+  pasteLayer && registerLayer("paste", pasteLayer);
 
   // Settings
   const settings = loadSettings();
   if (settings && Number.isFinite(settings.historyMax) && settings.historyMax > 0) {
     try { setMaxEntries(Math.floor(settings.historyMax)); } catch {}
   }
+  if (settings && Number.isFinite(settings.historyMaxBytes) && settings.historyMaxBytes > 0) {
+    try { setMaxBytes(Math.floor(settings.historyMaxBytes)); } catch {}
+  }
+  // Older entries are compressed (not dropped) once history outgrows this budget
+  if (histBudget) {
+    const current = getMemoryUsage().maxBytes;
+    if (current && ![...histBudget.options].some(o => Number(o.value) === current)) {
+      const opt = document.createElement("option");
+      opt.value = String(current);
+      opt.textContent = `${Math.round(current / (1024 * 1024))} MB`;
+      histBudget.appendChild(opt);
+    }
+    if (current) histBudget.value = String(current);
+    histBudget.addEventListener("change", () => {
+      const bytes = Math.floor(Number(histBudget.value));
+      if (!(bytes > 0)) return;
+      try { setMaxBytes(bytes); } catch {}
+      saveSettings({ historyMaxBytes: bytes });
+      onHistoryChange();
+      ui.showToast("History budget", histBudget.options[histBudget.selectedIndex].textContent);
+    });
+  }
 
   // Shared bitmap loader (DRY for file input and DnD)
-  const loadBitmap = (bmp) => {
+  // A new image starts a new edit log, so history from a previous image is dropped
+  const loadBitmap = (bmp, info) => {
     setCanvasSizeWithUI(bmp.width, bmp.height);
     ctx.clearRect(0,0,canvas.width,canvas.height);
     ctx.drawImage(bmp, 0, 0);
-    pushHistory();
+    editOps.setSource(bmp);
+    sourceBlob = null;
+    sourceMetadata = (info && info.metadata) || null;
+    sourceFile = info && info.file ? { name: info.file.name, handle: info.handle || null } : null;
+    fullRes = (info && info.fullResolution) || null;
+    fullResCache = null;
+    editingAdjustId = null;
+    if (pasteApi) {
+      pasteApi.setMoving(false);
+      pasteApi.setVisible(true);
+      renderLayersPanel("image");
+    }
+    clearHistory();
+    pushHistory(undefined, historyState());
     onHistoryChange();
+    renderOpList();
+    syncSlidersFromOps();
     ui.announce(`Image loaded ${canvas.width} by ${canvas.height} pixels`);
     cropBtn && cropBtn.focus();
     if (removeImageBtn) removeImageBtn.disabled = false;
+    if (saveProjectBtn) saveProjectBtn.disabled = false;
   };
 
-  // Loader (file input)
+  const setLoading = (loading) => {
+    if (!canvasWrapper) return;
+    canvasWrapper.classList.toggle("is-loading", !!loading);
+  };
+  const notify = (msg, meta) => ui.showToast(meta?.type === "error" ? "Error" : "Info", msg);
+
+  // Kernel for images reduced on load, kept with the other settings
+  if (loadResampleSel) {
+    const saved = loadSettings().loadResample;
+    if (saved && [...loadResampleSel.options].some(o => o.value === saved)) loadResampleSel.value = saved;
+    loadResampleSel.addEventListener("change", () => saveSettings({ loadResample: loadResampleSel.value }));
+  }
+  const getResample = () => (loadResampleSel ? loadResampleSel.value : undefined);
+  if (fullResBox) {
+    fullResBox.checked = !!loadSettings().fullResolution;
+    fullResBox.addEventListener("change", () => saveSettings({ fullResolution: fullResBox.checked }));
+  }
+  const keepFullResolution = () => !!(fullResBox && fullResBox.checked);
+
+  // Multi-page TIFF files: ask which page to open (null when cancelled)
+  function choosePage(pages) {
+    if (!pageDialog || !pageSelect || typeof pageDialog.showModal !== "function") return Promise.resolve(0);
+    pageSelect.innerHTML = "";
+    pages.forEach((page, i) => {
+      const opt = document.createElement("option");
+      opt.value = String(i);
+      opt.textContent = `Page ${i + 1} — ${page.width}×${page.height}`;
+      pageSelect.appendChild(opt);
+    });
+    return new Promise((resolve) => {
+      pageDialog.addEventListener("close", () => {
+        resolve(pageDialog.returnValue === "open" ? Number(pageSelect.value) : null);
+      }, { once: true });
+      pageDialog.returnValue = "";
+      pageDialog.showModal();
+    });
+  }
+
+  // Loader (file input); project files dropped or picked here open as projects
   initLoader({
     fileInput,
-    setLoading: (loading) => {
-      if (!canvasWrapper) return;
-      canvasWrapper.classList.toggle("is-loading", !!loading);
-    },
+    setLoading,
     onImage: loadBitmap,
+    onProject: (project) => openProject(project),
+    onFiles: (files) => batch && batch.addFiles(files),
     options: {
-      onNotify: (msg, meta) => ui.showToast(meta?.type === "error" ? "Error" : "Info", msg)
+      onNotify: notify,
+      getResample,
+      keepFullResolution,
+      choosePage
     }
   });
+  initProjectLoader({
+    fileInput: projectFileInput,
+    setLoading,
+    onProject: (project) => openProject(project),
+    onNotify: notify
+  });
 
   // Drag & Drop
   initDragAndDrop(canvasWrapper, loadBitmap, {
-    onNotify: (msg, meta) => ui.showToast(meta?.type === "error" ? "Error" : "Info", msg)
+    onNotify: notify,
+    onProject: (project) => openProject(project),
+    onFiles: (files) => batch && batch.addFiles(files),
+    getResample,
+    keepFullResolution,
+    choosePage
+  });
+
+  // Pasted-image layer: moved by dragging while Move is on in the Layers panel
+  const pasteApi = pasteLayer ? initPasteLayer(pasteLayer, {
+    onMoveEnd: () => runEdit(() => null, { label: "Move Pasted Image" })
+  }) : null;
+
+  // Pasted images go to the pasted-image layer, scaled down to fit and centered, as one history
+  // step; with no image open they load like a picked file
+  function pasteAsLayer(bmp) {
+    if (!pasteApi) return loadBitmap(bmp);
+    const { width, height } = pasteApi.place(bmp, canvas);
+    try { typeof bmp.close === "function" && bmp.close(); } catch {}
+    renderLayersPanel();
+    return runEdit(() => null, {
+      label: "Paste",
+      onDone: () => ui.showToast("Pasted", `Image added as a layer at ${width}×${height}`)
+    });
+  }
+
+  initPaste({
+    onImage: loadBitmap,
+    onLayer: pasteAsLayer,
+    hasImage: () => editOps.hasSource(),
+    setLoading,
+    options: {
+      onNotify: notify,
+      getResample,
+      keepFullResolution,
+      choosePage
+    }
   });
 
   // Crop overlay
@@ -289,28 +669,23 @@ function main(){
     overlay,
     onFinalize: (rect) => {
       if (!rect || rect.w <= 0 || rect.h <= 0) return;
-      try {
-        cropToRect(canvas, rect);
-        pushHistory();
-        onHistoryChange();
-        syncLayers();
-        ui.announce(`Cropped to ${canvas.width} by ${canvas.height} pixels`);
-        ui.showToast("Cropped", `${canvas.width}×${canvas.height}`);
-      } catch (e) {
-        console.error("Crop failed:", e);
-        onHistoryChange({ tainted: true });
-      } finally {
-        document.body.classList.remove("crop-active", "is-cropping");
-        cropBtn.classList.remove("active", "is-active");
-        cropBtn.focus();
-      }
+      applyOperation("crop", { rect: { x: rect.x, y: rect.y, w: rect.w, h: rect.h } }, {
+        label: "Crop",
+        onDone: () => {
+          ui.announce(`Cropped to ${canvas.width} by ${canvas.height} pixels`);
+          ui.showToast("Cropped", `${canvas.width}×${canvas.height}`);
+        }
+      });
+      document.body.classList.remove("crop-active", "is-cropping");
+      cropBtn.classList.remove("active", "is-active");
+      cropBtn.focus();
     },
     onCancel: () => {
       document.body.classList.remove("crop-active", "is-cropping");
       cropBtn.classList.remove("active", "is-active");
       cropBtn.focus();
       ui.announce("Crop cancelled");
-      hint.textContent = canvas.width ? "Tip: Use Crop, Rotate, Flip, or the sliders. Undo/Redo available." : "Drop or load an image to begin. No uploads, all in-browser.";
+      hint.textContent = canvas.width ? "Tip: Use Crop, Rotate, Flip, or the sliders. Undo/Redo available." : "Drop, paste or load an image to begin. No uploads, all in-browser.";
     }
   });
 
@@ -339,13 +714,17 @@ function main(){
       textColor,
       fontSize,
       flattenBtn: flattenTextBtn,
-      onCommit: () => {
-        try { pushHistory("Text"); } catch {}
-        onHistoryChange();
+      // Adding or moving pending text is an undoable step of its own
+      onChange: (state, reason) => runEdit(() => null, { label: reason === "move" ? "Move Text" : "Add Text" }),
+      onCommit: (committed) => {
+        // Rendered through the edit queue so it lands after any edit still in flight
+        applyOperation("text", committed, {
+          label: "Text",
+          onDone: () => ui.showToast("Text", "Applied to image")
+        });
         // After flatten, keep tool open but clear layer interactivity
         textApi && textApi.setInteractive(false);
         ui.announce("Text applied to image");
-        ui.showToast("Text", "Applied to image");
       }
     });
 
@@ -383,7 +762,8 @@ function main(){
       onActivate: (active) => {
         // make layer interactive only when active
         drawLayer.style.pointerEvents = active ? "auto" : "none";
-      }
+      },
+      onStrokeEnd: () => runEdit(() => null, { label: "Brush Stroke" })
     });
 
     drawBtn.addEventListener("click", () => {
@@ -414,45 +794,35 @@ function main(){
   // Transform buttons
   rotateBtn.addEventListener("click", () => {
     if (!canvas.width) return;
-    try {
-      rotate90CW(canvas);
-      pushHistory();
-      onHistoryChange();
-      syncLayers();
-      ui.announce("Rotated 90 degrees");
-      ui.showToast("Rotated", "Image rotated 90°");
-    } catch (e) {
-      console.error("Rotate failed:", e);
-      onHistoryChange({ tainted: true });
-    }
+    applyOperation("rotate", {}, {
+      label: "Rotate",
+      onDone: () => {
+        ui.announce("Rotated 90 degrees");
+        ui.showToast("Rotated", "Image rotated 90°");
+      }
+    });
   });
 
   flipHBtn.addEventListener("click", () => {
     if (!canvas.width) return;
-    try {
-      flipHorizontal(canvas);
-      pushHistory();
-      onHistoryChange();
-      syncLayers();
-      ui.announce("Flipped horizontally");
-      ui.showToast("Flipped", "Image flipped horizontally");
-    } catch (e) {
-      console.error("Flip failed:", e);
-      onHistoryChange({ tainted: true });
-    }
+    applyOperation("flipH", {}, {
+      label: "Flip",
+      onDone: () => {
+        ui.announce("Flipped horizontally");
+        ui.showToast("Flipped", "Image flipped horizontally");
+      }
+    });
   });
 
-  // Filters via CamanJS
-  function applyFilter(label, applyFn){
+  // Filters via CamanJS (rendered by the operation pipeline)
+  function applyFilter(label, name){
     if (!canvas.width) return;
-    withCaman(function () {
-      applyFn.call(this);
-    }, { label, onDone: () => ui.showToast("Filter Applied", `${label} effect added.`) });
+    applyOperation("filter", { name }, { label, onDone: () => ui.showToast("Filter Applied", `${label} effect added.`) });
   }
-  vintageBtn && vintageBtn.addEventListener("click", () => applyFilter("Vintage", function(){ this.vintage(); }));
-  lomoBtn && lomoBtn.addEventListener("click", () => applyFilter("Lomo", function(){ this.lomo(); }));
-  sepiaBtn && sepiaBtn.addEventListener("click", () => applyFilter("Sepia", function(){ this.sepia(); }));
-  nostalgiaBtn && nostalgiaBtn.addEventListener("click", () => applyFilter("Nostalgia", function(){ this.nostalgia(); }));
+  vintageBtn && vintageBtn.addEventListener("click", () => applyFilter("Vintage", "vintage"));
+  lomoBtn && lomoBtn.addEventListener("click", () => applyFilter("Lomo", "lomo"));
+  sepiaBtn && sepiaBtn.addEventListener("click", () => applyFilter("Sepia", "sepia"));
+  nostalgiaBtn && nostalgiaBtn.addEventListener("click", () => applyFilter("Nostalgia", "nostalgia"));
 
   // Adjustments
   (function initCamanAdjustments(){
@@ -467,6 +837,7 @@ function main(){
       vibrance.addEventListener(ev, onAnySliderInput);
     });
 
+    // Reset removes every adjust step from the log and re-renders from source
     if (resetAdjustBtn) {
       resetAdjustBtn.addEventListener("click", () => {
         if (!canvas.width) return;
@@ -474,35 +845,35 @@ function main(){
         contrast.value = "0";
         saturation.value = "0";
         vibrance.value = "0";
-        try {
-          withCaman(function () {
-            this.revert(true);
-          }, { label: "Reset Adjustments", onDone: () => {
-            ui.announce("Adjustments reset");
-            ui.showToast("Adjustments", "Reset to baseline");
-          }});
-        } catch (e) {
-          console.error("Reset adjustments failed:", e);
-          onHistoryChange({ tainted: true });
-        }
+        const list = editOps.getOps();
+        const first = list.findIndex(op => op.type === "adjust");
+        if (first === -1) return;
+        list.filter(op => op.type === "adjust").forEach(op => editOps.remove(op.id));
+        editingAdjustId = null;
+        runEdit(() => editOps.render(undefined, { checkpointAt: first }), {
+          label: "Reset Adjustments",
+          onDone: () => ui.showToast("Adjustments", "Reset to baseline")
+        });
       });
     }
   })();
 
-  // History buttons
+  // History buttons (compressed entries are rehydrated first, so undo/redo may resolve later)
   undoBtn.addEventListener("click", () => {
-    const data = undo();
-    if (data) drawImageDataWithUI(data);
-    onHistoryChange();
-    ui.announce("Undid last action");
-    ui.showToast("Undo", "Reverted to previous state.");
+    Promise.resolve(undo()).then((data) => {
+      if (data) showHistoryState(data);
+      onHistoryChange();
+      ui.announce("Undid last action");
+      ui.showToast("Undo", "Reverted to previous state.");
+    });
   });
   redoBtn.addEventListener("click", () => {
-    const data = redo();
-    if (data) drawImageDataWithUI(data);
-    onHistoryChange();
-    ui.announce("Redid action");
-    ui.showToast("Redo", "Reapplied last change.");
+    Promise.resolve(redo()).then((data) => {
+      if (data) showHistoryState(data);
+      onHistoryChange();
+      ui.announce("Redid action");
+      ui.showToast("Redo", "Reapplied last change.");
+    });
   });
 
   // Export wiring
@@ -515,14 +886,76 @@ function main(){
     formatSel,
     qualityRange,
     qualityVal,
-    scaleInput
+    scaleInput,
+    sizeModeSel,
+    longInput: longEdgeInput,
+    widthInput: exactWidthInput,
+    heightInput: exactHeightInput,
+    presetSel: exportPresetSel,
+    presetNameInput,
+    savePresetBtn,
+    deletePresetBtn,
+    presetList,
+    exportBundleBtn,
+    metadataSel: exportMetadataSel,
+    maxSizeInput: exportMaxSizeInput,
+    fitScaleBox: exportFitScaleBox,
+    resampleSel: exportResampleSel,
+    dpiInput: exportDpiInput,
+    pdfPageSel,
+    pdfWidthInput,
+    pdfHeightInput,
+    pdfOrientationSel,
+    pdfMarginInput,
+    pdfPlacementSel,
+    previewImg: exportPreviewImg,
+    previewBox: exportPreviewBox,
+    previewZoomSel,
+    estimateEl: exportEstimate,
+    fileNameInput: exportFileNameInput,
+    fileNameHint: exportFileNameHint,
+    saveAsBtn: saveAsExportBtn,
+    saveOriginalBtn
+  }, {
+    announce: ui.announce,
+    showToast: ui.showToast,
+    getMetadata: () => sourceMetadata,
+    getSourceFile: () => sourceFile,
+    getFullResolution: fullResSize,
+    renderFullResolution
+  });
+
+  // Batch processing: the edit log of the open image is the recipe
+  const batch = initBatch({
+    dialog: batchDialog,
+    openBtn: batchBtn,
+    fileInput: document.getElementById("batchFileInput"),
+    list: document.getElementById("batchList"),
+    recipeList: document.getElementById("batchRecipe"),
+    presetSel: document.getElementById("batchPreset"),
+    progress: document.getElementById("batchProgress"),
+    statusEl: document.getElementById("batchStatus"),
+    startBtn: document.getElementById("batchStart"),
+    stopBtn: document.getElementById("batchStop"),
+    clearBtn: document.getElementById("batchClear")
   }, {
+    getRecipe: () => {
+      if (!editOps.hasSource()) return [];
+      const src = editOps.getSource();
+      return recipeFromOps(editOps.getOps(), src.width, src.height);
+    },
+    describe: (op) => editOps.describe(op),
+    getPresets: () => exportApi.getPresets(),
+    getSettings: () => exportApi.getSettings(),
+    applyOp: (c, op) => editOps.applyTo(c, op),
+    getResample,
     announce: ui.announce,
     showToast: ui.showToast
   });
 
   // Save PNG
   saveBtn.addEventListener("click", () => exportApi.downloadPNG());
+  copyBtn && copyBtn.addEventListener("click", () => exportApi.copyImage());
 
   // History thumbnail sizing (consolidated to SETTINGS_KEY)
   if (histSize) {
@@ -541,28 +974,24 @@ function main(){
 
   // Shortcuts
   initShortcuts({
-    undo: () => {
-      const data = undo();
-      if (data) drawImageDataWithUI(data);
-      return data;
-    },
-    redo: () => {
-      const data = redo();
-      if (data) drawImageDataWithUI(data);
-      return data;
-    },
-    drawImageData: drawImageDataWithUI,
+    undo,
+    redo,
+    drawImageData: showHistoryState,
     onHistoryChange,
+    copy: () => canvas.width && exportApi.copyImage(),
     announce: ui.announce,
     showToast: ui.showToast
   });
 
   // Layers panel render helper
-  function renderLayersPanel(activeLayer) {
+  let shownActiveLayer = "image";
+  function renderLayersPanel(activeLayer = shownActiveLayer) {
     if (!layerList) return;
-    // activeLayer: "image" | "text" | "draw"
+    // activeLayer: "image" | "paste" | "text" | "draw"
+    shownActiveLayer = activeLayer;
     const layers = [
       { id: "image", name: "Image", present: !!canvas },
+      { id: "paste", name: "Pasted image", present: !!pasteApi },
       { id: "text", name: "Text", present: !!textLayer },
       { id: "draw", name: "Drawing", present: !!drawLayer }
     ];
@@ -570,13 +999,73 @@ function main(){
     layers.forEach(l => {
       if (!l.present) return;
       const li = document.createElement("li");
-      li.textContent = l.name + (activeLayer === l.id ? " •" : "");
       li.setAttribute("data-layer", l.id);
       li.style.color = activeLayer === l.id ? "#fff" : "var(--muted)";
+      if (l.id === "paste") {
+        li.className = "op-item";
+        const label = document.createElement("span");
+        label.className = "label";
+        label.textContent = l.name + (activeLayer === l.id ? " •" : "");
+        li.appendChild(label);
+        li.appendChild(pasteLayerActions());
+      } else {
+        li.textContent = l.name + (activeLayer === l.id ? " •" : "");
+      }
       layerList.appendChild(li);
     });
   }
 
+  // Move, Hide/Show and Delete for the pasted-image layer (styled like the Edits list actions)
+  function pasteLayerActions() {
+    const actions = document.createElement("span");
+    actions.className = "op-actions";
+    const button = (text, title, onClick) => {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.textContent = text;
+      b.title = title;
+      b.addEventListener("click", () => canvas.width && onClick());
+      actions.appendChild(b);
+      return b;
+    };
+    const move = button("Move", "Drag the pasted image on the canvas", () => {
+      const next = !pasteApi.isMoving();
+      if (next) closeDrawingTools();
+      pasteApi.setMoving(next);
+      renderLayersPanel(next ? "paste" : "image");
+      ui.announce(next ? "Drag on the canvas to move the pasted image" : "Pasted image move finished");
+    });
+    move.setAttribute("aria-pressed", String(pasteApi.isMoving()));
+    const visible = pasteApi.isVisible();
+    button(visible ? "Hide" : "Show", visible ? "Hide the pasted image" : "Show the pasted image", () => {
+      pasteApi.setVisible(!visible);
+      renderLayersPanel();
+      ui.announce(visible ? "Pasted image hidden" : "Pasted image shown");
+    });
+    button("Delete", "Remove the pasted image layer's content", () => {
+      pasteApi.clear();
+      pasteApi.setMoving(false);
+      renderLayersPanel("image");
+      runEdit(() => null, {
+        label: "Delete Pasted Image",
+        onDone: () => ui.showToast("Layer deleted", "The pasted image was removed")
+      });
+    });
+    return actions;
+  }
+
+  // The brush and text tools capture the pointer over the layers, so Move closes them
+  function closeDrawingTools() {
+    if (brushApi) brushApi.setActive(false);
+    if (brushControls) brushControls.style.display = "none";
+    drawBtn && drawBtn.classList.remove("is-active");
+    drawBtn && drawBtn.setAttribute("aria-pressed", "false");
+    if (textControls) textControls.style.display = "none";
+    textBtn && textBtn.classList.remove("is-active");
+    textBtn && textBtn.setAttribute("aria-pressed", "false");
+    textApi && textApi.setInteractive(false);
+  }
+
   // Remove Image handler
   function removeImage() {
     // Clear base canvas
@@ -587,10 +1076,17 @@ function main(){
       const tctx = textLayer.getContext("2d");
       tctx && tctx.clearRect(0,0,textLayer.width,textLayer.height);
     }
+    textApi && textApi.setState && textApi.setState({ text: "" });
     if (drawLayer) {
       const dctx = drawLayer.getContext("2d");
       dctx && dctx.clearRect(0,0,drawLayer.width,drawLayer.height);
     }
+    if (pasteApi) {
+      pasteApi.clear();
+      pasteApi.setMoving(false);
+      pasteApi.setVisible(true);
+      renderLayersPanel("image");
+    }
     // Close tools/overlays
     document.body.classList.remove("crop-active","is-cropping");
     cropBtn && cropBtn.classList.remove("active","is-active");
@@ -607,34 +1103,285 @@ function main(){
     if (contrast) contrast.value = "0";
     if (saturation) saturation.value = "0";
     if (vibrance) vibrance.value = "0";
-    // Reset history
+    // Reset history (also empties the stored session)
     try {
-      // push a clean state by reinitializing history to empty canvas dimensions
-      onHistoryChange({ thumbnails: [], thumbPrefs: null });
+      clearHistory();
     } catch {}
+    editOps.clearSource();
+    editingAdjustId = null;
+    sourceBlob = null;
+    sourceMetadata = null;
+    sourceFile = null;
+    fullRes = null;
+    fullResCache = null;
+    renderOpList();
     // Disable image-dependent controls
     undoBtn && (undoBtn.disabled = true);
     redoBtn && (redoBtn.disabled = true);
     saveBtn && (saveBtn.disabled = true);
+    copyBtn && (copyBtn.disabled = true);
     if (removeImageBtn) removeImageBtn.disabled = true;
-    hint.textContent = "Drop or load an image to begin. No uploads, all in-browser.";
+    if (saveProjectBtn) saveProjectBtn.disabled = true;
+    hint.textContent = "Drop, paste or load an image to begin. No uploads, all in-browser.";
     // Announce
     ui.announce("Image removed. Editor reset to empty state.");
     ui.showToast("Image removed", "Canvas cleared");
   }
   removeImageBtn && removeImageBtn.addEventListener("click", removeImage);
 
+  // Edits panel: the operation log with remove and tweak controls
+  function renderOpList() {
+    ui.renderOperationList(opList, editOps.getOps(), {
+      describe: editOps.describe,
+      editingId: editingAdjustId,
+      filterNames: FILTER_NAMES,
+      onRemove: (op, index) => {
+        if (!editOps.remove(op.id)) return;
+        if (editingAdjustId === op.id) editingAdjustId = null;
+        rerenderOperations(`Remove ${editOps.describe(op)}`, index);
+      },
+      onEdit: (op) => {
+        editingAdjustId = editingAdjustId === op.id ? null : op.id;
+        syncSlidersFromOps();
+        renderOpList();
+        ui.announce(editingAdjustId ? "Sliders now tweak the selected adjustment step" : "Sliders tweak the latest adjustment");
+      },
+      onChangeFilter: (op, index, name) => {
+        if (!editOps.update(op.id, { name })) return;
+        rerenderOperations(`Change to ${editOps.describe({ type: "filter", params: { name } })}`, index);
+      }
+    });
+  }
+
+  function downloadBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  saveOpsBtn && saveOpsBtn.addEventListener("click", () => {
+    downloadBlob(new Blob([editOps.serialize()], { type: "application/json" }), "edits.json");
+    ui.announce("Edit log saved");
+  });
+
+  opsFileInput && opsFileInput.addEventListener("change", async (e) => {
+    const file = e.target.files && e.target.files[0];
+    opsFileInput.value = "";
+    if (!file) return;
+    if (!canvas.width || !editOps.hasSource()) {
+      ui.showToast("Load Edits", "Load an image first.");
+      return;
+    }
+    try {
+      const list = editOps.parse(await file.text());
+      editOps.setOps(list);
+      editingAdjustId = null;
+      rerenderOperations("Load Edits", 0);
+      ui.showToast("Edits loaded", `${list.length} step${list.length === 1 ? "" : "s"} replayed`);
+    } catch (err) {
+      console.error("Edit log load failed:", err);
+      ui.showToast("Load Edits failed", "That file is not a valid edit log.");
+    }
+  });
+
+  // Session recovery
+  // Drawing and text layers travel with the history entries; only the source bitmap is extra.
+  // The same Blob objects are returned on every call so session.js stores each one only once.
+  async function collectSessionLayers() {
+    if (!sourceBlob && editOps.hasSource()) {
+      sourceBlob = await new Promise((resolve) => editOps.getSource().toBlob(resolve, "image/png"));
+    }
+    return {
+      source: sourceBlob,
+      metadata: sourceMetadata,
+      name: sourceFile ? sourceFile.name : null,
+      fullResolution: fullRes
+    };
+  }
+
+  function askRestoreSession() {
+    if (!restoreDialog || typeof restoreDialog.showModal !== "function") {
+      return Promise.resolve(window.confirm("Restore previous session?") ? "restore" : "discard");
+    }
+    return new Promise((resolve) => {
+      restoreDialog.addEventListener("close", () => resolve(restoreDialog.returnValue), { once: true });
+      restoreDialog.returnValue = "";
+      restoreDialog.showModal();
+    });
+  }
+
+  // The edit log replays over the original bitmap; without it, start from what is shown
+  async function adoptSource(blob, shownData) {
+    if (blob) {
+      const src = await createImageBitmap(blob);
+      editOps.setSource(src);
+      try { src.close(); } catch {}
+      sourceBlob = blob;
+    } else {
+      const shown = document.createElement("canvas");
+      shown.width = shownData.width;
+      shown.height = shownData.height;
+      shown.getContext("2d").putImageData(shownData, 0, 0);
+      editOps.setSource(shown);
+      sourceBlob = null;
+    }
+  }
+
+  async function restoreSession() {
+    try {
+      const saved = await session.load();
+      if (!saved) {
+        ui.showToast("Restore failed", "The saved session is incomplete.");
+        await session.clear();
+        return;
+      }
+      const data = await restoreHistory(saved.records, saved.cursor, saved.nav);
+      if (!data) throw new Error("Stored history has no keyframe");
+      const layers = saved.layers || {};
+      await adoptSource(layers.source, data);
+      sourceMetadata = layers.metadata || null;
+      // File handles are not kept across visits; the name still feeds export file names
+      sourceFile = layers.name ? { name: layers.name, handle: null } : null;
+      fullRes = layers.fullResolution || null;
+      fullResCache = null;
+      showHistoryState(data);
+      onHistoryChange();
+      if (removeImageBtn) removeImageBtn.disabled = false;
+      if (saveProjectBtn) saveProjectBtn.disabled = false;
+      ui.announce(`Previous session restored, ${canvas.width} by ${canvas.height} pixels`);
+      ui.showToast("Session restored", `${saved.records.length} history step${saved.records.length === 1 ? "" : "s"}`);
+    } catch (e) {
+      console.error("Session restore failed:", e);
+      ui.showToast("Restore failed", "Could not read the saved session.");
+      await session.clear();
+    }
+  }
+
+  // Project files: image, layers, edit log, slider values and the history tree in one bundle
+  async function saveProject() {
+    if (!canvas.width) return;
+    await editQueue;
+    try {
+      const blob = await writeProject({
+        source: sourceBlob || editOps.getSource(),
+        image: canvas,
+        layers: { paste: pasteLayer, draw: drawLayer, text: textLayer },
+        ops: editOps.getOps(),
+        text: textApi && textApi.getState ? textApi.getState() : null,
+        adjustments: readAdjustSliders(),
+        metadata: sourceMetadata,
+        name: sourceFile ? sourceFile.name : null,
+        history: { state: getPersistState(), getEntryRecord }
+      });
+      const base = sourceFile ? sourceFile.name.replace(/\.[^.]*$/, "") : "";
+      downloadBlob(blob, `${base || "project"}${PROJECT_EXTENSION}`);
+      ui.announce("Project saved");
+      ui.showToast("Project saved", `${(blob.size / (1024 * 1024)).toFixed(1)} MB`);
+    } catch (e) {
+      console.error("Project save failed:", e);
+      ui.showToast("Save Project failed", "Cannot save this image as a project.");
+    }
+  }
+  saveProjectBtn && saveProjectBtn.addEventListener("click", saveProject);
+
+  async function drawBlobTo(blob, layerCanvas) {
+    const c = layerCanvas.getContext("2d");
+    c.clearRect(0, 0, layerCanvas.width, layerCanvas.height);
+    if (!blob) return;
+    const bmp = await createImageBitmap(blob);
+    c.drawImage(bmp, 0, 0);
+    try { bmp.close(); } catch {}
+  }
+
+  async function openProject(project) {
+    await editQueue;
+    // The stored session is replaced by the project's history
+    session && await session.clear();
+    let data = null;
+    if (project.history) {
+      try {
+        data = await restoreHistory(project.history.records, project.history.cursor, project.history.nav);
+      } catch (e) {
+        console.warn("Project history could not be restored:", e);
+      }
+    }
+    if (data) {
+      await adoptSource(project.source, data);
+      showHistoryState(data);
+    } else {
+      // No usable history: start over from the saved image, layers and edit log
+      const bmp = await createImageBitmap(project.image);
+      setCanvasSizeWithUI(bmp.width, bmp.height);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(bmp, 0, 0);
+      try { bmp.close(); } catch {}
+      await adoptSource(project.source, ctx.getImageData(0, 0, canvas.width, canvas.height));
+      try { editOps.setOps(project.ops); } catch (e) {
+        console.warn("Project edit log is invalid:", e);
+      }
+      pasteLayer && await drawBlobTo(project.layers.paste, pasteLayer);
+      drawLayer && await drawBlobTo(project.layers.draw, drawLayer);
+      textApi && textApi.setState && textApi.setState(project.text || { text: "" });
+      clearHistory();
+      pushHistory("Open Project", historyState());
+      editingAdjustId = null;
+      renderOpList();
+    }
+    sourceMetadata = project.metadata || null;
+    sourceFile = project.name ? { name: project.name, handle: null } : null;
+    // Projects hold the editing-size source only
+    fullRes = null;
+    fullResCache = null;
+    // Slider positions as they were saved (they may differ from the step they would tweak)
+    const adj = project.adjustments;
+    if (adj) {
+      if (brightness) brightness.value = String(adj.brightness || 0);
+      if (contrast) contrast.value = String(adj.contrast || 0);
+      if (saturation) saturation.value = String(adj.saturation || 0);
+      if (vibrance) vibrance.value = String(adj.vibrance || 0);
+    }
+    onHistoryChange();
+    if (removeImageBtn) removeImageBtn.disabled = false;
+    if (saveProjectBtn) saveProjectBtn.disabled = false;
+    ui.announce(`Project opened, ${canvas.width} by ${canvas.height} pixels`);
+    ui.showToast("Project opened", data ? "Layers and history restored" : "History was not included");
+  }
+
+  session = initSession({
+    getPersistState,
+    getEntryRecord,
+    collectLayers: collectSessionLayers
+  });
+  session.hasSavedSession().then(async (hasSaved) => {
+    if (hasSaved) {
+      const choice = await askRestoreSession();
+      if (choice === "restore") await restoreSession();
+      else await session.clear();
+    }
+    session.setEnabled(true);
+    // Capture anything loaded while the prompt was open
+    if (canvas.width) session.schedulePersist();
+  });
+
   // Initial UI
   onHistoryChange();
   renderLayersPanel("image");
+  renderOpList();
 
-  // Update layers panel on tool toggles
+  // Update layers panel on tool toggles; the tools and moving the pasted image exclude each other
   textBtn && textBtn.addEventListener("click", () => {
     const isActive = textBtn.classList.contains("is-active");
+    isActive && pasteApi && pasteApi.setMoving(false);
     renderLayersPanel(isActive ? "text" : "image");
   });
   drawBtn && drawBtn.addEventListener("click", () => {
     const isActive = drawBtn.classList.contains("is-active");
+    isActive && pasteApi && pasteApi.setMoving(false);
     renderLayersPanel(isActive ? "draw" : "image");
   });
 }
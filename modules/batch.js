@@ -0,0 +1,303 @@
+/**
+ * batch.js
+ * Batch processing: a recipe (the edit log of the open image) and an export preset are applied
+ * to a queue of image files, one file at a time, and the results are downloaded as one zip.
+ *
+ * API:
+ * - recipeFromOps(ops, width, height) => recipe: [{ type, params, frame: { width, height } }]
+ *   where frame is the image size the step was recorded on
+ * - applyRecipe(source, recipe, applyOp) => Promise<canvas>
+ * - initBatch({ dialog, openBtn, fileInput, list, recipeList, presetSel, progress, statusEl,
+ *   startBtn, stopBtn, clearBtn }, callbacks) => { addFiles(files) => Promise, open() }
+ *
+ * Multi-page TIFFs contribute their first page. Steps are fitted to each image: a crop keeps its aspect ratio, its center and its share of
+ * the frame; text keeps its relative position, its size scaled with the image. Rotations,
+ * flips, adjustments and filters apply as recorded.
+ */
+
+import { decodeImageFile } from "./loader.js";
+import { isImageFile } from "./decoders.js";
+import { renderCanvas, fileNameFrom, downloadBlob } from "./export.js";
+import { createZip } from "./zip.js";
+
+const STATE_LABELS = { queued: "Queued", working: "Processing…", done: "Done", failed: "Failed" };
+
+function normalRect({ x, y, w, h }) {
+  return { x: w < 0 ? x + w : x, y: h < 0 ? y + h : y, w: Math.abs(w), h: Math.abs(h) };
+}
+
+export function recipeFromOps(ops, width, height) {
+  let frame = { width, height };
+  return (ops || []).map((op) => {
+    const step = { type: op.type, params: JSON.parse(JSON.stringify(op.params || {})), frame };
+    if (op.type === "crop") {
+      const r = normalRect(op.params.rect);
+      frame = { width: Math.round(r.w), height: Math.round(r.h) };
+    } else if (op.type === "rotate") {
+      frame = { width: frame.height, height: frame.width };
+    }
+    return step;
+  });
+}
+
+/**
+ * The step's params for a width×height image.
+ */
+function fitParams({ type, params, frame }, width, height) {
+  const kx = width / frame.width;
+  const ky = height / frame.height;
+  if (type === "crop") {
+    const r = normalRect(params.rect);
+    const aspect = r.w / r.h;
+    const fitW = Math.min(r.w * kx, r.h * ky * aspect);
+    const w = Math.max(1, Math.min(width, Math.round(fitW)));
+    const h = Math.max(1, Math.min(height, Math.round(fitW / aspect)));
+    const cx = (r.x + r.w / 2) * kx;
+    const cy = (r.y + r.h / 2) * ky;
+    return {
+      rect: {
+        x: Math.max(0, Math.min(width - w, Math.round(cx - w / 2))),
+        y: Math.max(0, Math.min(height - h, Math.round(cy - h / 2))),
+        w,
+        h
+      }
+    };
+  }
+  if (type === "text") {
+    return { ...params, x: params.x * kx, y: params.y * ky, size: Math.max(1, Math.round(params.size * Math.min(kx, ky))) };
+  }
+  return params;
+}
+
+/**
+ * Run `recipe` over a copy of `source`. applyOp(canvas, { type, params }) => canvas | Promise
+ * applies one operation (operations.js applyTo).
+ */
+export async function applyRecipe(source, recipe, applyOp) {
+  let canvas = document.createElement("canvas");
+  canvas.width = source.width;
+  canvas.height = source.height;
+  canvas.getContext("2d").drawImage(source, 0, 0);
+  for (const step of recipe) {
+    canvas = await applyOp(canvas, { type: step.type, params: fitParams(step, canvas.width, canvas.height) });
+  }
+  return canvas;
+}
+
+function formatKB(bytes) {
+  const kb = bytes / 1024;
+  return kb >= 1024 ? `${(kb / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(kb))} KB`;
+}
+
+/**
+ * Initialize the batch dialog. Callbacks:
+ * - getRecipe() => recipe (see recipeFromOps), describe(op) => step label
+ * - getPresets() => named export settings, getSettings() => the export dialog's settings
+ * - applyOp(canvas, op) => canvas | Promise<canvas>
+ * - getResample() => kernel for images reduced on load (loader.js)
+ * - announce, showToast
+ */
+export function initBatch({
+  dialog,
+  openBtn,
+  fileInput,
+  list,
+  recipeList,
+  presetSel,
+  progress,
+  statusEl,
+  startBtn,
+  stopBtn,
+  clearBtn
+}, { getRecipe, describe, getPresets, getSettings, applyOp, getResample, announce, showToast } = {}) {
+  if (!dialog) return null;
+  let queue = []; // { file, state, note, item }
+  let running = false;
+  let stopping = false;
+  let presets = [];
+
+  const setState = (entry, state, note = "") => {
+    entry.state = state;
+    entry.note = note;
+    if (!entry.item) return;
+    entry.item.setAttribute("data-state", state);
+    entry.item.querySelector(".batch-state").textContent = note || STATE_LABELS[state];
+  };
+
+  const syncButtons = () => {
+    const pending = queue.some(q => q.state === "queued" || q.state === "failed");
+    startBtn && (startBtn.disabled = running || !pending);
+    stopBtn && (stopBtn.disabled = !running);
+    clearBtn && (clearBtn.disabled = running || !queue.length);
+    fileInput && (fileInput.disabled = running);
+  };
+
+  const renderQueue = () => {
+    if (!list) return;
+    list.innerHTML = "";
+    queue.forEach((entry) => {
+      const li = document.createElement("li");
+      const name = document.createElement("span");
+      name.className = "batch-name";
+      name.textContent = entry.file.name;
+      const state = document.createElement("span");
+      state.className = "batch-state";
+      li.appendChild(name);
+      li.appendChild(state);
+      list.appendChild(li);
+      entry.item = li;
+      setState(entry, entry.state, entry.note);
+    });
+  };
+
+  const renderRecipe = () => {
+    if (!recipeList) return;
+    const recipe = getRecipe ? getRecipe() : [];
+    recipeList.innerHTML = "";
+    if (!recipe.length) {
+      const li = document.createElement("li");
+      li.textContent = "No edit steps: images are only converted";
+      recipeList.appendChild(li);
+      return;
+    }
+    recipe.forEach((step) => {
+      const li = document.createElement("li");
+      li.textContent = describe ? describe(step) : step.type;
+      recipeList.appendChild(li);
+    });
+  };
+
+  const renderPresets = () => {
+    presets = getPresets ? getPresets() : [];
+    if (!presetSel) return;
+    const selected = presetSel.value;
+    presetSel.innerHTML = "";
+    const current = document.createElement("option");
+    current.value = "";
+    current.textContent = "Export dialog settings";
+    presetSel.appendChild(current);
+    presets.forEach((p, i) => {
+      const opt = document.createElement("option");
+      opt.value = String(i);
+      opt.textContent = p.name;
+      presetSel.appendChild(opt);
+    });
+    presetSel.value = presets[Number(selected)] ? selected : "";
+  };
+
+  const chosenPreset = () => {
+    const p = presetSel && presetSel.value !== "" ? presets[Number(presetSel.value)] : null;
+    return p ? { name: p.name, settings: p } : { name: "", settings: getSettings ? getSettings() : {} };
+  };
+
+  function open() {
+    renderRecipe();
+    renderPresets();
+    renderQueue();
+    syncButtons();
+    if (!dialog.open && typeof dialog.showModal === "function") dialog.showModal();
+  }
+
+  async function addFiles(files) {
+    const images = [];
+    for (const f of Array.from(files || [])) if (await isImageFile(f)) images.push(f);
+    if (!images.length) {
+      showToast && showToast("Batch", "No images among the chosen files.");
+      return;
+    }
+    images.forEach(file => queue.push({ file, state: "queued", note: "", item: null }));
+    open();
+    statusEl && (statusEl.textContent = `${queue.length} image${queue.length === 1 ? "" : "s"} queued`);
+    announce && announce(`${images.length} image${images.length === 1 ? "" : "s"} added to the batch`);
+  }
+
+  async function run() {
+    const todo = queue.filter(q => q.state === "queued" || q.state === "failed");
+    if (!todo.length) return;
+    const recipe = getRecipe ? getRecipe() : [];
+    const { name: presetName, settings } = chosenPreset();
+    running = true;
+    stopping = false;
+    syncButtons();
+    todo.forEach(entry => setState(entry, "queued"));
+    if (progress) {
+      progress.max = todo.length;
+      progress.value = 0;
+    }
+    const files = [];
+    const used = new Set();
+    let failed = 0;
+    let processed = 0;
+    for (const entry of todo) {
+      if (stopping) break;
+      setState(entry, "working");
+      statusEl && (statusEl.textContent = `${processed + 1} of ${todo.length}: ${entry.file.name}`);
+      let bitmap = null;
+      try {
+        const decoded = await decodeImageFile(entry.file, { getResample });
+        bitmap = decoded.bitmap;
+        const edited = await applyRecipe(bitmap, recipe, applyOp);
+        const { blob, width, height, ext } = await renderCanvas(edited, settings, { metadata: decoded.metadata });
+        const base = fileNameFrom(settings.filename, { name: entry.file.name, width, height, preset: presetName, format: settings.format });
+        let name = `${base}.${ext}`;
+        for (let n = 2; used.has(name); n++) name = `${base}-${n}.${ext}`;
+        used.add(name);
+        files.push({ name, data: blob, compress: false });
+        setState(entry, "done", `${width}×${height} • ${formatKB(blob.size)}`);
+      } catch (e) {
+        console.error(`Batch processing of ${entry.file.name} failed:`, e);
+        // Files refused by the loader's checks say why
+        setState(entry, "failed", e && e.code === "refused" ? `Failed: ${e.message}` : "");
+        failed++;
+      } finally {
+        try { bitmap && typeof bitmap.close === "function" && bitmap.close(); } catch {}
+      }
+      processed++;
+      progress && (progress.value = processed);
+    }
+    running = false;
+    syncButtons();
+
+    const summary = `${files.length} exported${failed ? `, ${failed} failed` : ""}${processed < todo.length ? `, ${todo.length - processed} not started` : ""}`;
+    statusEl && (statusEl.textContent = summary);
+    if (files.length) {
+      try {
+        downloadBlob(await createZip(files), `${fileNameFrom("batch-{date}-{time}", {})}.zip`);
+      } catch (e) {
+        console.error("Batch zip failed:", e);
+        showToast && showToast("Batch failed", "Could not build the zip.");
+        return;
+      }
+    }
+    announce && announce(`Batch finished: ${summary}`);
+    showToast && showToast(failed || !files.length ? "Batch finished with errors" : "Batch finished", summary);
+  }
+
+  openBtn && openBtn.addEventListener("click", open);
+  fileInput && fileInput.addEventListener("change", () => {
+    addFiles(fileInput.files);
+    fileInput.value = "";
+  });
+  startBtn && startBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    run();
+  });
+  stopBtn && stopBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    // The file being processed is finished; the rest stay queued
+    stopping = true;
+    stopBtn.disabled = true;
+  });
+  clearBtn && clearBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    queue = [];
+    renderQueue();
+    syncButtons();
+    statusEl && (statusEl.textContent = "");
+    progress && (progress.value = 0);
+  });
+  // Keep the dialog up while a batch runs so progress stays visible
+  dialog.addEventListener("cancel", (e) => { running && e.preventDefault(); });
+
+  return { addFiles, open };
+}
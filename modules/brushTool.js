@@ -2,13 +2,14 @@
  * modules/brushTool.js
  * Non-destructive brush tool that draws on a separate canvas layer.
  *
- * API: initBrushTool(drawLayer, { controlsEl, colorInput, sizeInput, getActive, onActivate })
+ * API: initBrushTool(drawLayer, { controlsEl, colorInput, sizeInput, getActive, onActivate, onStrokeEnd })
  * - drawLayer: the drawing canvas element
  * - controlsEl: container element for brush controls (hidden/shown by app)
  * - colorInput: <input type="color">
  * - sizeInput: <input type="range"> (1..100)
  * - getActive: () => boolean, whether brush tool is currently active
  * - onActivate: (active:boolean) => void, optional callback when tool activation toggles
+ * - onStrokeEnd: () => void, optional callback after a stroke has been drawn
  *
  * The tool attaches pointer event listeners and draws smooth lines on drawLayer.
  * It uses pointer capture for robust input and respects devicePixelRatio scaling,
@@ -20,7 +21,8 @@ export function initBrushTool(drawLayer, {
   colorInput,
   sizeInput,
   getActive = () => true,
-  onActivate
+  onActivate,
+  onStrokeEnd
 } = {}) {
   if (!drawLayer) throw new Error("drawLayer is required");
   const ctx = drawLayer.getContext("2d");
@@ -91,6 +93,7 @@ export function initBrushTool(drawLayer, {
     isDrawing = false;
     last = null;
     lastMid = null;
+    onStrokeEnd && onStrokeEnd();
   }
 
   // Event handlers
@@ -0,0 +1,164 @@
+/**
+ * compare.js
+ * Before/after comparison over the canvas stack. A reference image (the first history entry or
+ * any chosen entry) is drawn on its own layer above the edit layers and clipped to the left of a
+ * draggable split handle; press-and-hold shows the reference in full. History is only read.
+ *
+ * API: initCompare({ canvas, compareLayer, splitEl, handleEl, getReferenceData })
+ * - canvas: the base image canvas (the compare layer follows its size)
+ * - compareLayer: canvas stacked over the edit layers
+ * - splitEl: element covering the canvas that positions the handle
+ * - handleEl: draggable/focusable split handle inside splitEl
+ * - getReferenceData: (id) => ImageData|null (or a Promise of it) for a history entry id
+ * Returns { setActive, isActive, setHold, setReference, getReference, setSplit, refresh }
+ */
+
+const KEY_STEP = 5; // percent per arrow key press
+
+export function initCompare({ canvas, compareLayer, splitEl, handleEl, getReferenceData }) {
+  if (!canvas || !compareLayer || !splitEl || !handleEl) return null;
+  const cctx = compareLayer.getContext("2d");
+
+  let active = false;
+  let holding = false;
+  let split = 50;           // percent of the width showing the reference
+  let referenceId = null;   // null = first entry (chosen by the caller via setReference)
+  let drawn = null;         // { id, width, height } of what the layer currently shows
+  let dragging = false;
+  let loading = null;       // { id, width, height } of a reference still being rehydrated
+
+  function visible() {
+    return (active || holding) && canvas.width > 0 && referenceId != null;
+  }
+
+  // Draw the reference scaled to fit the current canvas; entries with other dimensions
+  // (before a crop or rotation) are letterboxed so nothing is stretched.
+  function drawReference() {
+    const same = (d) => d && d.id === referenceId && d.width === canvas.width && d.height === canvas.height;
+    if (same(drawn) || same(loading)) return;
+    const data = getReferenceData ? getReferenceData(referenceId) : null;
+    compareLayer.width = canvas.width;
+    compareLayer.height = canvas.height;
+    drawn = null;
+    loading = null;
+    if (data && typeof data.then === "function") {
+      // Compressed history entry: paint once it is back, unless the reference moved on
+      const token = { id: referenceId, width: canvas.width, height: canvas.height };
+      loading = token;
+      data.then((ready) => {
+        if (loading !== token) return;
+        loading = null;
+        if (same(token) && ready) paint(ready);
+      }, () => { if (loading === token) loading = null; });
+      return;
+    }
+    if (!data) return;
+    paint(data);
+  }
+
+  function paint(data) {
+    const src = document.createElement("canvas");
+    src.width = data.width;
+    src.height = data.height;
+    src.getContext("2d").putImageData(data, 0, 0);
+    const scale = Math.min(canvas.width / data.width, canvas.height / data.height);
+    const w = Math.round(data.width * scale);
+    const h = Math.round(data.height * scale);
+    cctx.imageSmoothingEnabled = true;
+    cctx.imageSmoothingQuality = "high";
+    cctx.drawImage(src, Math.floor((canvas.width - w) / 2), Math.floor((canvas.height - h) / 2), w, h);
+    drawn = { id: referenceId, width: canvas.width, height: canvas.height };
+  }
+
+  function render() {
+    const show = visible();
+    compareLayer.hidden = !show;
+    splitEl.hidden = !(show && active && !holding);
+    if (!show) return;
+    drawReference();
+    splitEl.style.width = `${canvas.clientWidth || canvas.width}px`;
+    splitEl.style.height = `${canvas.clientHeight || canvas.height}px`;
+    const pct = holding ? 100 : split;
+    compareLayer.style.clipPath = `inset(0 ${100 - pct}% 0 0)`;
+    handleEl.style.left = `${split}%`;
+    handleEl.setAttribute("aria-valuenow", String(Math.round(split)));
+  }
+
+  function setActive(next) {
+    active = !!next;
+    render();
+    return active;
+  }
+
+  function isActive() {
+    return active;
+  }
+
+  // Press-and-hold: show the whole reference while held
+  function setHold(next) {
+    holding = !!next;
+    render();
+  }
+
+  function setReference(id) {
+    referenceId = id == null ? null : id;
+    render();
+  }
+
+  function getReference() {
+    return referenceId;
+  }
+
+  function setSplit(pct) {
+    split = Math.max(0, Math.min(100, Number(pct) || 0));
+    render();
+  }
+
+  // Redraw after the canvas changed size (history navigation, crop, rotate)
+  function refresh() {
+    render();
+  }
+
+  function splitFromEvent(e) {
+    const rect = splitEl.getBoundingClientRect();
+    if (!rect.width) return split;
+    return ((e.clientX - rect.left) / rect.width) * 100;
+  }
+
+  handleEl.addEventListener("pointerdown", (e) => {
+    if (e.button !== 0) return;
+    dragging = true;
+    try { handleEl.setPointerCapture(e.pointerId); } catch {}
+    e.preventDefault();
+  });
+  handleEl.addEventListener("pointermove", (e) => {
+    if (!dragging) return;
+    setSplit(splitFromEvent(e));
+    e.preventDefault();
+  });
+  const endDrag = (e) => {
+    if (!dragging) return;
+    dragging = false;
+    try { handleEl.releasePointerCapture(e.pointerId); } catch {}
+  };
+  handleEl.addEventListener("pointerup", endDrag);
+  handleEl.addEventListener("pointercancel", endDrag);
+  handleEl.addEventListener("keydown", (e) => {
+    const steps = { ArrowLeft: -KEY_STEP, ArrowRight: KEY_STEP, Home: -100, End: 100 };
+    if (!(e.key in steps)) return;
+    setSplit(split + steps[e.key]);
+    e.preventDefault();
+  });
+
+  render();
+
+  return {
+    setActive,
+    isActive,
+    setHold,
+    setReference,
+    getReference,
+    setSplit,
+    refresh
+  };
+}
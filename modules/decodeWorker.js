@@ -0,0 +1,23 @@
+/**
+ * decodeWorker.js
+ * Module Web Worker that runs decoders.js off the main thread, so a decode that runs away on a
+ * damaged file can be stopped by terminating the worker.
+ *
+ * Message in:  { blob, format, page, maxPixels }
+ * Messages out: { started: true }, then { width, height, orientation, data:ArrayBuffer (RGBA,
+ * transferred) } or { error:string, code? }
+ */
+
+import { decodeImage } from "./decoders.js";
+
+self.onmessage = async (e) => {
+  const { blob, format, page, maxPixels } = e.data || {};
+  self.postMessage({ started: true });
+  try {
+    const out = await decodeImage(new Uint8Array(await blob.arrayBuffer()), format, { page, maxPixels });
+    const data = out.data.buffer;
+    self.postMessage({ width: out.width, height: out.height, orientation: out.orientation, data }, [data]);
+  } catch (err) {
+    self.postMessage({ error: String((err && err.message) || err), code: err && err.code });
+  }
+};
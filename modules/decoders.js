@@ -0,0 +1,870 @@
+/**
+ * decoders.js
+ * Pure-JavaScript image decoders for formats browsers do not read (TIFF, TGA, PPM/PGM/PBM) or
+ * read only partly (ICO picks an arbitrary size; some BMP variants are rejected). Files are
+ * recognized by their first bytes, not by their MIME type.
+ *
+ * API:
+ * - SCRIPT_FORMATS: format -> { label, extensions }
+ * - sniffImageFile(file) => Promise<format|null>
+ * - isImageFile(file) => Promise<boolean>: an image/* type or a format decoded here
+ * - tiffPages(file) => Promise<[{ width, height }]> (pages of a multi-page TIFF), read from the
+ *   IFD chain alone without loading the whole file
+ * - scriptImageSize(file, format) => Promise<{ width, height }>: the size a TGA, PPM/PGM, ICO
+ *   or BMP header declares (for ICO, the header of the image decodeImage would pick)
+ * - decodeImage(bytes, format, { page, maxPixels }) => Promise<{ width, height, data, orientation }>
+ *   with RGBA `data` (Uint8ClampedArray) and the TIFF orientation tag (1 elsewhere); images
+ *   over maxPixels are refused (err.code "refused") before their pixels are allocated
+ * - decodeFileInWorker(blob, format, { page, timeoutMs, maxPixels }) => the same, decoded in a
+ *   worker (decodeWorker.js) that is terminated once timeoutMs runs out
+ *
+ * TIFF: strips or tiles, chunky or planar, uncompressed, PackBits, LZW or Deflate, with the
+ * horizontal predictor; bilevel, gray, palette, RGB(A) and CMYK at 1 to 16 bits per sample.
+ * TGA: color-mapped, true-color and gray, raw or RLE. BMP: 1 to 32 bits, RLE4/RLE8,
+ * bit fields and OS/2 headers. ICO/CUR: the largest image, BMP or PNG.
+ */
+
+export const SCRIPT_FORMATS = {
+  tiff: { label: "TIFF", extensions: [".tif", ".tiff"] },
+  tga: { label: "TGA", extensions: [".tga", ".icb", ".vda", ".vst"] },
+  pnm: { label: "PPM/PGM", extensions: [".ppm", ".pgm", ".pbm", ".pnm"] },
+  ico: { label: "ICO", extensions: [".ico", ".cur"] },
+  bmp: { label: "BMP", extensions: [".bmp", ".dib"] }
+};
+
+const TGA_SIGNATURE = "TRUEVISION-XFILE.\0";
+const TGA_TYPES = [1, 2, 3, 9, 10, 11];
+const MAX_TIFF_PAGES = 1000;
+
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+const TAG = {
+  subfileType: 254,
+  width: 256,
+  height: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  photometric: 262,
+  stripOffsets: 273,
+  orientation: 274,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  planar: 284,
+  predictor: 317,
+  colorMap: 320,
+  tileWidth: 322,
+  tileLength: 323,
+  tileOffsets: 324,
+  tileByteCounts: 325,
+  extraSamples: 338,
+  sampleFormat: 339
+};
+
+function ascii(bytes, at, length) {
+  let s = "";
+  for (let i = 0; i < length && at + i < bytes.length; i++) s += String.fromCharCode(bytes[at + i]);
+  return s;
+}
+
+function hasExtension(name, format) {
+  const lower = String(name || "").toLowerCase();
+  return SCRIPT_FORMATS[format].extensions.some(ext => lower.endsWith(ext));
+}
+
+// TGA has no leading magic: a plausible header plus the 2.0 footer or a TGA file name
+function looksLikeTga(head) {
+  if (head.length < 18) return false;
+  const view = new DataView(head.buffer, head.byteOffset, head.byteLength);
+  const cmapType = head[1];
+  const type = head[2];
+  const depth = head[16];
+  return cmapType <= 1 && TGA_TYPES.includes(type) &&
+    view.getUint16(12, true) > 0 && view.getUint16(14, true) > 0 &&
+    [8, 15, 16, 24, 32].includes(depth) && (type % 8 !== 1 || cmapType === 1);
+}
+
+export async function sniffImageFile(file) {
+  if (!file || !file.size) return null;
+  const head = new Uint8Array(await file.slice(0, 64).arrayBuffer());
+  if ((head[0] === 0x49 && head[1] === 0x49 && head[2] === 42 && head[3] === 0) ||
+    (head[0] === 0x4d && head[1] === 0x4d && head[2] === 0 && head[3] === 42)) return "tiff";
+  if (head[0] === 0x50 && head[1] >= 0x31 && head[1] <= 0x36 && /\s/.test(String.fromCharCode(head[2]))) return "pnm";
+  if (head[0] === 0 && head[1] === 0 && (head[2] === 1 || head[2] === 2) && head[3] === 0 && (head[4] | head[5]) !== 0 &&
+    head.length >= 22 && head[9] === 0) return "ico";
+  if (head[0] === 0x42 && head[1] === 0x4d) return "bmp";
+  if (looksLikeTga(head)) {
+    const tail = new Uint8Array(await file.slice(Math.max(0, file.size - 18)).arrayBuffer());
+    if (ascii(tail, 0, 18) === TGA_SIGNATURE || hasExtension(file.name, "tga")) return "tga";
+  }
+  return null;
+}
+
+export async function isImageFile(file) {
+  if (!file) return false;
+  if (/^image\//i.test(file.type)) return true;
+  try {
+    return !!(await sniffImageFile(file));
+  } catch {
+    return false;
+  }
+}
+
+function checkPixelCount(width, height, maxPixels) {
+  if (!(width > 0 && height > 0)) throw new Error("Image has no pixels");
+  if (width * height > maxPixels) {
+    const err = new Error(`The image is ${width}×${height}; images over ${Math.round(maxPixels / 1e6)} megapixels are not opened.`);
+    err.code = "refused";
+    throw err;
+  }
+}
+
+function newPixels(width, height, maxPixels = Infinity) {
+  checkPixelCount(width, height, maxPixels);
+  return { width, height, data: new Uint8ClampedArray(width * height * 4), orientation: 1 };
+}
+
+/* ---------------------------------------------------------------- TIFF */
+
+function endianReader(bytes, le) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return { le, u16: at => view.getUint16(at, le), u32: at => view.getUint32(at, le) };
+}
+
+function tiffReader(bytes) {
+  const r = endianReader(bytes, bytes[0] === 0x49);
+  if (r.u16(2) !== 42) throw new Error("Not a TIFF file (BigTIFF is not supported)");
+  return r;
+}
+
+function readTagValues(bytes, r, type, count, at) {
+  const size = TIFF_TYPE_SIZES[type] || 1;
+  const n = Math.max(0, Math.min(count, Math.floor((bytes.length - at) / size)));
+  const values = new Array(n);
+  for (let i = 0; i < n; i++) {
+    const p = at + i * size;
+    if (size === 1) values[i] = bytes[p];
+    else if (size === 2) values[i] = r.u16(p);
+    else if (type === 5) values[i] = r.u32(p) / (r.u32(p + 4) || 1);
+    else values[i] = r.u32(p);
+  }
+  return values;
+}
+
+function readIfds(bytes) {
+  const r = tiffReader(bytes);
+  const ifds = [];
+  const seen = new Set();
+  let at = r.u32(4);
+  while (at && at + 2 <= bytes.length && !seen.has(at) && ifds.length < MAX_TIFF_PAGES) {
+    seen.add(at);
+    const count = r.u16(at);
+    const tags = {};
+    for (let i = 0; i < count; i++) {
+      const e = at + 2 + i * 12;
+      if (e + 12 > bytes.length) break;
+      const type = r.u16(e + 2);
+      const n = r.u32(e + 4);
+      const inline = (TIFF_TYPE_SIZES[type] || 1) * n <= 4;
+      tags[r.u16(e)] = readTagValues(bytes, r, type, n, inline ? e + 8 : r.u32(e + 8));
+    }
+    ifds.push(tags);
+    const nextAt = at + 2 + count * 12;
+    at = nextAt + 4 <= bytes.length ? r.u32(nextAt) : 0;
+  }
+  return { r, ifds };
+}
+
+function tag(tags, id, fallback) {
+  const v = tags[id];
+  return v && v.length ? v[0] : fallback;
+}
+
+// Full images only: reduced-resolution copies (thumbnails) are skipped unless nothing else is there
+function tiffImages(ifds) {
+  const full = ifds.filter(t => !(tag(t, TAG.subfileType, 0) & 1) && tag(t, TAG.width, 0) && tag(t, TAG.height, 0));
+  return full.length ? full : ifds.filter(t => tag(t, TAG.width, 0) && tag(t, TAG.height, 0));
+}
+
+export async function tiffPages(file) {
+  const read = async (at, length) => new Uint8Array(await file.slice(at, at + length).arrayBuffer());
+  const r = tiffReader(await read(0, 8));
+  const ifds = [];
+  const seen = new Set();
+  let at = r.u32(4);
+  while (at && at + 2 <= file.size && !seen.has(at) && ifds.length < MAX_TIFF_PAGES) {
+    seen.add(at);
+    const count = endianReader(await read(at, 2), r.le).u16(0);
+    const entries = await read(at + 2, count * 12 + 4);
+    const e = endianReader(entries, r.le);
+    const tags = {};
+    for (let i = 0; i < count && i * 12 + 12 <= entries.length; i++) {
+      const p = i * 12;
+      const type = e.u16(p + 2);
+      const n = e.u32(p + 4);
+      // Size and subfile type are single values stored in the entry; nothing else is needed here
+      if ((TIFF_TYPE_SIZES[type] || 1) * n <= 4) tags[e.u16(p)] = readTagValues(entries, e, type, n, p + 8);
+    }
+    ifds.push(tags);
+    at = count * 12 + 4 <= entries.length ? e.u32(count * 12) : 0;
+  }
+  return tiffImages(ifds).map(t => ({ width: tag(t, TAG.width, 0), height: tag(t, TAG.height, 0) }));
+}
+
+function unpackBits(src, size) {
+  const out = new Uint8Array(size);
+  let i = 0;
+  let o = 0;
+  while (i < src.length && o < size) {
+    const n = src[i++];
+    if (n < 128) {
+      const end = Math.min(size, o + n + 1);
+      while (o < end && i < src.length) out[o++] = src[i++];
+    } else if (n > 128) {
+      const v = src[i++];
+      const end = Math.min(size, o + 257 - n);
+      while (o < end) out[o++] = v;
+    }
+  }
+  return out;
+}
+
+/**
+ * TIFF LZW: MSB-first codes of 9 to 12 bits, widened one code early.
+ */
+function lzwDecode(src, size) {
+  const out = new Uint8Array(size);
+  const prefix = new Int16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const first = new Uint8Array(4096);
+  const lengths = new Uint16Array(4096);
+  for (let i = 0; i < 256; i++) {
+    prefix[i] = -1;
+    suffix[i] = i;
+    first[i] = i;
+    lengths[i] = 1;
+  }
+  let next = 258;
+  let width = 9;
+  let old = -1;
+  let bit = 0;
+  let o = 0;
+  const totalBits = src.length * 8;
+  const write = (code) => {
+    let at = o + lengths[code] - 1;
+    o += lengths[code];
+    for (let c = code; c >= 0; c = prefix[c], at--) if (at < size) out[at] = suffix[c];
+  };
+  while (bit + width <= totalBits && o < size) {
+    const b = bit >> 3;
+    const chunk = (src[b] << 16) | ((src[b + 1] || 0) << 8) | (src[b + 2] || 0);
+    const code = (chunk >> (24 - (bit & 7) - width)) & ((1 << width) - 1);
+    bit += width;
+    if (code === 257) break;
+    if (code === 256) {
+      next = 258;
+      width = 9;
+      old = -1;
+      continue;
+    }
+    if (old === -1) {
+      if (code > 255) break;
+      write(code);
+      old = code;
+      continue;
+    }
+    if (code > next) break; // corrupt stream
+    const head = code < next ? first[code] : first[old];
+    if (next < 4096) {
+      prefix[next] = old;
+      suffix[next] = head;
+      first[next] = first[old];
+      lengths[next] = lengths[old] + 1;
+      next++;
+    }
+    write(code);
+    old = code;
+    if (next + 1 >= (1 << width) && width < 12) width++;
+  }
+  return out;
+}
+
+async function inflate(src) {
+  if (typeof DecompressionStream !== "function") throw new Error("Deflate-compressed TIFF needs DecompressionStream");
+  const stream = new Blob([src]).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function decompress(src, compression, size) {
+  if (compression === 1) return src;
+  if (compression === 32773) return unpackBits(src, size);
+  if (compression === 5) return lzwDecode(src, size);
+  if (compression === 8 || compression === 32946) return inflate(src);
+  if (compression === 6 || compression === 7) throw new Error("JPEG-compressed TIFF is not supported");
+  throw new Error(`Unsupported TIFF compression ${compression}`);
+}
+
+/**
+ * Sample reader for rows of `bits`-bit samples (rows start on a byte boundary).
+ */
+function sampleReader(bits, le) {
+  if (bits === 8) return (buf, row, i) => buf[row + i];
+  if (bits === 16) {
+    return le
+      ? (buf, row, i) => buf[row + i * 2] | (buf[row + i * 2 + 1] << 8)
+      : (buf, row, i) => (buf[row + i * 2] << 8) | buf[row + i * 2 + 1];
+  }
+  if (bits === 1 || bits === 2 || bits === 4) {
+    const mask = (1 << bits) - 1;
+    return (buf, row, i) => {
+      const at = i * bits;
+      return (buf[row + (at >> 3)] >> (8 - bits - (at & 7))) & mask;
+    };
+  }
+  throw new Error(`Unsupported TIFF bit depth ${bits}`);
+}
+
+async function decodeTIFF(bytes, page = 0, maxPixels = Infinity) {
+  const { r, ifds } = readIfds(bytes);
+  const images = tiffImages(ifds);
+  const t = images[Math.max(0, Math.min(images.length - 1, page))];
+  if (!t) throw new Error("TIFF has no images");
+  const width = tag(t, TAG.width, 0);
+  const height = tag(t, TAG.height, 0);
+  checkPixelCount(width, height, maxPixels);
+  const spp = tag(t, TAG.samplesPerPixel, 1);
+  const bits = tag(t, TAG.bitsPerSample, 1);
+  const compression = tag(t, TAG.compression, 1);
+  const photometric = tag(t, TAG.photometric, spp >= 3 ? 2 : 1);
+  const planar = tag(t, TAG.planar, 1);
+  const predictor = tag(t, TAG.predictor, 1);
+  if (tag(t, TAG.sampleFormat, 1) === 3) throw new Error("Floating-point TIFF is not supported");
+  if (predictor !== 1 && predictor !== 2) throw new Error(`Unsupported TIFF predictor ${predictor}`);
+  if (photometric === 6) throw new Error("YCbCr TIFF is not supported");
+  const read = sampleReader(bits, r.le);
+  const max = (1 << bits) - 1;
+
+  // Strips are tiles as wide as the image
+  const tiled = t[TAG.tileWidth] && t[TAG.tileOffsets];
+  const blockW = tiled ? tag(t, TAG.tileWidth, width) : width;
+  const blockH = tiled ? tag(t, TAG.tileLength, height) : Math.min(height, tag(t, TAG.rowsPerStrip, height) || height);
+  const offsets = (tiled ? t[TAG.tileOffsets] : t[TAG.stripOffsets]) || [];
+  const counts = (tiled ? t[TAG.tileByteCounts] : t[TAG.stripByteCounts]) || [];
+  const across = Math.ceil(width / blockW);
+  const down = Math.ceil(height / blockH);
+  const planes = planar === 2 ? spp : 1;
+  const blockSpp = planar === 2 ? 1 : spp;
+  const rowBytes = Math.ceil((blockW * blockSpp * bits) / 8);
+
+  // All samples of the image, chunky, at their file depth
+  const samples = bits > 8 ? new Uint16Array(width * height * spp) : new Uint8Array(width * height * spp);
+  const last = new Uint32Array(blockSpp);
+  for (let plane = 0; plane < planes; plane++) {
+    for (let by = 0; by < down; by++) {
+      for (let bx = 0; bx < across; bx++) {
+        const index = plane * across * down + by * across + bx;
+        if (index >= offsets.length) continue;
+        const start = offsets[index];
+        const end = Math.min(bytes.length, start + (counts[index] || bytes.length - start));
+        const block = await decompress(bytes.subarray(start, end), compression, rowBytes * blockH);
+        const rows = Math.min(blockH, height - by * blockH);
+        const cols = Math.min(blockW, width - bx * blockW);
+        for (let y = 0; y < rows; y++) {
+          const row = y * rowBytes;
+          if (row >= block.length) break;
+          last.fill(0);
+          let out = ((by * blockH + y) * width + bx * blockW) * spp + plane;
+          for (let x = 0; x < cols; x++, out += spp - blockSpp) {
+            for (let c = 0; c < blockSpp; c++, out++) {
+              let v = read(block, row, x * blockSpp + c);
+              if (predictor === 2) v = x ? (v + last[c]) & max : v;
+              last[c] = v;
+              samples[out] = v;
+            }
+          }
+        }
+      }
+    }
+  }
+
+  const pixels = newPixels(width, height, maxPixels);
+  pixels.orientation = tag(t, TAG.orientation, 1);
+  const data = pixels.data;
+  const to8 = bits === 8 ? v => v : v => Math.round((v * 255) / max);
+  const colorChannels = photometric === 2 ? 3 : photometric === 5 ? 4 : 1;
+  const extra = t[TAG.extraSamples] || [];
+  const alphaAt = spp > colorChannels && (extra[0] === 1 || extra[0] === 2) ? colorChannels : -1;
+  const premultiplied = alphaAt >= 0 && extra[0] === 1;
+  const map = t[TAG.colorMap];
+  const mapSize = 1 << bits;
+  for (let i = 0, s = 0, d = 0; i < width * height; i++, s += spp, d += 4) {
+    let red, green, blue;
+    if (photometric === 2) {
+      red = to8(samples[s]); green = to8(samples[s + 1]); blue = to8(samples[s + 2]);
+    } else if (photometric === 3) {
+      if (!map) throw new Error("Palette TIFF has no color map");
+      const v = samples[s];
+      red = map[v] >> 8; green = map[mapSize + v] >> 8; blue = map[mapSize * 2 + v] >> 8;
+    } else if (photometric === 5) {
+      const k = 255 - to8(samples[s + 3]);
+      red = ((255 - to8(samples[s])) * k) / 255;
+      green = ((255 - to8(samples[s + 1])) * k) / 255;
+      blue = ((255 - to8(samples[s + 2])) * k) / 255;
+    } else {
+      const v = to8(samples[s]);
+      red = green = blue = photometric === 0 ? 255 - v : v;
+    }
+    const alpha = alphaAt >= 0 ? to8(samples[s + alphaAt]) : 255;
+    if (premultiplied && alpha && alpha < 255) {
+      red = (red * 255) / alpha; green = (green * 255) / alpha; blue = (blue * 255) / alpha;
+    }
+    data[d] = red; data[d + 1] = green; data[d + 2] = blue; data[d + 3] = alpha;
+  }
+  return pixels;
+}
+
+/* ---------------------------------------------------------------- TGA */
+
+function decodeTGA(bytes, maxPixels = Infinity) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const cmapType = bytes[1];
+  const type = bytes[2];
+  const cmapStart = view.getUint16(3, true);
+  const cmapLength = view.getUint16(5, true);
+  const cmapDepth = bytes[7];
+  const width = view.getUint16(12, true);
+  const height = view.getUint16(14, true);
+  const depth = bytes[16];
+  const descriptor = bytes[17];
+  const alphaBits = descriptor & 0x0f;
+  if (!TGA_TYPES.includes(type)) throw new Error(`Unsupported TGA image type ${type}`);
+  const pixelBytes = Math.ceil(depth / 8);
+  let at = 18 + bytes[0];
+
+  // Color as [r, g, b, a] from `size` bytes at p (15/16-bit: A1R5G5B5)
+  const color = (p, size, withAlpha) => {
+    if (size === 4) return [bytes[p + 2], bytes[p + 1], bytes[p], withAlpha ? bytes[p + 3] : 255];
+    if (size === 3) return [bytes[p + 2], bytes[p + 1], bytes[p], 255];
+    const v = bytes[p] | (bytes[p + 1] << 8);
+    const c5 = n => (n << 3) | (n >> 2);
+    return [c5((v >> 10) & 31), c5((v >> 5) & 31), c5(v & 31), withAlpha && !(v & 0x8000) ? 0 : 255];
+  };
+  let palette = null;
+  if (cmapType === 1) {
+    const entry = Math.ceil(cmapDepth / 8);
+    palette = [];
+    for (let i = 0; i < cmapLength; i++) palette[cmapStart + i] = color(at + i * entry, entry, alphaBits > 0);
+    at += cmapLength * entry;
+  }
+  const kind = type & 7; // 1 mapped, 2 true color, 3 gray
+  const pixel = (p) => {
+    if (kind === 3) return [bytes[p], bytes[p], bytes[p], 255];
+    if (kind === 1) {
+      const index = pixelBytes === 2 ? bytes[p] | (bytes[p + 1] << 8) : bytes[p];
+      return (palette && palette[index]) || [0, 0, 0, 255];
+    }
+    return color(p, pixelBytes, alphaBits > 0);
+  };
+
+  const pixels = newPixels(width, height, maxPixels);
+  const data = pixels.data;
+  const count = width * height;
+  const topDown = descriptor & 0x20;
+  const rightToLeft = descriptor & 0x10;
+  const put = (i, rgba) => {
+    const x = i % width;
+    const y = (i - x) / width;
+    const d = ((topDown ? y : height - 1 - y) * width + (rightToLeft ? width - 1 - x : x)) * 4;
+    data[d] = rgba[0]; data[d + 1] = rgba[1]; data[d + 2] = rgba[2]; data[d + 3] = rgba[3];
+  };
+  if (type < 9) {
+    for (let i = 0; i < count && at + pixelBytes <= bytes.length; i++, at += pixelBytes) put(i, pixel(at));
+  } else {
+    let i = 0;
+    while (i < count && at < bytes.length) {
+      const head = bytes[at++];
+      const n = (head & 0x7f) + 1;
+      if (head & 0x80) {
+        const rgba = pixel(at);
+        at += pixelBytes;
+        for (let k = 0; k < n && i < count; k++) put(i++, rgba);
+      } else {
+        for (let k = 0; k < n && i < count && at + pixelBytes <= bytes.length; k++, at += pixelBytes) put(i++, pixel(at));
+      }
+    }
+  }
+  return pixels;
+}
+
+/* ---------------------------------------------------------------- PPM/PGM/PBM */
+
+// Next whitespace-separated number at `at`, skipping "#" comments: { value, at }
+function pnmToken(bytes, at) {
+  for (;;) {
+    while (at < bytes.length && /\s/.test(String.fromCharCode(bytes[at]))) at++;
+    if (bytes[at] !== 0x23) break; // "#" comment to end of line
+    while (at < bytes.length && bytes[at] !== 0x0a && bytes[at] !== 0x0d) at++;
+  }
+  const start = at;
+  while (at < bytes.length && !/\s/.test(String.fromCharCode(bytes[at]))) at++;
+  if (start === at) throw new Error("Truncated PNM file");
+  return { value: Number(ascii(bytes, start, at - start)), at };
+}
+
+/**
+ * Header of a PPM/PGM/PBM file: { kind (1..6), width, height, maxval, at } with `at` the first
+ * byte of the samples.
+ */
+function pnmHeader(bytes) {
+  const kind = bytes[1] - 0x30; // P1..P6
+  let at = 2;
+  const token = () => {
+    const t = pnmToken(bytes, at);
+    at = t.at;
+    return t.value;
+  };
+  const width = token();
+  const height = token();
+  const maxval = kind === 1 || kind === 4 ? 1 : token();
+  if (!(maxval > 0 && maxval < 65536)) throw new Error("Invalid PNM maximum value");
+  return { kind, width, height, maxval, at: at + 1 }; // single whitespace before binary data
+}
+
+function decodePNM(bytes, maxPixels = Infinity) {
+  const header = pnmHeader(bytes);
+  const { kind, width, height, maxval } = header;
+  let at = header.at;
+  const token = () => {
+    const t = pnmToken(bytes, at);
+    at = t.at;
+    return t.value;
+  };
+  const bitmap = kind === 1 || kind === 4;
+  const channels = kind === 3 || kind === 6 ? 3 : 1;
+  const pixels = newPixels(width, height, maxPixels);
+  const data = pixels.data;
+  const scale = v => Math.round((Math.min(v, maxval) * 255) / maxval);
+
+  let value;
+  if (kind <= 3) {
+    // Plain formats: decimal samples (P1 digits may run together)
+    value = kind === 1
+      ? () => {
+        while (at < bytes.length && bytes[at] !== 0x30 && bytes[at] !== 0x31) at++;
+        return at < bytes.length ? bytes[at++] - 0x30 : 0;
+      }
+      : () => (at < bytes.length ? token() : 0);
+  } else if (kind === 4) {
+    const rowBytes = Math.ceil(width / 8);
+    const base = at;
+    let i = 0;
+    value = () => {
+      const x = i % width;
+      const y = (i - x) / width;
+      i++;
+      return (bytes[base + y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+    };
+  } else {
+    const wide = maxval > 255;
+    value = () => {
+      const v = wide ? (bytes[at] << 8) | bytes[at + 1] : bytes[at];
+      at += wide ? 2 : 1;
+      return v || 0;
+    };
+  }
+  for (let i = 0, d = 0; i < width * height; i++, d += 4) {
+    if (bitmap) {
+      const v = value() ? 0 : 255; // 1 is black
+      data[d] = data[d + 1] = data[d + 2] = v;
+    } else if (channels === 1) {
+      data[d] = data[d + 1] = data[d + 2] = scale(value());
+    } else {
+      data[d] = scale(value());
+      data[d + 1] = scale(value());
+      data[d + 2] = scale(value());
+    }
+    data[d + 3] = 255;
+  }
+  return pixels;
+}
+
+/* ---------------------------------------------------------------- BMP and ICO */
+
+function maskShift(mask) {
+  let shift = 0;
+  if (!mask) return { shift: 0, bits: 0 };
+  while (!((mask >>> shift) & 1)) shift++;
+  let bits = 0;
+  while ((mask >>> (shift + bits)) & 1) bits++;
+  return { shift, bits };
+}
+
+function maskedChannel(value, mask) {
+  if (!mask) return 255;
+  const { shift, bits } = maskShift(mask);
+  const v = (value & mask) >>> shift;
+  return bits >= 8 ? v >>> (bits - 8) : Math.round((v * 255) / ((1 << bits) - 1));
+}
+
+/**
+ * RLE8/RLE4 bitmap data into one palette index per pixel, rows bottom-up.
+ */
+function unpackRle(bytes, at, width, height, four) {
+  const out = new Uint8Array(width * height);
+  let x = 0;
+  let y = 0;
+  while (at + 1 < bytes.length && y < height) {
+    const n = bytes[at++];
+    const v = bytes[at++];
+    if (n) {
+      for (let k = 0; k < n; k++, x++) {
+        if (x < width) out[y * width + x] = four ? (k & 1 ? v & 15 : v >> 4) : v;
+      }
+    } else if (v === 0) {
+      x = 0;
+      y++;
+    } else if (v === 1) {
+      break;
+    } else if (v === 2) {
+      x += bytes[at++];
+      y += bytes[at++];
+    } else {
+      for (let k = 0; k < v; k++, x++) {
+        const b = four ? bytes[at + (k >> 1)] : bytes[at + k];
+        if (x < width) out[y * width + x] = four ? (k & 1 ? b & 15 : b >> 4) : b;
+      }
+      const used = four ? Math.ceil(v / 2) : v;
+      at += used + (used & 1); // absolute runs are word aligned
+    }
+  }
+  return out;
+}
+
+/**
+ * A device-independent bitmap at `at` (BMP after its file header, or an icon image). `dataAt`
+ * is the pixel data offset, or null when it follows the palette. Icons store twice their
+ * height: the color rows, then a 1-bit transparency mask.
+ */
+function decodeDib(bytes, at, dataAt, icon, maxPixels = Infinity) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerSize = view.getUint32(at, true);
+  const core = headerSize === 12;
+  const width = core ? view.getUint16(at + 4, true) : view.getInt32(at + 4, true);
+  let height = core ? view.getInt16(at + 6, true) : view.getInt32(at + 8, true);
+  const bpp = view.getUint16(at + (core ? 10 : 14), true);
+  const compression = core ? 0 : view.getUint32(at + 16, true);
+  const colorsUsed = core ? 0 : view.getUint32(at + 32, true);
+  const topDown = height < 0;
+  height = Math.abs(height);
+  if (icon) height = Math.floor(height / 2);
+  if (compression === 4 || compression === 5) throw new Error("JPEG/PNG inside BMP is not supported");
+
+  let masks = null;
+  let tableAt = at + headerSize;
+  if (compression === 3 || compression === 6) {
+    const maskAt = at + 40;
+    masks = [view.getUint32(maskAt, true), view.getUint32(maskAt + 4, true), view.getUint32(maskAt + 8, true),
+      compression === 6 || headerSize >= 56 ? view.getUint32(maskAt + 12, true) : 0];
+    if (headerSize === 40) tableAt += compression === 6 ? 16 : 12;
+  } else if (bpp === 16) {
+    masks = [0x7c00, 0x03e0, 0x001f, 0];
+  } else if (bpp === 32) {
+    masks = [0xff0000, 0xff00, 0xff, 0xff000000];
+  }
+
+  const palette = [];
+  if (bpp <= 8) {
+    const entry = core ? 3 : 4;
+    // A damaged header can claim billions of colors; no index reaches past 1 << bpp
+    const n = Math.max(0, Math.min(colorsUsed || 1 << bpp, 1 << bpp, Math.floor((bytes.length - tableAt) / entry)));
+    for (let i = 0; i < n; i++) {
+      const p = tableAt + i * entry;
+      palette.push([bytes[p + 2], bytes[p + 1], bytes[p]]);
+    }
+    tableAt += n * entry;
+  }
+  const pixelAt = dataAt === null ? tableAt : dataAt;
+  const stride = Math.floor((width * bpp + 31) / 32) * 4;
+  const pixels = newPixels(width, height, maxPixels);
+  const data = pixels.data;
+  const rowAt = y => pixelAt + (topDown ? y : height - 1 - y) * stride;
+  const indices = compression === 1 || compression === 2
+    ? unpackRle(bytes, pixelAt, width, height, compression === 2)
+    : null;
+
+  let anyAlpha = false;
+  for (let y = 0; y < height; y++) {
+    const row = rowAt(y);
+    for (let x = 0; x < width; x++) {
+      const d = (y * width + x) * 4;
+      let rgba;
+      if (indices) {
+        rgba = palette[indices[(height - 1 - y) * width + x]] || [0, 0, 0];
+      } else if (bpp <= 8) {
+        const bit = x * bpp;
+        const v = (bytes[row + (bit >> 3)] >> (8 - bpp - (bit & 7))) & ((1 << bpp) - 1);
+        rgba = palette[v] || [0, 0, 0];
+      } else if (bpp === 24) {
+        const p = row + x * 3;
+        rgba = [bytes[p + 2], bytes[p + 1], bytes[p]];
+      } else if (bpp === 16 || bpp === 32) {
+        const v = bpp === 16 ? view.getUint16(row + x * 2, true) : view.getUint32(row + x * 4, true);
+        rgba = [maskedChannel(v, masks[0]), maskedChannel(v, masks[1]), maskedChannel(v, masks[2]),
+          masks[3] ? maskedChannel(v, masks[3]) : 255];
+        if (masks[3] && rgba[3]) anyAlpha = true;
+      } else {
+        throw new Error(`Unsupported BMP bit depth ${bpp}`);
+      }
+      data[d] = rgba[0]; data[d + 1] = rgba[1]; data[d + 2] = rgba[2];
+      data[d + 3] = rgba.length > 3 ? rgba[3] : 255;
+    }
+  }
+  // An alpha channel that is all zero was never meant as one
+  if (bpp === 32 && !anyAlpha) for (let i = 3; i < data.length; i += 4) data[i] = 255;
+
+  if (icon && !(bpp === 32 && anyAlpha)) {
+    const maskStride = Math.floor((width + 31) / 32) * 4;
+    const maskAt = pixelAt + stride * height;
+    for (let y = 0; y < height; y++) {
+      const row = maskAt + (height - 1 - y) * maskStride;
+      if (row + maskStride > bytes.length) break;
+      for (let x = 0; x < width; x++) {
+        if ((bytes[row + (x >> 3)] >> (7 - (x & 7))) & 1) data[(y * width + x) * 4 + 3] = 0;
+      }
+    }
+  }
+  return pixels;
+}
+
+function decodeBMP(bytes, maxPixels = Infinity) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return decodeDib(bytes, 14, view.getUint32(10, true), false, maxPixels);
+}
+
+const isPNG = bytes => bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47;
+
+async function decodeBrowserPNG(bytes, maxPixels = Infinity) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  checkPixelCount(view.getUint32(16), view.getUint32(20), maxPixels);
+  const bitmap = await createImageBitmap(new Blob([bytes], { type: "image/png" }));
+  // Workers have no document
+  const c = typeof OffscreenCanvas !== "undefined" ? new OffscreenCanvas(1, 1) : document.createElement("canvas");
+  c.width = bitmap.width;
+  c.height = bitmap.height;
+  const cctx = c.getContext("2d");
+  cctx.drawImage(bitmap, 0, 0);
+  try { bitmap.close(); } catch {}
+  const img = cctx.getImageData(0, 0, c.width, c.height);
+  return { width: img.width, height: img.height, data: img.data, orientation: 1 };
+}
+
+// The directory entry decodeICO reads: the largest image, then the deepest
+function icoEntry(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const count = view.getUint16(4, true);
+  let best = null;
+  for (let i = 0; i < count; i++) {
+    const e = 6 + i * 16;
+    if (e + 16 > bytes.length) break;
+    const entry = {
+      size: (bytes[e] || 256) * (bytes[e + 1] || 256),
+      bpp: view.getUint16(e + 6, true),
+      length: view.getUint32(e + 8, true),
+      offset: view.getUint32(e + 12, true)
+    };
+    if (entry.offset >= bytes.length) continue;
+    if (!best || entry.size > best.size || (entry.size === best.size && entry.bpp > best.bpp)) best = entry;
+  }
+  if (!best) throw new Error("Icon has no images");
+  return best;
+}
+
+async function decodeICO(bytes, maxPixels = Infinity) {
+  const best = icoEntry(bytes);
+  const body = bytes.subarray(best.offset, Math.min(bytes.length, best.offset + best.length));
+  if (isPNG(body)) return decodeBrowserPNG(body, maxPixels);
+  return decodeDib(body, 0, null, true, maxPixels);
+}
+
+export async function scriptImageSize(file, format) {
+  const head = new Uint8Array(await file.slice(0, 65536).arrayBuffer());
+  const view = new DataView(head.buffer, head.byteOffset, head.byteLength);
+  if (format === "tga") return { width: view.getUint16(12, true), height: view.getUint16(14, true) };
+  if (format === "pnm") {
+    const { width, height } = pnmHeader(head);
+    return { width, height };
+  }
+  if (format === "bmp") {
+    if (view.getUint32(14, true) === 12) return { width: view.getUint16(18, true), height: view.getUint16(20, true) };
+    return { width: Math.abs(view.getInt32(18, true)), height: Math.abs(view.getInt32(22, true)) };
+  }
+  if (format === "ico") {
+    // The directory's one-byte sizes need not match the image they point at; read its header
+    const { offset } = icoEntry(head);
+    const body = new Uint8Array(await file.slice(offset, offset + 32).arrayBuffer());
+    const at = new DataView(body.buffer);
+    if (isPNG(body)) return { width: at.getUint32(16), height: at.getUint32(20) };
+    if (at.getUint32(0, true) === 12) return { width: at.getUint16(4, true), height: Math.floor(at.getInt16(6, true) / 2) };
+    return { width: Math.abs(at.getInt32(4, true)), height: Math.floor(Math.abs(at.getInt32(8, true)) / 2) };
+  }
+  throw new Error(`No header reader for ${format}`);
+}
+
+export async function decodeImage(bytes, format, { page = 0, maxPixels = Infinity } = {}) {
+  if (format === "tiff") return decodeTIFF(bytes, page, maxPixels);
+  if (format === "tga") return decodeTGA(bytes, maxPixels);
+  if (format === "pnm") return decodePNM(bytes, maxPixels);
+  if (format === "ico") return decodeICO(bytes, maxPixels);
+  if (format === "bmp") return decodeBMP(bytes, maxPixels);
+  throw new Error(`No decoder for ${format}`);
+}
+
+/**
+ * Decode in a worker so the page stays responsive and a runaway decode can be stopped: past
+ * timeoutMs (0 = no limit) the worker is terminated and the promise rejects with a
+ * "TimeoutError". Where module workers are unavailable the decode runs on this thread.
+ */
+export function decodeFileInWorker(blob, format, { page = 0, timeoutMs = 0, maxPixels = Infinity } = {}) {
+  const here = async () => decodeImage(new Uint8Array(await blob.arrayBuffer()), format, { page, maxPixels });
+  let worker = null;
+  try {
+    if (typeof Worker !== "undefined") worker = new Worker(new URL("./decodeWorker.js", import.meta.url), { type: "module" });
+  } catch {
+    worker = null;
+  }
+  if (!worker) return here();
+  return new Promise((resolve, reject) => {
+    let timer = 0;
+    let started = false;
+    const finish = () => {
+      clearTimeout(timer);
+      worker.terminate();
+    };
+    worker.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.started) {
+        started = true;
+        return;
+      }
+      finish();
+      if (msg.error) reject(Object.assign(new Error(msg.error), msg.code ? { code: msg.code } : {}));
+      else resolve({ width: msg.width, height: msg.height, orientation: msg.orientation, data: new Uint8ClampedArray(msg.data) });
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      finish();
+      // A worker that never started means no module worker support; one that crashed mid-decode
+      // (e.g. out of memory) is not retried here
+      if (started) reject(new Error((e && e.message) || "Decoder crashed"));
+      else here().then(resolve, reject);
+    };
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        finish();
+        const err = new Error(`Decoding took longer than ${timeoutMs} ms`);
+        err.name = "TimeoutError";
+        reject(err);
+      }, timeoutMs);
+    }
+    worker.postMessage({ blob, format, page, maxPixels });
+  });
+}
@@ -0,0 +1,216 @@
+/**
+ * encoders.js
+ * Pure-JavaScript image encoders for formats canvas cannot produce (GIF, BMP, TIFF, ICO) and a
+ * lossless WebP fallback for browsers without a native WebP encoder.
+ *
+ * API:
+ * - JS_FORMATS: format -> { mime, ext, label }
+ * - encodeImage(canvas, format, { resample }) => Promise<Blob>
+ * - encodeBMP(imageData), encodeTIFF(imageData) => Uint8Array|Promise<Uint8Array>
+ * - encodeICO(canvas, kernel) => Promise<Uint8Array>; icon sizes use the resample.js kernel
+ */
+
+import { encodeGIF } from "./gifEncoder.js";
+import { encodeWebPLossless } from "./webpEncoder.js";
+import { resampleCanvas } from "./resample.js";
+
+export const JS_FORMATS = {
+  gif: { mime: "image/gif", ext: "gif", label: "GIF" },
+  bmp: { mime: "image/bmp", ext: "bmp", label: "BMP" },
+  tiff: { mime: "image/tiff", ext: "tif", label: "TIFF" },
+  ico: { mime: "image/x-icon", ext: "ico", label: "ICO" },
+  webp: { mime: "image/webp", ext: "webp", label: "WebP" }
+};
+
+const ICO_SIZES = [16, 24, 32, 48, 64, 128, 256];
+
+function hasAlpha(data) {
+  for (let i = 3; i < data.length; i += 4) if (data[i] !== 255) return true;
+  return false;
+}
+
+/**
+ * Windows bitmap, bottom-up. Opaque images are 24-bit; images with transparency are 32-bit
+ * with a BITMAPV4HEADER so the alpha mask is honoured.
+ */
+export function encodeBMP({ width, height, data }) {
+  const alpha = hasAlpha(data);
+  const headerSize = alpha ? 108 : 40;
+  const bpp = alpha ? 32 : 24;
+  const rowSize = alpha ? width * 4 : (width * 3 + 3) & ~3;
+  const offset = 14 + headerSize;
+  const out = new Uint8Array(offset + rowSize * height);
+  const view = new DataView(out.buffer);
+  out[0] = 0x42; out[1] = 0x4d; // "BM"
+  view.setUint32(2, out.length, true);
+  view.setUint32(10, offset, true);
+  view.setUint32(14, headerSize, true);
+  view.setInt32(18, width, true);
+  view.setInt32(22, height, true);
+  view.setUint16(26, 1, true);
+  view.setUint16(28, bpp, true);
+  view.setUint32(30, alpha ? 3 : 0, true); // BI_BITFIELDS : BI_RGB
+  view.setUint32(34, rowSize * height, true);
+  view.setInt32(38, 2835, true); // 72 DPI
+  view.setInt32(42, 2835, true);
+  if (alpha) {
+    view.setUint32(54, 0x00ff0000, true); // red mask
+    view.setUint32(58, 0x0000ff00, true);
+    view.setUint32(62, 0x000000ff, true);
+    view.setUint32(66, 0xff000000, true); // alpha mask
+    view.setUint32(70, 0x73524742, true); // "sRGB"
+  }
+  for (let y = 0; y < height; y++) {
+    let at = offset + (height - 1 - y) * rowSize;
+    for (let x = 0, i = y * width * 4; x < width; x++, i += 4) {
+      out[at++] = data[i + 2];
+      out[at++] = data[i + 1];
+      out[at++] = data[i];
+      if (alpha) out[at++] = data[i + 3];
+    }
+  }
+  return out;
+}
+
+async function zlibDeflate(bytes) {
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Baseline little-endian TIFF, one strip of 8-bit RGB or RGBA (unassociated alpha). The strip
+ * is Deflate-compressed when CompressionStream is available.
+ */
+export async function encodeTIFF({ width, height, data }) {
+  const alpha = hasAlpha(data);
+  const spp = alpha ? 4 : 3;
+  let raw = data;
+  if (!alpha) {
+    raw = new Uint8Array(width * height * 3);
+    for (let i = 0, j = 0; i < data.length; i += 4) {
+      raw[j++] = data[i]; raw[j++] = data[i + 1]; raw[j++] = data[i + 2];
+    }
+  }
+  const packed = await zlibDeflate(raw);
+  const strip = packed && packed.length < raw.length ? packed : new Uint8Array(raw.buffer, raw.byteOffset, raw.byteLength);
+  const compression = strip === packed ? 8 : 1;
+
+  const tags = [
+    [256, 4, 1, width],
+    [257, 4, 1, height],
+    [258, 3, spp, null],       // BitsPerSample, written out of line
+    [259, 3, 1, compression],
+    [262, 3, 1, 2],            // RGB
+    [273, 4, 1, 0],            // StripOffsets, patched below
+    [277, 3, 1, spp],
+    [278, 4, 1, height],
+    [279, 4, 1, strip.length],
+    [282, 5, 1, null],         // XResolution
+    [283, 5, 1, null],         // YResolution
+    [284, 3, 1, 1],            // chunky
+    [296, 3, 1, 2]             // inches
+  ];
+  if (alpha) tags.push([338, 3, 1, 2]); // ExtraSamples: unassociated alpha
+
+  const ifdAt = 8;
+  const ifdSize = 2 + tags.length * 12 + 4;
+  const bpsAt = ifdAt + ifdSize;
+  const xresAt = bpsAt + spp * 2;
+  const yresAt = xresAt + 8;
+  const stripAt = yresAt + 8;
+  const out = new Uint8Array(stripAt + strip.length);
+  const view = new DataView(out.buffer);
+  out.set([0x49, 0x49, 42, 0]);
+  view.setUint32(4, ifdAt, true);
+  view.setUint16(ifdAt, tags.length, true);
+  tags.forEach(([tag, type, count, value], i) => {
+    const at = ifdAt + 2 + i * 12;
+    view.setUint16(at, tag, true);
+    view.setUint16(at + 2, type, true);
+    view.setUint32(at + 4, count, true);
+    if (tag === 258) view.setUint32(at + 8, bpsAt, true);
+    else if (tag === 282) view.setUint32(at + 8, xresAt, true);
+    else if (tag === 283) view.setUint32(at + 8, yresAt, true);
+    else if (tag === 273) view.setUint32(at + 8, stripAt, true);
+    else if (type === 3) view.setUint16(at + 8, value, true);
+    else view.setUint32(at + 8, value, true);
+  });
+  view.setUint32(ifdAt + 2 + tags.length * 12, 0, true);
+  for (let s = 0; s < spp; s++) view.setUint16(bpsAt + s * 2, 8, true);
+  view.setUint32(xresAt, 72, true); view.setUint32(xresAt + 4, 1, true);
+  view.setUint32(yresAt, 72, true); view.setUint32(yresAt + 4, 1, true);
+  out.set(strip, stripAt);
+  return out;
+}
+
+function canvasToPngBytes(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((b) => {
+      if (!b) { reject(new Error("toBlob returned null")); return; }
+      b.arrayBuffer().then(buf => resolve(new Uint8Array(buf)), reject);
+    }, "image/png");
+  });
+}
+
+/**
+ * Windows icon with PNG-compressed entries at the standard sizes up to the source's longer edge
+ * (at most 256px). Non-square images are centered on a transparent square.
+ */
+export async function encodeICO(canvas, kernel) {
+  const longest = Math.max(canvas.width, canvas.height);
+  const sizes = ICO_SIZES.filter(s => s <= Math.max(16, Math.min(256, longest)));
+  const images = [];
+  for (const size of sizes) {
+    const c = document.createElement("canvas");
+    c.width = size;
+    c.height = size;
+    const k = size / longest;
+    const w = Math.max(1, Math.round(canvas.width * k));
+    const h = Math.max(1, Math.round(canvas.height * k));
+    const scaled = await resampleCanvas(canvas, w, h, kernel);
+    c.getContext("2d").drawImage(scaled, Math.floor((size - w) / 2), Math.floor((size - h) / 2));
+    images.push({ size, png: await canvasToPngBytes(c) });
+  }
+  const dirSize = 6 + images.length * 16;
+  const out = new Uint8Array(dirSize + images.reduce((n, im) => n + im.png.length, 0));
+  const view = new DataView(out.buffer);
+  view.setUint16(2, 1, true); // icon
+  view.setUint16(4, images.length, true);
+  let offset = dirSize;
+  images.forEach(({ size, png }, i) => {
+    const at = 6 + i * 16;
+    out[at] = size >= 256 ? 0 : size;
+    out[at + 1] = size >= 256 ? 0 : size;
+    view.setUint16(at + 4, 1, true);  // planes
+    view.setUint16(at + 6, 32, true); // bits per pixel
+    view.setUint32(at + 8, png.length, true);
+    view.setUint32(at + 12, offset, true);
+    out.set(png, offset);
+    offset += png.length;
+  });
+  return out;
+}
+
+/**
+ * Encode a canvas in one of JS_FORMATS. `resample` is the kernel for formats that scale
+ * (ICO sizes).
+ */
+export async function encodeImage(canvas, format, { resample } = {}) {
+  const info = JS_FORMATS[format];
+  if (!info) throw new Error(`No JavaScript encoder for ${format}`);
+  let bytes;
+  if (format === "ico") {
+    bytes = await encodeICO(canvas, resample);
+  } else {
+    const imageData = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+    if (format === "gif") bytes = encodeGIF(imageData);
+    else if (format === "bmp") bytes = encodeBMP(imageData);
+    else if (format === "tiff") bytes = await encodeTIFF(imageData);
+    else bytes = encodeWebPLossless(imageData);
+  }
+  return new Blob([bytes], { type: info.mime });
+}
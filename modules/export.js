@@ -1,9 +1,75 @@
 /**
  * export.js
- * Export logic extracted from app.js. Provides downloadPNG, exportWithOptions, and initExport.
+ * Export logic extracted from app.js. Provides downloadPNG, copyImage, exportWithOptions,
+ * exportPresetsZip, renderCanvas, fileNameFrom, downloadBlob and initExport.
+ *
+ * Export settings: { format: "png"|"jpeg"|"webp"|"gif"|"bmp"|"tiff"|"ico"|"ora"|"psd"|"pdf", quality,
+ * sizeMode: "scale"|"long"|"exact",
+ * scale (percent), long (px on the longer edge), width, height (exact px),
+ * metadata: "keep"|"strip-location"|"strip" (source EXIF/XMP, see metadata.js),
+ * maxBytes (0 = no limit), allowDownscale (shrink the image when quality alone cannot reach maxBytes),
+ * resample: resampling kernel for scaling (see resample.js), dpi (print resolution, written into
+ * PNG and JPEG), pdfPage: "a4"|"letter"|"custom", pdfWidth/pdfHeight (mm, custom pages),
+ * pdfOrientation: "auto"|"portrait"|"landscape", pdfMargin (mm), pdfPlacement: "fit"|"fill"|"actual",
+ * filename: download name template, see fileNameFrom }.
+ * Named presets are settings with a name, persisted in localStorage; the dialog also remembers
+ * the last settings used.
+ *
+ * PNG and JPEG come from canvas.toBlob; GIF, BMP, TIFF and ICO always use the JavaScript encoders
+ * in encoders.js, and WebP falls back to the lossless JavaScript encoder when the browser
+ * cannot encode it natively. OpenRaster and PSD keep the image, pasted-image, text and drawing layers apart
+ * (layered.js); every other format is flattened. PDF places the flattened image on a printable
+ * page (pdf.js).
+ *
+ * Where the File System Access API is available, an export can also be written to a file chosen
+ * in a save picker, or over the opened file itself (its handle comes from loader.js through
+ * getSourceFile); that save keeps the original file's format.
+ *
+ * While a reduced proxy of a larger image is being edited (getFullResolution returns the
+ * original size), exports are rendered from renderFullResolution, the edit log replayed on the
+ * original; the dialog preview still shows the proxy.
  */
 
 import { handleFormatChange as uiHandleFormatChange } from "./ui.js";
+import { createZip } from "./zip.js";
+import { embedMetadata, embedResolution, METADATA_MODES } from "./metadata.js";
+import { encodeImage } from "./encoders.js";
+import { resampleCanvas, normalizeKernel, DEFAULT_KERNEL } from "./resample.js";
+import { encodeLayered, LAYERED_FORMATS } from "./layered.js";
+import { encodePDF, PAGE_SIZES } from "./pdf.js";
+import { canvasFits } from "./tiles.js";
+
+const PRESETS_KEY = "photoEdit.exportPresets";
+const LAST_SETTINGS_KEY = "photoEdit.exportLast";
+const MAX_EXPORT_DIMENSION = 16384;
+const KB = 1024;
+// Target file size search
+const MIN_QUALITY = 0.1;
+const DOWNSCALE_QUALITY_FLOOR = 0.5; // with downscaling allowed, shrink before going below this
+const QUALITY_SEARCH_STEPS = 7;
+const MAX_DOWNSCALE_STEPS = 6;
+const MIN_FIT_DIMENSION = 16;
+const PREVIEW_DELAY = 250; // ms after the last settings change before the preview re-encodes
+
+export const DEFAULT_PRESETS = [
+  { name: "2048px JPEG", format: "jpeg", quality: 0.85, sizeMode: "long", long: 2048 },
+  { name: "1080px WebP", format: "webp", quality: 0.8, sizeMode: "long", long: 1080 },
+  { name: "256px PNG thumbnail", format: "png", quality: 1, sizeMode: "long", long: 256 }
+];
+
+const FORMATS = ["png", "jpeg", "webp", "gif", "bmp", "tiff", "ico", "ora", "psd", "pdf"];
+const EXTENSIONS = { png: "png", jpeg: "jpg", webp: "webp", gif: "gif", bmp: "bmp", tiff: "tif", ico: "ico", ora: "ora", psd: "psd", pdf: "pdf" };
+const DEFAULT_DPI = 72;
+const MIMES = {
+  png: "image/png", jpeg: "image/jpeg", webp: "image/webp", gif: "image/gif", bmp: "image/bmp", tiff: "image/tiff",
+  ico: "image/x-icon", ora: LAYERED_FORMATS.ora.mime, psd: LAYERED_FORMATS.psd.mime, pdf: "application/pdf"
+};
+// Formats a file can be saved back in, by its extension
+const SAVE_BACK_FORMATS = { png: "png", jpg: "jpeg", jpeg: "jpeg", jfif: "jpeg", webp: "webp", gif: "gif", bmp: "bmp", tif: "tiff", tiff: "tiff", ico: "ico" };
+export const DEFAULT_FILENAME = "{name}-edited";
+const BUNDLE_FILENAME = "{name}-{preset}-{w}x{h}";
+const MAX_FILENAME_LENGTH = 120;
+let nativeWebp = null; // cached featureSupports("image/webp")
 
 function featureSupports(type) {
   try {
@@ -24,126 +90,659 @@ function fillIfOpaqueFormat(ctx, w, h, format) {
   }
 }
 
-export function downloadPNG(canvas, { announce, showToast } = {}) {
+// Overlay layers over the base canvas, bottom to top: [element id, layer name]
+const OVERLAY_LAYERS = [["paste-layer", "Pasted image"], ["text-layer", "Text"], ["draw-layer", "Drawing"]];
+
+function isShown(el) {
+  return !(el.hidden || el.style.display === "none" || el.style.visibility === "hidden");
+}
+
+/**
+ * Merge the base canvas with the visible pasted-image, text and drawing layers into a new
+ * canvas at 1:1.
+ */
+function mergeLayers(canvas) {
+  const merged = document.createElement("canvas");
+  merged.width = canvas.width;
+  merged.height = canvas.height;
+  const mctx = merged.getContext("2d");
+  mctx.imageSmoothingEnabled = true;
+  mctx.imageSmoothingQuality = "high";
+  mctx.drawImage(canvas, 0, 0);
+  OVERLAY_LAYERS.forEach(([id]) => {
+    const el = document.getElementById(id);
+    if (el && el.width && el.height && isShown(el)) mctx.drawImage(el, 0, 0);
+  });
+  return merged;
+}
+
+/**
+ * The editor's layers, bottom to top, for layered formats: [{ name, canvas, visible }].
+ * Empty or unsized overlay layers are still listed so the layer structure is kept.
+ */
+function collectLayers(canvas) {
+  const layers = [{ name: "Image", canvas, visible: true }];
+  OVERLAY_LAYERS.forEach(([id, name]) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    let layer = el;
+    if (el.width !== canvas.width || el.height !== canvas.height) {
+      layer = document.createElement("canvas");
+      layer.width = canvas.width;
+      layer.height = canvas.height;
+      if (el.width && el.height) layer.getContext("2d").drawImage(el, 0, 0);
+    }
+    layers.push({ name, canvas: layer, visible: isShown(el) });
+  });
+  return layers;
+}
+
+function clampQuality(q) {
+  return Math.max(0.1, Math.min(1, Number.isFinite(q) ? q : 0.85));
+}
+
+/**
+ * Normalize export settings (e.g. from storage or the dialog) and fill in defaults.
+ */
+export function normalizeSettings(s = {}) {
+  const format = FORMATS.includes(s.format) ? s.format : "png";
+  const sizeMode = ["scale", "long", "exact"].includes(s.sizeMode) ? s.sizeMode : "scale";
+  const px = (v) => Math.max(0, Math.min(MAX_EXPORT_DIMENSION, Math.round(Number(v) || 0)));
+  const mm = (v, fallback) => Math.max(0, Math.min(5080, Number.isFinite(Number(v)) && v !== "" && v != null ? Number(v) : fallback));
+  return {
+    format,
+    quality: clampQuality(Number(s.quality)),
+    sizeMode,
+    scale: Math.max(10, Math.min(400, Math.round(Number(s.scale) || 100))),
+    long: px(s.long),
+    width: px(s.width),
+    height: px(s.height),
+    // Location is dropped unless explicitly kept
+    metadata: METADATA_MODES.includes(s.metadata) ? s.metadata : "strip-location",
+    maxBytes: Math.max(0, Math.round(Number(s.maxBytes) || 0)),
+    allowDownscale: !!s.allowDownscale,
+    resample: normalizeKernel(s.resample || DEFAULT_KERNEL),
+    dpi: Math.max(1, Math.min(2400, Math.round(Number(s.dpi) || DEFAULT_DPI))),
+    pdfPage: (PAGE_SIZES[s.pdfPage] || s.pdfPage === "custom") ? s.pdfPage : "a4",
+    pdfWidth: mm(s.pdfWidth, PAGE_SIZES.a4[0]),
+    pdfHeight: mm(s.pdfHeight, PAGE_SIZES.a4[1]),
+    pdfOrientation: ["auto", "portrait", "landscape"].includes(s.pdfOrientation) ? s.pdfOrientation : "auto",
+    pdfMargin: mm(s.pdfMargin, 10),
+    pdfPlacement: ["fit", "fill", "actual"].includes(s.pdfPlacement) ? s.pdfPlacement : "fit",
+    filename: String(s.filename || "").trim().slice(0, MAX_FILENAME_LENGTH) || DEFAULT_FILENAME
+  };
+}
+
+function stripExtension(name) {
+  return String(name || "").replace(/\.[^.]*$/, "");
+}
+
+/**
+ * File name (without extension) from a template. Tokens: {name} source file name without its
+ * extension ("image" when unknown), {w} {h} output size, {preset} preset name ("custom" when
+ * none), {format}, {date} YYYY-MM-DD and {time} HHMMSS. Unknown tokens are kept as written;
+ * characters file systems reject become "-".
+ */
+export function fileNameFrom(template, { name, width, height, preset, format, date = new Date() } = {}) {
+  const p = (n) => String(n).padStart(2, "0");
+  const tokens = {
+    name: stripExtension(name) || "image",
+    w: width,
+    h: height,
+    preset: preset ? fileSlug(preset) : "custom",
+    format: format || "",
+    date: `${date.getFullYear()}-${p(date.getMonth() + 1)}-${p(date.getDate())}`,
+    time: `${p(date.getHours())}${p(date.getMinutes())}${p(date.getSeconds())}`
+  };
+  const out = String(template || DEFAULT_FILENAME)
+    .replace(/\{(\w+)\}/g, (m, key) => (key in tokens ? String(tokens[key] ?? "") : m))
+    .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, "-")
+    .replace(/^[\s.]+|[\s.]+$/g, "")
+    .slice(0, MAX_FILENAME_LENGTH);
+  return out || "image";
+}
+
+/**
+ * Export format matching a file name's extension for saving back over it, or null.
+ */
+export function saveBackFormat(name) {
+  const m = /\.([^.]+)$/.exec(String(name || ""));
+  return (m && SAVE_BACK_FORMATS[m[1].toLowerCase()]) || null;
+}
+
+/**
+ * Output size for `settings` applied to a width×height image. "exact" with only one side set
+ * keeps the aspect ratio.
+ */
+export function exportSize(width, height, settings) {
+  const s = normalizeSettings(settings);
+  let w = width * (s.scale / 100);
+  let h = height * (s.scale / 100);
+  if (s.sizeMode === "long" && s.long) {
+    const k = s.long / Math.max(width, height);
+    w = width * k;
+    h = height * k;
+  } else if (s.sizeMode === "exact" && (s.width || s.height)) {
+    w = s.width || (width * (s.height / height));
+    h = s.height || (height * (s.width / width));
+  }
+  const fit = Math.min(1, MAX_EXPORT_DIMENSION / Math.max(w, h));
+  return {
+    width: Math.max(1, Math.round(w * fit)),
+    height: Math.max(1, Math.round(h * fit))
+  };
+}
+
+function mimeOf(format) {
+  return MIMES[format];
+}
+
+// Formats the browser's canvas encoder produces; everything else goes through encoders.js
+function encodesNatively(format) {
+  if (format === "png" || format === "jpeg") return true;
+  if (format !== "webp") return false;
+  if (nativeWebp === null) nativeWebp = featureSupports("image/webp");
+  return nativeWebp;
+}
+
+/**
+ * Whether the quality setting applies (lossy native encoders, and PDF's embedded JPEG).
+ */
+export function usesQuality(format) {
+  return format === "jpeg" || format === "pdf" || (format === "webp" && encodesNatively("webp"));
+}
+
+function canvasToBlob(temp, mime, quality) {
+  return new Promise((resolve, reject) => {
+    if (temp.toBlob) {
+      temp.toBlob((b) => b ? resolve(b) : reject(new Error("toBlob returned null")), mime, quality);
+    } else {
+      try {
+        const dataUrl = temp.toDataURL(mime, quality);
+        fetch(dataUrl).then(r => r.blob()).then(resolve).catch(reject);
+      } catch (err) { reject(err); }
+    }
+  });
+}
+
+async function drawScaled(merged, width, height, s) {
+  const temp = await resampleCanvas(merged, width, height, s.resample);
+  fillIfOpaqueFormat(temp.getContext("2d"), width, height, s.format);
+  return temp;
+}
+
+async function encodeCanvas(temp, s, quality, metadata) {
+  if (s.format === "pdf") {
+    return encodePDF(temp, {
+      page: s.pdfPage,
+      width: s.pdfWidth,
+      height: s.pdfHeight,
+      orientation: s.pdfOrientation,
+      margin: s.pdfMargin,
+      placement: s.pdfPlacement,
+      dpi: s.dpi,
+      quality,
+      resample: s.resample
+    });
+  }
+  let blob = encodesNatively(s.format)
+    ? await canvasToBlob(temp, mimeOf(s.format), s.format === "png" ? undefined : quality)
+    : await encodeImage(temp, s.format, { resample: s.resample });
+  if (metadata && s.metadata !== "strip") {
+    blob = await embedMetadata(blob, s.format, metadata, {
+      width: temp.width,
+      height: temp.height,
+      stripLocation: s.metadata === "strip-location"
+    });
+  }
+  return embedResolution(blob, s.format, s.dpi);
+}
+
+/**
+ * Encode within s.maxBytes. Lossy formats binary-search quality below the chosen one; when
+ * that is not enough and s.allowDownscale is set, the image is shrunk (by the byte overshoot,
+ * assuming size follows pixel count) and searched again. Resolves the best attempt that fits,
+ * or the smallest one with fits: false.
+ */
+async function fitToSize(merged, s, metadata, width, height) {
+  const lossy = usesQuality(s.format);
+  const floor = s.allowDownscale ? Math.min(s.quality, DOWNSCALE_QUALITY_FLOOR) : MIN_QUALITY;
+  let smallest = null;
+  for (let step = 0; ; step++) {
+    const temp = await drawScaled(merged, width, height, s);
+    const attempt = async (quality) => {
+      const blob = await encodeCanvas(temp, s, quality, metadata);
+      const result = { blob, width, height, quality: lossy ? quality : null };
+      if (!smallest || blob.size < smallest.blob.size) smallest = result;
+      return result;
+    };
+
+    let low = await attempt(s.quality);
+    if (low.blob.size <= s.maxBytes) return { ...low, fits: true };
+    if (lossy && floor < s.quality) {
+      low = await attempt(floor);
+      if (low.blob.size <= s.maxBytes) {
+        let best = low;
+        let lo = floor;
+        let hi = s.quality;
+        for (let i = 0; i < QUALITY_SEARCH_STEPS; i++) {
+          const q = Math.round(((lo + hi) / 2) * 100) / 100;
+          if (q <= lo || q >= hi) break;
+          const r = await attempt(q);
+          if (r.blob.size <= s.maxBytes) { best = r; lo = q; } else { hi = q; }
+        }
+        return { ...best, fits: true };
+      }
+    }
+
+    if (!s.allowDownscale || step >= MAX_DOWNSCALE_STEPS || Math.max(width, height) <= MIN_FIT_DIMENSION) break;
+    const k = Math.max(0.25, Math.min(0.9, Math.sqrt(s.maxBytes / low.blob.size) * 0.95));
+    width = Math.max(1, Math.round(width * k));
+    height = Math.max(1, Math.round(height * k));
+  }
+  return { ...smallest, fits: false };
+}
+
+/**
+ * Render an already merged canvas with export settings. Resolves { blob, width, height, ext,
+ * quality, fits } where quality is null for formats without one and fits is null unless the
+ * settings set maxBytes. Source metadata is written back unless the settings strip it.
+ * Layered formats use `layers` (from collectLayers) instead of the merged canvas and ignore
+ * maxBytes and metadata.
+ */
+async function renderExport(merged, settings, metadata = null, layers = null) {
+  const s = normalizeSettings(settings);
+  const { width: outW, height: outH } = exportSize(merged.width, merged.height, s);
+  const ext = EXTENSIONS[s.format];
+  if (LAYERED_FORMATS[s.format]) {
+    const scaled = [];
+    for (const l of layers || [{ name: "Image", canvas: merged, visible: true }]) {
+      scaled.push({ ...l, canvas: await resampleCanvas(l.canvas, outW, outH, s.resample) });
+    }
+    return { blob: await encodeLayered(scaled, s.format), width: outW, height: outH, ext, quality: null, fits: null };
+  }
+  if (s.maxBytes) return { ...(await fitToSize(merged, s, metadata, outW, outH)), ext };
+  const blob = await encodeCanvas(await drawScaled(merged, outW, outH, s), s, s.quality, metadata);
+  return { blob, width: outW, height: outH, ext, quality: usesQuality(s.format) ? s.quality : null, fits: null };
+}
+
+export function downloadBlob(blob, name) {
+  const a = document.createElement("a");
+  const url = URL.createObjectURL(blob);
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function writeToHandle(handle, blob) {
+  const writable = await handle.createWritable();
+  try {
+    await writable.write(blob);
+  } catch (e) {
+    try { await writable.abort(); } catch {}
+    throw e;
+  }
+  await writable.close();
+}
+
+async function canWrite(handle) {
+  if (typeof handle.queryPermission !== "function") return true;
+  const mode = { mode: "readwrite" };
+  if ((await handle.queryPermission(mode)) === "granted") return true;
+  return (await handle.requestPermission(mode)) === "granted";
+}
+
+export function canPickSaveFile() {
+  return typeof window !== "undefined" && typeof window.showSaveFilePicker === "function";
+}
+
+export function loadPresets() {
+  try {
+    const raw = localStorage.getItem(PRESETS_KEY);
+    const list = raw ? JSON.parse(raw) : null;
+    if (Array.isArray(list)) return list.filter(p => p && p.name).map(p => ({ name: String(p.name), ...normalizeSettings(p) }));
+  } catch {}
+  return DEFAULT_PRESETS.map(p => ({ name: p.name, ...normalizeSettings(p) }));
+}
+
+export function savePresets(list) {
+  try { localStorage.setItem(PRESETS_KEY, JSON.stringify(list)); } catch {}
+}
+
+function loadLastSettings() {
+  try {
+    const raw = localStorage.getItem(LAST_SETTINGS_KEY);
+    return raw ? normalizeSettings(JSON.parse(raw)) : null;
+  } catch { return null; }
+}
+
+function saveLastSettings(settings) {
+  try { localStorage.setItem(LAST_SETTINGS_KEY, JSON.stringify(normalizeSettings(settings))); } catch {}
+}
+
+function fileSlug(name) {
+  return String(name || "export").trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "export";
+}
+
+function tooLargeError(width, height) {
+  const err = new Error(`${width}×${height} is more than this browser can hold in one image; export at a smaller size.`);
+  err.code = "too-large";
+  return err;
+}
+
+// Toast text for a failed export: size limits are explained, anything else gets `fallback`
+function failureDetail(e, fallback) {
+  return e && e.code === "too-large" ? e.message : fallback;
+}
+
+/**
+ * What an export renders from: { merged, layers, settings, size }. Normally the editor
+ * canvases; while editing a proxy, the full-resolution replay, with `size` the original size.
+ * When the original does not fit in one canvas the replay comes back at the output size and
+ * the settings are pinned to it.
+ */
+async function exportSource(canvas, s, { getFullResolution, renderFullResolution } = {}) {
+  const full = getFullResolution && renderFullResolution ? getFullResolution() : null;
+  if (!full) return { merged: mergeLayers(canvas), layers: collectLayers(canvas), settings: s, size: canvas };
+  const out = exportSize(full.width, full.height, s);
+  if (!canvasFits(out.width, out.height)) throw tooLargeError(out.width, out.height);
+  const layered = !!LAYERED_FORMATS[s.format];
+  const { image, pasted, text, drawing } = await renderFullResolution({ width: out.width, height: out.height, separate: layered });
+  let layers = null;
+  if (layered) {
+    layers = [{ name: "Image", canvas: image, visible: true }];
+    const rendered = { "paste-layer": pasted, "text-layer": text, "draw-layer": drawing };
+    OVERLAY_LAYERS.forEach(([id, name]) => {
+      const el = document.getElementById(id);
+      rendered[id] && layers.push({ name, canvas: rendered[id], visible: !el || isShown(el) });
+    });
+  }
+  const settings = image.width === full.width && image.height === full.height
+    ? s
+    : normalizeSettings({ ...s, sizeMode: "exact", width: out.width, height: out.height });
+  return { merged: image, layers, settings, size: full };
+}
+
+/**
+ * Render an already flattened canvas with export settings without any UI, e.g. for batches.
+ * Resolves { blob, width, height, ext, quality, fits } like the dialog export.
+ */
+export function renderCanvas(canvas, settings, { metadata = null } = {}) {
+  return renderExport(canvas, settings, metadata);
+}
+
+/**
+ * Quick PNG save at 1:1, named with the export dialog's last filename template and carrying its
+ * last DPI and metadata choice.
+ */
+export async function downloadPNG(canvas, { announce, showToast, getMetadata, getSourceFile, getFullResolution, renderFullResolution } = {}) {
   try {
     if (!canvas || !canvas.width || !canvas.height) throw new Error("No image loaded");
 
+    const last = loadLastSettings() || {};
+    const s = normalizeSettings({ format: "png", dpi: last.dpi, metadata: last.metadata });
     // Merge layers into a temporary canvas before exporting
-    const textLayer = document.getElementById("text-layer");
-    const drawLayer = document.getElementById("draw-layer");
-    const temp = document.createElement("canvas");
-    temp.width = canvas.width;
-    temp.height = canvas.height;
-    const tctx = temp.getContext("2d");
-    tctx.imageSmoothingEnabled = true;
-    tctx.imageSmoothingQuality = "high";
-
-    // Draw base canvas
-    tctx.drawImage(canvas, 0, 0);
-    // Draw text layer if present
-    if (textLayer && textLayer.width && textLayer.height) {
-      tctx.drawImage(textLayer, 0, 0);
-    }
-    // Draw draw layer if present
-    if (drawLayer && drawLayer.width && drawLayer.height) {
-      tctx.drawImage(drawLayer, 0, 0);
-    }
-
-    const url = temp.toDataURL("image/png");
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "edited.png";
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
+    const { merged: temp } = await exportSource(canvas, s, { getFullResolution, renderFullResolution });
+    const blob = await encodeCanvas(temp, s, undefined, getMetadata ? getMetadata() : null);
+    downloadBlob(blob, `${fileNameFrom(last.filename, { name: (getSourceFile && getSourceFile())?.name, width: temp.width, height: temp.height, format: "png" })}.png`);
     announce && announce("Image saved as PNG");
     showToast && showToast("Saved", "Your image has been downloaded.");
   } catch (e) {
     console.error("Save failed:", e);
     announce && announce("Save failed due to browser security restrictions");
-    showToast && showToast("Save failed", "Cannot export due to cross-origin restrictions.");
+    showToast && showToast("Save failed", failureDetail(e, "Cannot export due to cross-origin restrictions."));
   }
 }
 
-export async function exportWithOptions(canvas, {
-  formatSel,
-  qualityRange,
-  scaleInput
-} = {}, { announce, showToast } = {}) {
+/**
+ * Copy the merged image (as downloadPNG renders it) to the clipboard as PNG. The blob goes to
+ * ClipboardItem as a promise, so browsers that only allow writes during the click accept it.
+ */
+export async function copyImage(canvas, { announce, showToast } = {}) {
   try {
     if (!canvas || !canvas.width || !canvas.height) throw new Error("No image loaded");
+    if (!navigator.clipboard || typeof navigator.clipboard.write !== "function" || typeof ClipboardItem === "undefined") {
+      showToast && showToast("Copy unavailable", "This browser cannot copy images to the clipboard.");
+      return;
+    }
+    const blob = canvasToBlob(mergeLayers(canvas), "image/png");
+    await navigator.clipboard.write([new ClipboardItem({ "image/png": blob })]);
+    announce && announce("Image copied to the clipboard");
+    showToast && showToast("Copied", `PNG ${canvas.width}×${canvas.height}`);
+  } catch (e) {
+    console.error("Copy failed:", e);
+    announce && announce("Copy failed");
+    showToast && showToast("Copy failed", "The clipboard did not accept the image.");
+  }
+}
+
+/**
+ * Export settings from the dialog controls (missing controls fall back to defaults).
+ */
+function readSettings({ formatSel, qualityRange, scaleInput, sizeModeSel, longInput, widthInput, heightInput, metadataSel, maxSizeInput, fitScaleBox, resampleSel, dpiInput, pdfPageSel, pdfWidthInput, pdfHeightInput, pdfOrientationSel, pdfMarginInput, pdfPlacementSel, fileNameInput } = {}) {
+  return normalizeSettings({
+    format: (formatSel?.value || "png").toLowerCase(),
+    quality: parseFloat(qualityRange?.value || "0.85"),
+    sizeMode: sizeModeSel?.value || "scale",
+    scale: parseInt(scaleInput?.value || "100", 10),
+    long: longInput?.value,
+    width: widthInput?.value,
+    height: heightInput?.value,
+    metadata: metadataSel?.value,
+    maxBytes: (parseFloat(maxSizeInput?.value || "0") || 0) * KB,
+    allowDownscale: !!fitScaleBox?.checked,
+    resample: resampleSel?.value,
+    dpi: dpiInput?.value,
+    pdfPage: pdfPageSel?.value,
+    pdfWidth: pdfWidthInput?.value,
+    pdfHeight: pdfHeightInput?.value,
+    pdfOrientation: pdfOrientationSel?.value,
+    pdfMargin: pdfMarginInput?.value,
+    pdfPlacement: pdfPlacementSel?.value,
+    filename: fileNameInput?.value
+  });
+}
 
-    const fmt = (formatSel?.value || "png").toLowerCase();
-    const scalePct = Math.max(10, Math.min(400, parseInt(scaleInput?.value || "100", 10)));
-    const quality = Math.max(0.1, Math.min(1, parseFloat(qualityRange?.value || "0.85")));
+function writeSettings(s, { formatSel, qualityRange, qualityVal, scaleInput, sizeModeSel, longInput, widthInput, heightInput, metadataSel, maxSizeInput, fitScaleBox, resampleSel, dpiInput, pdfPageSel, pdfWidthInput, pdfHeightInput, pdfOrientationSel, pdfMarginInput, pdfPlacementSel, fileNameInput } = {}) {
+  if (formatSel) formatSel.value = s.format;
+  if (qualityRange) qualityRange.value = String(s.quality);
+  if (qualityVal) qualityVal.textContent = s.quality.toFixed(2);
+  if (scaleInput) scaleInput.value = String(s.scale);
+  if (sizeModeSel) sizeModeSel.value = s.sizeMode;
+  if (longInput) longInput.value = s.long ? String(s.long) : "";
+  if (widthInput) widthInput.value = s.width ? String(s.width) : "";
+  if (heightInput) heightInput.value = s.height ? String(s.height) : "";
+  if (metadataSel) metadataSel.value = s.metadata;
+  if (maxSizeInput) maxSizeInput.value = s.maxBytes ? String(Math.round(s.maxBytes / KB)) : "";
+  if (fitScaleBox) fitScaleBox.checked = s.allowDownscale;
+  if (resampleSel) resampleSel.value = s.resample;
+  if (dpiInput) dpiInput.value = String(s.dpi);
+  if (pdfPageSel) pdfPageSel.value = s.pdfPage;
+  if (pdfWidthInput) pdfWidthInput.value = String(s.pdfWidth);
+  if (pdfHeightInput) pdfHeightInput.value = String(s.pdfHeight);
+  if (pdfOrientationSel) pdfOrientationSel.value = s.pdfOrientation;
+  if (pdfMarginInput) pdfMarginInput.value = String(s.pdfMargin);
+  if (pdfPlacementSel) pdfPlacementSel.value = s.pdfPlacement;
+  if (fileNameInput) fileNameInput.value = s.filename;
+}
 
-    const mime = fmt === "png" ? "image/png" : (fmt === "jpeg" ? "image/jpeg" : "image/webp");
+function describeSize(s, width, height, planned) {
+  if (s.sizeMode === "scale" && width === planned.width && height === planned.height) return `${s.scale}%`;
+  return `${width}×${height}`;
+}
 
-    if (fmt === "webp" && !featureSupports("image/webp")) {
-      showToast && showToast("WebP unsupported", "Your browser doesn't support WebP export.");
-      return;
+function formatKB(bytes) {
+  const kb = bytes / KB;
+  return kb >= 1024 ? `${(kb / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(kb))} KB`;
+}
+
+/**
+ * Name for an export of `canvas` with settings `s`, from the filename template.
+ */
+function exportFileName(canvas, s, { source, preset, template } = {}) {
+  const { width, height } = exportSize(canvas.width, canvas.height, s);
+  const base = fileNameFrom(template || s.filename, { name: source && source.name, width, height, preset, format: s.format });
+  return `${base}.${EXTENSIONS[s.format]}`;
+}
+
+/**
+ * Ask where to write before rendering: the picker and permission prompts need the user
+ * activation of the click that started the export. Resolves a file handle, or null when the
+ * user cancelled; throws when the target cannot be written.
+ */
+async function pickTarget(target, s, fileName, source) {
+  if (target === "original") {
+    if (!(await canWrite(source.handle))) return null;
+    return source.handle;
+  }
+  try {
+    return await window.showSaveFilePicker({
+      suggestedName: fileName,
+      types: [{ description: `${s.format.toUpperCase()} file`, accept: { [MIMES[s.format]]: [`.${EXTENSIONS[s.format]}`] } }]
+    });
+  } catch (e) {
+    if (e && e.name === "AbortError") return null;
+    throw e;
+  }
+}
+
+/**
+ * Export with the dialog settings. `target`: "download" (default), "picker" (save picker) or
+ * "original" (overwrite the opened file, in its own format).
+ */
+export async function exportWithOptions(canvas, controls = {}, { announce, showToast, getMetadata, getSourceFile, getFullResolution, renderFullResolution } = {}, { target = "download" } = {}) {
+  try {
+    if (!canvas || !canvas.width || !canvas.height) throw new Error("No image loaded");
+
+    let s = readSettings(controls);
+    const source = getSourceFile ? getSourceFile() : null;
+    if (target === "original") {
+      const format = source && source.handle ? saveBackFormat(source.handle.name) : null;
+      if (!format) {
+        showToast && showToast("Save failed", "The opened file cannot be saved back in its format.");
+        return;
+      }
+      s = normalizeSettings({ ...s, format });
     }
+    if (target === "picker" && !canPickSaveFile()) target = "download";
+    const fmt = s.format;
+    const fileName = target === "original"
+      ? source.handle.name
+      : exportFileName((getFullResolution && getFullResolution()) || canvas, s, { source, preset: controls.presetSel?.value });
 
-    const outW = Math.max(1, Math.round(canvas.width * (scalePct / 100)));
-    const outH = Math.max(1, Math.round(canvas.height * (scalePct / 100)));
+    let handle = null;
+    if (target !== "download") {
+      try {
+        handle = await pickTarget(target, s, fileName, source);
+      } catch (e) {
+        console.error("Save target unavailable:", e);
+        showToast && showToast("Save failed", "Could not open the file for writing.");
+        return;
+      }
+      if (!handle) {
+        target === "original" && showToast && showToast("Not saved", "Permission to overwrite the file was not granted.");
+        return;
+      }
+    }
 
     // Merge layers into a source temp first at 1:1, then scale
-    const textLayer = document.getElementById("text-layer");
-    const drawLayer = document.getElementById("draw-layer");
-    const merged = document.createElement("canvas");
-    merged.width = canvas.width; merged.height = canvas.height;
-    const mctx = merged.getContext("2d");
-    mctx.imageSmoothingEnabled = true;
-    mctx.imageSmoothingQuality = "high";
-    mctx.drawImage(canvas, 0, 0);
-    if (textLayer && textLayer.width && textLayer.height) {
-      mctx.drawImage(textLayer, 0, 0);
-    }
-    if (drawLayer && drawLayer.width && drawLayer.height) {
-      mctx.drawImage(drawLayer, 0, 0);
-    }
-
-    // Now scale to requested output size
-    const temp = document.createElement("canvas");
-    temp.width = outW; temp.height = outH;
-    const tctx = temp.getContext("2d");
-    tctx.imageSmoothingEnabled = true;
-    tctx.imageSmoothingQuality = "high";
-    tctx.drawImage(merged, 0, 0, outW, outH);
-    fillIfOpaqueFormat(tctx, outW, outH, fmt);
-
-    const blob = await new Promise((resolve, reject) => {
-      if (temp.toBlob) {
-        temp.toBlob((b) => b ? resolve(b) : reject(new Error("toBlob returned null")), mime, fmt === "png" ? undefined : quality);
-      } else {
-        try {
-          const dataUrl = temp.toDataURL(mime, fmt === "png" ? undefined : quality);
-          fetch(dataUrl).then(r => r.blob()).then(resolve).catch(reject);
-        } catch (err) { reject(err); }
+    const { merged, layers, settings, size: sourceSize } = await exportSource(canvas, s, { getFullResolution, renderFullResolution });
+    const metadata = getMetadata ? getMetadata() : null;
+    const { blob, width, height, quality, fits } = await renderExport(merged, settings, metadata, layers);
+    saveLastSettings(s);
+
+    if (handle) {
+      try {
+        await writeToHandle(handle, blob);
+      } catch (e) {
+        console.error("Writing the file failed:", e);
+        announce && announce("Save failed");
+        showToast && showToast("Save failed", `Could not write ${handle.name}.`);
+        return;
       }
-    });
+    }
 
-    const a = document.createElement("a");
-    const url = URL.createObjectURL(blob);
-    a.href = url;
-    const defaultName = fmt === "png" ? "edited.png" : (fmt === "jpeg" ? "edited.jpg" : "edited.webp");
-    a.download = defaultName;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    setTimeout(() => URL.revokeObjectURL(url), 1000);
-
-    announce && announce(`Image exported as ${fmt.toUpperCase()} at ${scalePct}% with quality ${fmt === "png" ? "N/A" : quality}`);
-    showToast && showToast("Exported", `${fmt.toUpperCase()} ${scalePct}%${fmt === "png" ? "" : ` • Q=${quality}`}`);
+    const size = describeSize(s, width, height, exportSize(sourceSize.width, sourceSize.height, s));
+    let detail = `${handle ? handle.name : fmt.toUpperCase()} ${size}${quality === null ? "" : ` • Q=${quality}`}`;
+    if (fits !== null) detail += ` • ${formatKB(blob.size)} of ${formatKB(s.maxBytes)}`;
+    announce && announce(`Image ${handle ? `saved to ${handle.name}` : "exported"} as ${fmt.toUpperCase()} at ${size} with quality ${quality === null ? "N/A" : quality}` +
+      (fits === null ? "" : `, ${formatKB(blob.size)}${fits ? "" : `, over the ${formatKB(s.maxBytes)} limit`}`));
+    const title = handle ? "Saved" : "Exported";
+    showToast && showToast(fits === false ? `${title} over size limit` : title, detail);
+    handle || downloadBlob(blob, fileName);
   } catch (e) {
     console.error("Export failed:", e);
     announce && announce("Export failed due to browser security restrictions");
-    showToast && showToast("Export failed", "Cannot export due to cross-origin restrictions.");
+    showToast && showToast("Export failed", failureDetail(e, "Cannot export due to cross-origin restrictions."));
   }
 }
 
 /**
- * Initialize export UI wiring.
+ * Export several presets in one go and download them as a single zip. Layers are merged once
+ * (per preset from the full-resolution replay while editing a proxy);
+ * file names are "<source name>-<preset>-<width>x<height>.<ext>" and the zip is
+ * "<source name>-export.zip".
+ */
+export async function exportPresetsZip(canvas, presets, { announce, showToast, getMetadata, getSourceFile, getFullResolution, renderFullResolution } = {}) {
+  try {
+    if (!canvas || !canvas.width || !canvas.height) throw new Error("No image loaded");
+    if (!presets || !presets.length) {
+      showToast && showToast("Export bundle", "Pick at least one preset.");
+      return;
+    }
+    const full = getFullResolution && getFullResolution();
+    const editorSource = full ? null : await exportSource(canvas, normalizeSettings({}));
+    const metadata = getMetadata ? getMetadata() : null;
+    const sourceName = (getSourceFile && getSourceFile())?.name;
+    const files = [];
+    const used = new Set();
+    for (const preset of presets) {
+      const s = normalizeSettings(preset);
+      const { merged, layers, settings } = editorSource
+        ? { ...editorSource, settings: s }
+        : await exportSource(canvas, s, { getFullResolution, renderFullResolution });
+      const { blob, width, height, ext } = await renderExport(merged, settings, metadata, layers);
+      const base = fileNameFrom(BUNDLE_FILENAME, { name: sourceName, width, height, preset: preset.name, format: s.format });
+      let name = `${base}.${ext}`;
+      for (let n = 2; used.has(name); n++) name = `${base}-${n}.${ext}`;
+      used.add(name);
+      files.push({ name, data: blob, compress: false });
+    }
+    if (!files.length) throw new Error("No preset could be exported");
+    downloadBlob(await createZip(files), `${fileNameFrom("{name}-export", { name: sourceName })}.zip`);
+    announce && announce(`Exported ${files.length} presets as a zip`);
+    showToast && showToast("Exported bundle", `${files.length} file${files.length === 1 ? "" : "s"}`);
+  } catch (e) {
+    console.error("Bundle export failed:", e);
+    announce && announce("Export failed");
+    showToast && showToast("Export failed", failureDetail(e, "Could not export the selected presets."));
+  }
+}
+
+/**
+ * Initialize export UI wiring. Preset controls are optional:
+ * - presetSel: <select> of saved presets, presetNameInput + savePresetBtn / deletePresetBtn
+ * - sizeModeSel, longInput, widthInput, heightInput: size modes besides scale
+ * - presetList + exportBundleBtn: checkboxes of presets exported together as a zip
+ * - metadataSel: keep / strip location / strip all source metadata
+ * - maxSizeInput (KB) + fitScaleBox: target file size, optionally shrinking the image to reach it
+ * - resampleSel: resampling kernel used when the output size differs from the image
+ * - dpiInput: print resolution; pdfPageSel, pdfWidthInput, pdfHeightInput, pdfOrientationSel,
+ *   pdfMarginInput, pdfPlacementSel: page setup, shown only for PDF (rows with data-format="pdf")
+ * - previewImg, previewBox, previewZoomSel, estimateEl: the encoded output as it will be
+ *   downloaded, with its size and dimensions, re-rendered while the dialog settings change
+ * - fileNameInput + fileNameHint: download name template (see fileNameFrom) and the name it gives
+ * - saveAsBtn, saveOriginalBtn: save through a save picker / over the opened file; hidden where
+ *   the File System Access API (or a handle to the opened file) is missing
+ * `getMetadata` (callbacks) returns the source image metadata to write back, or null;
+ * `getSourceFile` returns the opened file as { name, handle } (handle may be null), or null.
+ * `getFullResolution` returns the original { width, height } while a reduced proxy is edited
+ * (else null), and `renderFullResolution({ width, height, separate })` resolves the replayed
+ * original as { image, pasted, text, drawing } canvases: at full size when that fits in one
+ * canvas, otherwise at width×height; the visible overlays are drawn onto image unless `separate`.
  */
 export function initExport({
   canvas,
@@ -154,19 +753,195 @@ export function initExport({
   formatSel,
   qualityRange,
   qualityVal,
-  scaleInput
-}, { announce, showToast } = {}) {
+  scaleInput,
+  sizeModeSel,
+  longInput,
+  widthInput,
+  heightInput,
+  presetSel,
+  presetNameInput,
+  savePresetBtn,
+  deletePresetBtn,
+  presetList,
+  exportBundleBtn,
+  metadataSel,
+  maxSizeInput,
+  fitScaleBox,
+  resampleSel,
+  dpiInput,
+  pdfPageSel,
+  pdfWidthInput,
+  pdfHeightInput,
+  pdfOrientationSel,
+  pdfMarginInput,
+  pdfPlacementSel,
+  previewImg,
+  previewBox,
+  previewZoomSel,
+  estimateEl,
+  fileNameInput,
+  fileNameHint,
+  saveAsBtn,
+  saveOriginalBtn
+}, { announce, showToast, getMetadata, getSourceFile, getFullResolution, renderFullResolution } = {}) {
+  const controls = { formatSel, qualityRange, qualityVal, scaleInput, sizeModeSel, longInput, widthInput, heightInput, metadataSel, maxSizeInput, fitScaleBox, resampleSel,
+    dpiInput, pdfPageSel, pdfWidthInput, pdfHeightInput, pdfOrientationSel, pdfMarginInput, pdfPlacementSel, fileNameInput, presetSel };
+  const callbacks = { announce, showToast, getMetadata, getSourceFile, getFullResolution, renderFullResolution };
+  let presets = loadPresets();
+
+  // Live preview: layers are merged once per dialog opening, the output re-encoded per change
+  const preview = { merged: null, layers: null, url: null, width: 0, token: 0, timer: 0 };
+
+  const applyPreviewZoom = () => {
+    if (!previewImg) return;
+    const zoom = previewZoomSel ? previewZoomSel.value : "fit";
+    const fit = zoom === "fit" || !preview.width;
+    previewBox && previewBox.classList.toggle("is-fit", fit);
+    previewImg.style.width = fit ? "" : `${Math.round(preview.width * Number(zoom))}px`;
+  };
+
+  const renderPreview = async () => {
+    const token = ++preview.token;
+    estimateEl && (estimateEl.textContent = "Estimating…");
+    try {
+      if (!preview.merged) {
+        preview.merged = mergeLayers(canvas);
+        preview.layers = collectLayers(canvas);
+      }
+      const s = readSettings(controls);
+      const { blob, width, height, quality, fits } = await renderExport(preview.merged, s, getMetadata ? getMetadata() : null, preview.layers);
+      if (token !== preview.token) return;
+      if (preview.url) URL.revokeObjectURL(preview.url);
+      preview.url = URL.createObjectURL(blob);
+      preview.width = width;
+      previewImg.src = preview.url;
+      applyPreviewZoom();
+      const full = getFullResolution && getFullResolution();
+      if (estimateEl && full) {
+        // The proxy's file size says little about the full-resolution file
+        const out = exportSize(full.width, full.height, s);
+        estimateEl.textContent = `${out.width}×${out.height} from the full-resolution image • preview at editing size`;
+      } else if (estimateEl) {
+        let text = `${width}×${height} • ${formatKB(blob.size)}`;
+        if (quality !== null) text += ` • Q=${quality}`;
+        if (fits === false) text += ` • over the ${formatKB(s.maxBytes)} limit`;
+        estimateEl.textContent = text;
+      }
+    } catch (e) {
+      if (token !== preview.token) return;
+      console.error("Export preview failed:", e);
+      estimateEl && (estimateEl.textContent = "Preview unavailable");
+    }
+  };
+
+  const schedulePreview = () => {
+    if (!previewImg || !exportDialog || !exportDialog.open) return;
+    clearTimeout(preview.timer);
+    preview.timer = setTimeout(renderPreview, PREVIEW_DELAY);
+  };
+
+  const clearPreview = () => {
+    clearTimeout(preview.timer);
+    preview.token++;
+    preview.merged = null;
+    preview.layers = null;
+    if (preview.url) URL.revokeObjectURL(preview.url);
+    preview.url = null;
+    preview.width = 0;
+    previewImg && previewImg.removeAttribute("src");
+  };
+
+  // Show only the inputs of the chosen size mode, and page setup for PDF
+  const syncSizeMode = () => {
+    const mode = sizeModeSel ? sizeModeSel.value : "scale";
+    exportDialog && exportDialog.querySelectorAll("[data-size-mode]").forEach((el) => {
+      el.hidden = el.getAttribute("data-size-mode") !== mode;
+    });
+    const format = formatSel ? formatSel.value : "png";
+    const page = pdfPageSel ? pdfPageSel.value : "a4";
+    exportDialog && exportDialog.querySelectorAll("[data-format]").forEach((el) => {
+      el.hidden = el.getAttribute("data-format") !== format || (el.hasAttribute("data-pdf-page") && el.getAttribute("data-pdf-page") !== page);
+    });
+  };
+
+  // The resolved download name, and the save targets this browser and file allow
+  const syncFileName = () => {
+    if (!fileNameHint || !canvas?.width) return;
+    const s = readSettings(controls);
+    const size = (getFullResolution && getFullResolution()) || canvas;
+    fileNameHint.textContent = exportFileName(size, s, { source: getSourceFile ? getSourceFile() : null, preset: presetSel?.value });
+  };
+
+  const syncSaveTargets = () => {
+    saveAsBtn && (saveAsBtn.hidden = !canPickSaveFile());
+    if (!saveOriginalBtn) return;
+    const source = getSourceFile ? getSourceFile() : null;
+    const handle = source && source.handle;
+    saveOriginalBtn.hidden = !handle || !saveBackFormat(handle.name);
+    if (!saveOriginalBtn.hidden) saveOriginalBtn.textContent = `Save to ${handle.name}`;
+  };
+
+  const onSettingsChange = () => {
+    syncFileName();
+    schedulePreview();
+  };
+
+  const renderPresets = (selectedName = "") => {
+    if (presetSel) {
+      presetSel.innerHTML = "";
+      const custom = document.createElement("option");
+      custom.value = "";
+      custom.textContent = "Custom";
+      presetSel.appendChild(custom);
+      presets.forEach((p) => {
+        const opt = document.createElement("option");
+        opt.value = p.name;
+        opt.textContent = p.name;
+        presetSel.appendChild(opt);
+      });
+      presetSel.value = presets.some(p => p.name === selectedName) ? selectedName : "";
+    }
+    deletePresetBtn && (deletePresetBtn.disabled = !(presetSel && presetSel.value));
+    if (presetList) {
+      presetList.innerHTML = "";
+      presets.forEach((p, i) => {
+        const label = document.createElement("label");
+        label.className = "preset-check";
+        const box = document.createElement("input");
+        box.type = "checkbox";
+        box.value = String(i);
+        label.appendChild(box);
+        label.appendChild(document.createTextNode(` ${p.name}`));
+        presetList.appendChild(label);
+      });
+    }
+    exportBundleBtn && (exportBundleBtn.disabled = presets.length === 0);
+  };
+
+  const applySettings = (s) => {
+    writeSettings(s, controls);
+    uiHandleFormatChange(formatSel, qualityRange, qualityVal, usesQuality);
+    syncSizeMode();
+    onSettingsChange();
+  };
 
   const onOpen = () => {
     if (!canvas?.width) return;
     if (exportDialog && typeof exportDialog.showModal === "function") {
+      // The dialog starts from the settings used last time
+      const last = loadLastSettings();
+      last && writeSettings(last, controls);
       exportDialog.showModal();
     } else {
       // Fallback: perform export with current defaults
-      exportWithOptions(canvas, { formatSel, qualityRange, scaleInput }, { announce, showToast });
+      exportWithOptions(canvas, controls, callbacks);
       return;
     }
-    uiHandleFormatChange(formatSel, qualityRange, qualityVal);
+    uiHandleFormatChange(formatSel, qualityRange, qualityVal, usesQuality);
+    syncSizeMode();
+    syncSaveTargets();
+    clearPreview();
+    onSettingsChange();
   };
 
   exportBtn && exportBtn.addEventListener("click", onOpen);
@@ -174,16 +949,98 @@ export function initExport({
   confirmExportBtn && exportDialog && confirmExportBtn.addEventListener("click", (e) => {
     e.preventDefault();
     exportDialog.close();
-    exportWithOptions(canvas, { formatSel, qualityRange, scaleInput }, { announce, showToast });
+    exportWithOptions(canvas, controls, callbacks);
+  });
+  [[saveAsBtn, "picker"], [saveOriginalBtn, "original"]].forEach(([btn, target]) => {
+    btn && exportDialog && btn.addEventListener("click", (e) => {
+      e.preventDefault();
+      exportDialog.close();
+      exportWithOptions(canvas, controls, callbacks, { target });
+    });
   });
   qualityRange && qualityVal && qualityRange.addEventListener("input", () => {
     const v = Math.max(0.1, Math.min(1, parseFloat(qualityRange.value || "0.85")));
     qualityVal.textContent = v.toFixed(2);
   });
-  formatSel && formatSel.addEventListener("change", () => uiHandleFormatChange(formatSel, qualityRange, qualityVal));
+  formatSel && formatSel.addEventListener("change", () => {
+    uiHandleFormatChange(formatSel, qualityRange, qualityVal, usesQuality);
+    syncSizeMode();
+  });
+  sizeModeSel && sizeModeSel.addEventListener("change", syncSizeMode);
+  pdfPageSel && pdfPageSel.addEventListener("change", syncSizeMode);
+  [formatSel, qualityRange, scaleInput, sizeModeSel, longInput, widthInput, heightInput, metadataSel, maxSizeInput, fitScaleBox, resampleSel,
+    dpiInput, pdfPageSel, pdfWidthInput, pdfHeightInput, pdfOrientationSel, pdfMarginInput, pdfPlacementSel]
+    .forEach(el => el && el.addEventListener(el.tagName === "SELECT" || el.type === "checkbox" ? "change" : "input", onSettingsChange));
+  fileNameInput && fileNameInput.addEventListener("input", syncFileName);
+  previewZoomSel && previewZoomSel.addEventListener("change", applyPreviewZoom);
+  previewImg && previewImg.addEventListener("error", () => {
+    // e.g. TIFF or layered files, which browsers cannot display; the size estimate still holds
+    if (preview.url && estimateEl && !estimateEl.textContent.includes("no preview")) {
+      estimateEl.textContent += " • no preview for this format";
+    }
+  });
+  exportDialog && exportDialog.addEventListener("close", clearPreview);
+
+  presetSel && presetSel.addEventListener("change", () => {
+    const p = presets.find(x => x.name === presetSel.value);
+    if (p) {
+      // The name template is the user's, not the preset's
+      applySettings({ ...p, filename: fileNameInput ? fileNameInput.value : p.filename });
+      presetNameInput && (presetNameInput.value = p.name);
+    } else {
+      syncFileName();
+    }
+    deletePresetBtn && (deletePresetBtn.disabled = !p);
+  });
+
+  savePresetBtn && savePresetBtn.addEventListener("click", () => {
+    const name = ((presetNameInput && presetNameInput.value) || "").trim();
+    if (!name) {
+      showToast && showToast("Preset", "Enter a name for the preset.");
+      presetNameInput && presetNameInput.focus();
+      return;
+    }
+    const preset = { name, ...readSettings(controls) };
+    const at = presets.findIndex(p => p.name === name);
+    if (at === -1) presets.push(preset); else presets[at] = preset;
+    savePresets(presets);
+    renderPresets(name);
+    announce && announce(`Preset ${name} saved`);
+    showToast && showToast("Preset saved", name);
+  });
+
+  deletePresetBtn && deletePresetBtn.addEventListener("click", () => {
+    const name = presetSel && presetSel.value;
+    if (!name) return;
+    presets = presets.filter(p => p.name !== name);
+    savePresets(presets);
+    renderPresets();
+    announce && announce(`Preset ${name} deleted`);
+  });
+
+  exportBundleBtn && exportBundleBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    const picked = presetList
+      ? Array.from(presetList.querySelectorAll("input:checked")).map(box => presets[Number(box.value)]).filter(Boolean)
+      : [];
+    if (!picked.length) {
+      showToast && showToast("Export bundle", "Pick at least one preset.");
+      return;
+    }
+    exportDialog && exportDialog.close();
+    exportPresetsZip(canvas, picked, callbacks);
+  });
+
+  renderPresets();
+  syncSizeMode();
+  syncSaveTargets();
 
   return {
-    downloadPNG: () => downloadPNG(canvas, { announce, showToast }),
-    exportNow: () => exportWithOptions(canvas, { formatSel, qualityRange, scaleInput }, { announce, showToast })
+    downloadPNG: () => downloadPNG(canvas, { announce, showToast, getMetadata, getSourceFile, getFullResolution, renderFullResolution }),
+    copyImage: () => copyImage(canvas, { announce, showToast }),
+    exportNow: (target) => exportWithOptions(canvas, controls, callbacks, { target }),
+    exportPresets: (list) => exportPresetsZip(canvas, list || presets, callbacks),
+    getPresets: () => presets.map(p => ({ ...p })),
+    getSettings: () => readSettings(controls)
   };
 }
@@ -0,0 +1,193 @@
+/**
+ * gifEncoder.js
+ * Single-frame GIF89a encoder. Images with up to 256 colors keep their exact palette; others are
+ * reduced with median cut. Pixels that are mostly transparent (alpha < 128) become the
+ * transparent palette entry, since GIF has no partial transparency.
+ *
+ * API: encodeGIF(imageData) => Uint8Array
+ */
+
+const MAX_COLORS = 256;
+const SAMPLE_LIMIT = 1 << 16; // pixels considered when building a reduced palette
+
+function collectColors(data) {
+  const colors = new Map(); // 0xRRGGBB -> count
+  let transparent = false;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) { transparent = true; continue; }
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    colors.set(key, (colors.get(key) || 0) + 1);
+    if (colors.size > MAX_COLORS * 4) return { colors: null, transparent };
+  }
+  return { colors, transparent };
+}
+
+/**
+ * Median cut over a sample of opaque pixels; resolves at most `count` [r, g, b] colors.
+ */
+function medianCut(data, count) {
+  const total = data.length / 4;
+  const step = Math.max(1, Math.floor(total / SAMPLE_LIMIT));
+  const pixels = [];
+  for (let p = 0; p < total; p += step) {
+    const i = p * 4;
+    if (data[i + 3] < 128) continue;
+    pixels.push([data[i], data[i + 1], data[i + 2]]);
+  }
+  if (!pixels.length) return [[0, 0, 0]];
+  const boxes = [pixels];
+  while (boxes.length < count) {
+    // Split the box with the widest channel range
+    let best = -1;
+    let bestRange = 0;
+    let bestChannel = 0;
+    boxes.forEach((box, b) => {
+      if (box.length < 2) return;
+      for (let c = 0; c < 3; c++) {
+        let lo = 255, hi = 0;
+        for (const px of box) { if (px[c] < lo) lo = px[c]; if (px[c] > hi) hi = px[c]; }
+        if (hi - lo > bestRange) { bestRange = hi - lo; best = b; bestChannel = c; }
+      }
+    });
+    if (best === -1) break;
+    const box = boxes[best].sort((a, b) => a[bestChannel] - b[bestChannel]);
+    const mid = box.length >> 1;
+    boxes.splice(best, 1, box.slice(0, mid), box.slice(mid));
+  }
+  return boxes.map((box) => {
+    const sum = [0, 0, 0];
+    box.forEach(px => { sum[0] += px[0]; sum[1] += px[1]; sum[2] += px[2]; });
+    return sum.map(v => Math.round(v / box.length));
+  });
+}
+
+function buildPalette(data) {
+  const { colors, transparent } = collectColors(data);
+  const slots = transparent ? MAX_COLORS - 1 : MAX_COLORS;
+  let palette;
+  let exact = null;
+  if (colors && colors.size <= slots) {
+    palette = [...colors.keys()].map(k => [(k >> 16) & 255, (k >> 8) & 255, k & 255]);
+    exact = new Map([...colors.keys()].map((k, i) => [k, i]));
+  } else {
+    palette = medianCut(data, slots);
+  }
+  if (!palette.length) palette.push([0, 0, 0]);
+  const transparentIndex = transparent ? palette.length : -1;
+  if (transparent) palette.push([0, 0, 0]);
+  return { palette, exact, transparentIndex };
+}
+
+function indexPixels(data, { palette, exact, transparentIndex }) {
+  const out = new Uint8Array(data.length / 4);
+  const opaque = transparentIndex === -1 ? palette.length : transparentIndex;
+  const cache = new Map(); // 15-bit color -> nearest palette index
+  for (let p = 0, i = 0; i < data.length; p++, i += 4) {
+    if (transparentIndex !== -1 && data[i + 3] < 128) { out[p] = transparentIndex; continue; }
+    const r = data[i], g = data[i + 1], b = data[i + 2];
+    if (exact) { out[p] = exact.get((r << 16) | (g << 8) | b); continue; }
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    let idx = cache.get(key);
+    if (idx === undefined) {
+      let bestDist = Infinity;
+      idx = 0;
+      for (let c = 0; c < opaque; c++) {
+        const pc = palette[c];
+        const d = (pc[0] - r) ** 2 + (pc[1] - g) ** 2 + (pc[2] - b) ** 2;
+        if (d < bestDist) { bestDist = d; idx = c; }
+      }
+      cache.set(key, idx);
+    }
+    out[p] = idx;
+  }
+  return out;
+}
+
+/**
+ * GIF LZW with variable code width (min code size 8, up to 12 bits).
+ */
+function lzw(indices) {
+  const minCodeSize = 8;
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let bitBuf = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+  const emit = (code) => {
+    bitBuf |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuf & 0xff);
+      bitBuf >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  let dict = new Map();
+  let nextCode = endCode + 1;
+  emit(clearCode);
+  let prefix = indices.length ? indices[0] : 0;
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const hit = dict.get(key);
+    if (hit !== undefined) { prefix = hit; continue; }
+    emit(prefix);
+    if (nextCode < 4096) {
+      dict.set(key, nextCode++);
+      if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+    } else {
+      emit(clearCode);
+      dict = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    }
+    prefix = k;
+  }
+  if (indices.length) emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) bytes.push(bitBuf & 0xff);
+  return { minCodeSize, data: Uint8Array.from(bytes) };
+}
+
+export function encodeGIF(imageData) {
+  const { width, height, data } = imageData;
+  if (width > 0xffff || height > 0xffff) throw new Error("Image is too large for GIF");
+  const pal = buildPalette(data);
+  const { minCodeSize, data: lzwData } = lzw(indexPixels(data, pal));
+
+  const out = [];
+  const u16 = (v) => out.push(v & 0xff, (v >> 8) & 0xff);
+  out.push(...Array.from("GIF89a", c => c.charCodeAt(0)));
+  u16(width);
+  u16(height);
+  out.push(0xf7, 0, 0); // global color table of 256 entries, 8-bit color resolution
+  for (let i = 0; i < MAX_COLORS; i++) {
+    const c = pal.palette[i] || [0, 0, 0];
+    out.push(c[0], c[1], c[2]);
+  }
+  if (pal.transparentIndex !== -1) {
+    out.push(0x21, 0xf9, 4, 0x01, 0, 0, pal.transparentIndex, 0);
+  }
+  out.push(0x2c);
+  u16(0); u16(0); u16(width); u16(height);
+  out.push(0, minCodeSize);
+
+  const head = Uint8Array.from(out);
+  // Image data in sub-blocks of up to 255 bytes
+  const blocks = new Uint8Array(lzwData.length + Math.ceil(lzwData.length / 255) + 2);
+  let at = 0;
+  for (let i = 0; i < lzwData.length; i += 255) {
+    const n = Math.min(255, lzwData.length - i);
+    blocks[at++] = n;
+    blocks.set(lzwData.subarray(i, i + n), at);
+    at += n;
+  }
+  blocks[at++] = 0;    // block terminator
+  blocks[at++] = 0x3b; // trailer
+  const result = new Uint8Array(head.length + at);
+  result.set(head);
+  result.set(blocks.subarray(0, at), head.length);
+  return result;
+}
@@ -1,20 +1,62 @@
 /**
  * history.js
- * Undo/redo stack storing ImageData snapshots from a canvas with bounded size and taint awareness.
+ * Undo/redo history for a canvas with bounded size and taint awareness.
  * Improvements:
- * - Configurable limits (maxEntries and optional maxBytes)
- * - Optional protectReturned to avoid extra cloning on undo/redo
+ * - Branching: editing after an undo starts a new branch instead of discarding the redo side
+ * - Tile-based delta storage: only tiles that changed since the parent entry are kept
+ * - Configurable limits (maxEntries and optional maxBytes) enforced against the real footprint
+ * - Optional protectReturned to avoid aliasing the internal pixel cache on undo/redo
  * - Diagnostics getters and consistent UI updates
- * - Thumbnails for history preview (dataURL) and size preference
+ * - Thumbnails for history preview (encoded in a Web Worker, exposed as object URLs) and size preference
+ * - Record-level access for persistence (see session.js)
+ * - Optional per-entry state (e.g. the edit operation log) restored alongside the pixels
+ * - Registered layer canvases (e.g. the drawing layer) captured with every entry
+ * - Memory budget: old entries are compressed to deflate Blobs first and only evicted when that
+ *   is not enough; the first entry ("Original") is pinned and never evicted
+ *
+ * Navigation (undo, redo, jumpTo, switchBranch) returns ImageData, or a Promise of it when
+ * compressed entries must be rehydrated first; callers can wrap the result in Promise.resolve().
  */
 
 let canvasRef = null;
 let ctxRef = null;
-let undoStack = [];
-let redoStack = [];
+const layerRefs = new Map(); // layer name -> canvas, see registerLayer
 let updateUICallback = () => {};
 let isTainted = false;
 
+/**
+ * Internal structure: a tree of entries, kept in creation order (parents before children):
+ * { id, rev, parent, children:[], activeChild, width, height,
+ *   keyframe:Uint8ClampedArray|null, tiles:Map<number,Uint8ClampedArray>|null,
+ *   bytes:number, ts:number, label:string, state:object|null, thumbBlob?:Blob, thumbUrl?:string,
+ *   layers:{ [name]: plane }|null }
+ * A root, and any entry whose dimensions differ from its parent, is a keyframe holding the
+ * full RGBA buffer. Every other entry only holds the tiles that differ from its parent.
+ * Layer planes ({ width, height, keyframe, tiles, bytes, blank }) use the same scheme, except
+ * that a layer without a parent plane stores its tiles against a transparent base
+ * (`blank: true`), since layers are mostly empty.
+ * A compressed entry keeps its plane metadata but holds its pixel data in `packedBlob`; each
+ * plane then records `packedKind` ("keyframe" | "tiles") and `packedTiles` (tile ids in order)
+ * so the tiles it provides are known without decompressing. `pinned` marks the original.
+ * `activeChild` marks the branch redo follows; the chain of active children from the active
+ * root is the "active branch" shown in the strip, and `current` is always on it.
+ * `rev` is bumped whenever an entry's stored data changes so persisted copies can be refreshed.
+ */
+let entries = [];
+let current = null;
+let activeRoot = null;
+let nextId = 1;
+
+/**
+ * Materialized pixels per plane (BASE_PLANE or a layer name -> { entry, data:ImageData }).
+ * Used as the diff base for the next push and moved in place on undo/redo so only touched
+ * tiles are rewritten.
+ */
+const caches = new Map();
+
+const TILE_SIZE = 128;
+const BASE_PLANE = "";
+
 /**
  * Persisted settings keys (localStorage)
  */
@@ -33,23 +75,26 @@ let maxEntries = (() => {
   } catch { return DEFAULT_MAX_ENTRIES; }
 })();
 
-let maxBytes = undefined; // optional cap
+const DEFAULT_MAX_BYTES = 256 * 1024 * 1024;
+const MIN_PACK_BYTES = 64 * 1024; // smaller entries are not worth compressing
+
+let maxBytes = DEFAULT_MAX_BYTES; // memory budget; undefined = unlimited
 let protectReturned = false;
 
+// Compression state
+let packInFlight = false;
+let navPending = 0;   // navigations waiting for entries to be rehydrated
+let pushSerial = 0;   // bumped by pushHistory so stale pending navigations are dropped
+
 // Thumbnails
 const THUMB_DEFAULT_SIZE = 96; // logical thumb height; width is proportional
 let thumbEnabled = true;
 let thumbHeight = Number(localStorage.getItem("hist.thumbHeight")) || THUMB_DEFAULT_SIZE;
 let thumbQuality = 0.7; // jpeg/webp quality for thumbnails
-
-/**
- * Internal structure:
- * { width, height, data:ImageData, thumbDataUrl?:string, ts:number, label?:string }
- * For memory efficiency, we don't wrap ImageData; we keep parallel arrays of metadata in a WeakMap if needed.
- * Simpler approach: store an object {imgData, thumbDataUrl, ts}. For compatibility with existing code,
- * we will store the ImageData directly but attach metadata via a Map.
- */
-const metaMap = new WeakMap();
+let thumbWorker;          // lazily created Worker; null when workers/OffscreenCanvas are unavailable
+let thumbJobId = 0;
+let thumbTypeCached = null; // image/webp when the browser can encode it, else image/jpeg
+const thumbJobs = new Map(); // jobId -> { entry, resolve }
 
 export function initHistory(
   canvas,
@@ -64,7 +109,7 @@ export function initHistory(
   if (typeof onChangeOrOptions === "function") {
     updateUICallback = onChangeOrOptions;
     maxEntries = DEFAULT_MAX_ENTRIES;
-    maxBytes = undefined;
+    maxBytes = DEFAULT_MAX_BYTES;
     protectReturned = false;
   } else if (onChangeOrOptions && typeof onChangeOrOptions === "object") {
     const {
@@ -77,53 +122,115 @@ export function initHistory(
     } = onChangeOrOptions;
     updateUICallback = onUpdateUI;
     maxEntries = Number.isFinite(me) && me > 0 ? Math.floor(me) : DEFAULT_MAX_ENTRIES;
-    maxBytes = Number.isFinite(mb) && mb > 0 ? Math.floor(mb) : undefined;
+    maxBytes = Number.isFinite(mb) && mb > 0 ? Math.floor(mb) : (mb === 0 ? undefined : DEFAULT_MAX_BYTES);
     protectReturned = !!pr;
     thumbEnabled = !!thumbnails;
     if (Number.isFinite(th) && th > 16 && th <= 256) thumbHeight = Math.floor(th);
   } else {
     updateUICallback = () => {};
     maxEntries = DEFAULT_MAX_ENTRIES;
-    maxBytes = undefined;
+    maxBytes = DEFAULT_MAX_BYTES;
     protectReturned = false;
   }
 
-  undoStack = [];
-  redoStack = [];
+  entries.forEach(_releaseThumb);
+  entries = [];
+  current = null;
+  activeRoot = null;
+  caches.clear();
   isTainted = false;
 
   // Initial UI sync
   _updateUI();
 }
 
+/**
+ * Public: drop every entry while keeping limits and preferences.
+ */
+export function clearHistory() {
+  entries.forEach(_releaseThumb);
+  entries = [];
+  current = null;
+  activeRoot = null;
+  caches.clear();
+  isTainted = false;
+  _updateUI();
+}
+
 export function getTainted() {
   return isTainted;
 }
 
 export function canUndo() {
-  // Allow undo if we have at least one previous snapshot
-  return !isTainted && undoStack.length > 0;
+  // Allow undo if the current entry has a parent
+  return !isTainted && !!(current && current.parent);
 }
 
 export function canRedo() {
-  return !isTainted && redoStack.length > 0;
+  return !isTainted && !!(current && current.activeChild);
 }
 
 // Diagnostics
 export function getUndoCount() {
-  return undoStack.length;
+  return Math.max(0, getCurrentIndex());
 }
 
 export function getRedoCount() {
-  return redoStack.length;
+  return Math.max(0, _activeBranch().length - 1 - getCurrentIndex());
+}
+
+export function getEntryCount() {
+  return entries.length;
+}
+
+/**
+ * Public: capture `layerCanvas` with every entry under `name`. Its pixels for the current
+ * entry are available from getCurrentLayer(name) after undo/redo/jump.
+ */
+export function registerLayer(name, layerCanvas) {
+  if (!name || name === BASE_PLANE || !layerCanvas) return;
+  layerRefs.set(name, layerCanvas);
+}
+
+/**
+ * Public: the registered layers' pixels right now ({ [name]: ImageData }), for a push that is
+ * queued behind other work but must record the layers as they were when it was requested.
+ */
+export function snapshotLayers() {
+  const out = {};
+  for (const [name, layer] of layerRefs) {
+    if (layer.width && layer.height) out[name] = layer.getContext("2d").getImageData(0, 0, layer.width, layer.height);
+  }
+  return out;
 }
 
+/**
+ * Bytes actually held by history: keyframes, changed tiles (including layers), compressed
+ * entries and the pixel caches.
+ */
 export function getEstimatedBytes() {
-  const bytesPerPixel = 4;
-  let total = 0;
-  for (const s of undoStack) total += s.width * s.height * bytesPerPixel;
-  for (const s of redoStack) total += s.width * s.height * bytesPerPixel;
-  return total;
+  const { rawBytes, packedBytes, cacheBytes } = getMemoryUsage();
+  return rawBytes + packedBytes + cacheBytes;
+}
+
+/**
+ * Breakdown of the memory held by history against the budget (maxBytes).
+ */
+export function getMemoryUsage() {
+  let rawBytes = 0;
+  let packedBytes = 0;
+  let packedEntries = 0;
+  for (const e of entries) {
+    if (e.packedBlob) {
+      packedBytes += e.packedBlob.size;
+      packedEntries++;
+    } else {
+      rawBytes += _entryBytes(e);
+    }
+  }
+  let cacheBytes = 0;
+  for (const c of caches.values()) cacheBytes += c.data.data.byteLength;
+  return { rawBytes, packedBytes, cacheBytes, packedEntries, entryCount: entries.length, maxBytes };
 }
 
 export function getLimits() {
@@ -146,6 +253,15 @@ export function getMaxEntries() {
   return maxEntries;
 }
 
+/**
+ * Public: cap the memory used by history (bytes). Pass 0 or a non-number to remove the cap.
+ */
+export function setMaxBytes(n) {
+  maxBytes = Number.isFinite(n) && n > 0 ? Math.floor(n) : undefined;
+  _enforceLimits();
+  _updateUI({ limits: getLimits() });
+}
+
 export function getThumbPrefs() {
   return { enabled: thumbEnabled, height: thumbHeight };
 }
@@ -158,15 +274,53 @@ export function setThumbHeight(h) {
   }
 }
 
-export function pushHistory(label) {
+/**
+ * Record the canvas as a new entry. `state` is an optional structured-clone friendly object
+ * (such as the edit operation log) handed back by getCurrentState() when the entry is revisited.
+ * `layerData` (from snapshotLayers) stands in for the live layers it covers; a snapshot whose
+ * size no longer matches its layer (the canvas was resized since) is ignored.
+ */
+export function pushHistory(label, state = null, layerData = null) {
   if (!canvasRef || !ctxRef || canvasRef.width === 0) return false;
   try {
     const snapshot = ctxRef.getImageData(0, 0, canvasRef.width, canvasRef.height);
-    undoStack.push(snapshot);
-    metaMap.set(snapshot, { ts: Date.now(), label: label || "" });
 
-    // Clear redo stack on new action
-    redoStack = [];
+    // New action branches off the current entry; existing children stay reachable.
+    // A base that would need rehydrating is skipped (the entry becomes a keyframe instead).
+    pushSerial++;
+    const warmBase = (name) => current && _coldFor(current, name).size === 0 ? _seek(current, name) : null;
+    const base = warmBase(BASE_PLANE);
+    const entry = _buildEntry(snapshot, base);
+    const layerSnapshots = new Map();
+    for (const [name, layer] of layerRefs) {
+      if (!layer.width || !layer.height) continue;
+      const given = layerData && layerData[name];
+      const layerSnapshot = given && given.width === layer.width && given.height === layer.height
+        ? given
+        : layer.getContext("2d").getImageData(0, 0, layer.width, layer.height);
+      const layerBase = warmBase(name);
+      entry.layers = entry.layers || {};
+      entry.layers[name] = _buildEntry(layerSnapshot, layerBase, true);
+      layerSnapshots.set(name, layerSnapshot);
+    }
+    entry.id = nextId++;
+    entry.rev = 0;
+    entry.parent = current;
+    entry.children = [];
+    entry.activeChild = null;
+    entry.ts = Date.now();
+    entry.label = label || "";
+    entry.state = state;
+    entry.pinned = entries.length === 0; // the first entry is the original image
+    if (current) current.children.push(entry);
+    entries.push(entry);
+    _setCurrent(entry);
+    // The snapshots become the diff base for the next push
+    caches.set(BASE_PLANE, { entry, data: snapshot });
+    for (const name of layerRefs.keys()) {
+      if (layerSnapshots.has(name)) caches.set(name, { entry, data: layerSnapshots.get(name) });
+      else caches.delete(name);
+    }
 
     // Enforce limits
     _enforceLimits();
@@ -180,7 +334,7 @@ export function pushHistory(label) {
 
     // Generate thumbnail after UI update to avoid blocking
     if (thumbEnabled) {
-      _scheduleThumbGeneration(snapshot).catch(() => {});
+      _scheduleThumbGeneration(entry).catch(() => {});
     }
 
     return true;
@@ -198,57 +352,139 @@ export function pushHistory(label) {
 }
 
 /**
- * Undo: move current state to redo, return previous ImageData for caller to draw.
+ * Undo: step back to the parent entry and return its ImageData for caller to draw.
  */
 export function undo() {
-  if (isTainted || !canUndo()) return null;
-  // Move current canvas state to redo for symmetry
-  try {
-    const current = ctxRef.getImageData(0, 0, canvasRef.width, canvasRef.height);
-    redoStack.push(current);
-    metaMap.set(current, { ts: Date.now(), label: "redo-base" });
-  } catch (e) {
-    // If this throws, mark tainted and bail
-    const msg = String(e && (e.message || e.name || e));
-    if ((e && e.name === "SecurityError") || /taint|SecurityError/i.test(msg)) {
-      isTainted = true;
-      _updateUI({ tainted: true });
-      return null;
-    }
-  }
-  const prev = undoStack.pop();
-  const result = prev
-    ? (protectReturned ? cloneImageData(prev) : prev)
-    : null;
-
-  _updateUI();
-  return result;
+  if (isTainted || navPending || !canUndo()) return null;
+  return _goTo(current.parent);
 }
 
 /**
- * Redo: move from redo stack back to undo, return the redone ImageData to draw.
+ * Redo: step forward along the active branch and return the ImageData to draw.
  */
 export function redo() {
-  if (isTainted || !canRedo()) return null;
-  const next = redoStack.pop();
-  if (!next) return null;
-  // Push current state to undo for symmetry
-  try {
-    const current = ctxRef.getImageData(0, 0, canvasRef.width, canvasRef.height);
-    undoStack.push(current);
-    metaMap.set(current, { ts: Date.now(), label: "undo-base" });
-    _enforceLimits();
-  } catch (e) {
-    const msg = String(e && (e.message || e.name || e));
-    if ((e && e.name === "SecurityError") || /taint|SecurityError/i.test(msg)) {
-      isTainted = true;
-      _updateUI({ tainted: true });
+  if (isTainted || navPending || !canRedo()) return null;
+  return _goTo(current.activeChild);
+}
+
+/**
+ * Jump directly to any entry of the active branch (as listed by getHistoryThumbnails) and
+ * return its ImageData to draw. Only the tiles that differ between the two entries are rewritten.
+ */
+export function jumpTo(index) {
+  const branch = _activeBranch();
+  if (isTainted || navPending || !Number.isInteger(index) || index < 0 || index >= branch.length) return null;
+  if (branch[index] === current) return null;
+  return _goTo(branch[index]);
+}
+
+/**
+ * Switch the entry at `index` of the active branch to one of its siblings (step -1/+1) and
+ * jump to it. The strip then shows the branch that sibling leads to.
+ */
+export function switchBranch(index, step = 1) {
+  const branch = _activeBranch();
+  if (isTainted || navPending || !Number.isInteger(index) || index < 0 || index >= branch.length) return null;
+  const node = branch[index];
+  const siblings = _siblingsOf(node);
+  if (siblings.length < 2) return null;
+  const at = siblings.indexOf(node);
+  const next = siblings[(at + (step < 0 ? -1 : 1) + siblings.length) % siblings.length];
+  return _goTo(next);
+}
+
+/**
+ * State object recorded with the current entry (see pushHistory), or null.
+ */
+export function getCurrentState() {
+  return current ? current.state || null : null;
+}
+
+/**
+ * Pixels of layer `name` recorded with the current entry, or null when it was not captured.
+ */
+export function getCurrentLayer(name) {
+  if (!current || !name || name === BASE_PLANE) return null;
+  if (_coldFor(current, name).size) return null;
+  const data = _seek(current, name);
+  return data ? _returnable(data) : null;
+}
+
+/**
+ * Pixels of any entry by id (see getHistoryThumbnails) as a fresh ImageData, e.g. for
+ * comparing against the current canvas. History and the current position are not changed.
+ * Returns a Promise when the entry has to be rehydrated first.
+ */
+export function getEntryImageData(id) {
+  const entry = entries.find(e => e.id === id);
+  if (!entry) return null;
+  const read = () => {
+    if (!entries.includes(entry) || _coldForPeek(entry).size) return null;
+    const data = _peek(entry);
+    const c = caches.get(BASE_PLANE);
+    return c && c.data === data ? cloneImageData(data) : data;
+  };
+  const cold = _coldForPeek(entry);
+  return cold.size ? _unpackAll(cold).then(read) : read();
+}
+
+/**
+ * Position of the current entry within the active branch.
+ */
+export function getCurrentIndex() {
+  return current ? _activeBranch().indexOf(current) : -1;
+}
+
+function _goTo(entry, attempt = 0) {
+  const cold = _coldForNavigation(entry);
+  if (cold.size === 0) {
+    _setCurrent(entry);
+    const result = _returnable(_seek(entry));
+    _updateUI();
+    return result;
+  }
+  // Rehydrate what the move needs, then navigate unless an edit happened meanwhile
+  const serial = pushSerial;
+  navPending++;
+  return _unpackAll(cold)
+    .then(() => {
+      navPending--;
+      if (serial !== pushSerial || !entries.includes(entry) || attempt > 2) return null;
+      return _goTo(entry, attempt + 1);
+    }, (e) => {
+      navPending--;
+      console.error("History rehydration failed:", e);
       return null;
-    }
+    })
+    .then((result) => {
+      _enforceLimits();
+      _updateUI();
+      return result;
+    });
+}
+
+/**
+ * Internal: make `entry` current and point every ancestor's activeChild at it, so the active
+ * branch runs through it.
+ */
+function _setCurrent(entry) {
+  current = entry;
+  let e = entry;
+  while (e && e.parent) {
+    e.parent.activeChild = e;
+    e = e.parent;
   }
-  const result = protectReturned ? cloneImageData(next) : next;
-  _updateUI();
-  return result;
+  activeRoot = e || null;
+}
+
+function _activeBranch() {
+  const branch = [];
+  for (let e = activeRoot; e; e = e.activeChild) branch.push(e);
+  return branch;
+}
+
+function _siblingsOf(entry) {
+  return entry.parent ? entry.parent.children : entries.filter(e => !e.parent);
 }
 
 /**
@@ -272,61 +508,506 @@ function cloneImageData(imgData) {
   return copy;
 }
 
+function _returnable(imgData) {
+  return protectReturned ? cloneImageData(imgData) : imgData;
+}
+
 /**
- * Internal: enforce maxEntries and optional maxBytes by evicting oldest undo snapshots.
- * Strategy: Prefer evicting from undoStack (oldest first). We avoid touching redoStack on push
- * since redo is logically invalidated on new actions (already cleared). On undo/redo, we only
- * ensure undoStack respects limits.
+ * Internal: tile geometry helpers. Tiles are numbered row-major over a TILE_SIZE grid.
+ */
+function _tileCount(width, height) {
+  return Math.ceil(width / TILE_SIZE) * Math.ceil(height / TILE_SIZE);
+}
+
+function _tileRect(width, height, t) {
+  const cols = Math.ceil(width / TILE_SIZE);
+  const x = (t % cols) * TILE_SIZE;
+  const y = Math.floor(t / cols) * TILE_SIZE;
+  return { x, y, w: Math.min(TILE_SIZE, width - x), h: Math.min(TILE_SIZE, height - y) };
+}
+
+function _readTile(src, width, rect) {
+  const out = new Uint8ClampedArray(rect.w * rect.h * 4);
+  const rowBytes = rect.w * 4;
+  for (let row = 0; row < rect.h; row++) {
+    const from = ((rect.y + row) * width + rect.x) * 4;
+    out.set(src.subarray(from, from + rowBytes), row * rowBytes);
+  }
+  return out;
+}
+
+function _writeTile(dst, width, rect, tile) {
+  const rowBytes = rect.w * 4;
+  for (let row = 0; row < rect.h; row++) {
+    const at = ((rect.y + row) * width + rect.x) * 4;
+    dst.set(tile.subarray(row * rowBytes, (row + 1) * rowBytes), at);
+  }
+}
+
+function _tileDiffers(a32, b32, width, rect) {
+  for (let row = 0; row < rect.h; row++) {
+    let i = (rect.y + row) * width + rect.x;
+    const end = i + rect.w;
+    for (; i < end; i++) {
+      if (a32[i] !== b32[i]) return true;
+    }
+  }
+  return false;
+}
+
+function _words(u8) {
+  return new Uint32Array(u8.buffer, u8.byteOffset, u8.byteLength >> 2);
+}
+
+/**
+ * Internal: build pixel storage for `snapshot`, storing only tiles that differ from `base`.
+ * Falls back to a keyframe when there is no base or the dimensions changed; `sparse` planes
+ * diff against a transparent base instead.
+ */
+function _buildEntry(snapshot, base, sparse = false) {
+  const { width, height } = snapshot;
+  const rebase = !base || base.width !== width || base.height !== height;
+  if (rebase && !sparse) {
+    const keyframe = new Uint8ClampedArray(snapshot.data);
+    return { width, height, keyframe, tiles: null, bytes: keyframe.byteLength };
+  }
+  const next32 = _words(snapshot.data);
+  const prev32 = rebase ? new Uint32Array(width * height) : _words(base.data);
+  const tiles = new Map();
+  let bytes = 0;
+  const count = _tileCount(width, height);
+  for (let t = 0; t < count; t++) {
+    const rect = _tileRect(width, height, t);
+    if (_tileDiffers(next32, prev32, width, rect)) {
+      const tile = _readTile(snapshot.data, width, rect);
+      tiles.set(t, tile);
+      bytes += tile.byteLength;
+    }
+  }
+  return { width, height, keyframe: null, tiles, bytes, blank: rebase };
+}
+
+/**
+ * Internal: pixel storage of `entry` for a plane; the base canvas is stored on the entry itself.
+ */
+function _plane(entry, name = BASE_PLANE) {
+  if (name === BASE_PLANE) return entry;
+  return (entry.layers && entry.layers[name]) || null;
+}
+
+function _isBasePlane(p) {
+  return !!(p.keyframe || p.blank || p.packedKind === "keyframe");
+}
+
+function _planeNames(entry) {
+  return [BASE_PLANE, ...Object.keys(entry.layers || {})];
+}
+
+/**
+ * Internal: ids of the tiles a plane provides, known even while the entry is compressed.
+ */
+function _tileIds(p) {
+  if (p.tiles) return [...p.tiles.keys()];
+  return p.packedKind === "tiles" ? p.packedTiles : [];
+}
+
+function _hasTile(p, t) {
+  if (p.tiles) return p.tiles.has(t);
+  return p.packedKind === "tiles" && p.packedTiles.includes(t);
+}
+
+/**
+ * Internal: bytes of uncompressed pixel data an entry holds (all planes).
+ */
+function _entryBytes(e) {
+  let total = e.bytes;
+  if (e.layers) for (const name in e.layers) total += e.layers[name].bytes;
+  return total;
+}
+
+/**
+ * Internal: the entry whose plane `entry` is a delta chain of, or null if the plane is missing.
+ */
+function _keyframeOf(entry, name = BASE_PLANE) {
+  let e = entry;
+  let p = _plane(e, name);
+  while (p && !_isBasePlane(p)) {
+    e = e.parent;
+    p = e && _plane(e, name);
+  }
+  return p ? e : null;
+}
+
+/**
+ * Internal: build a fresh ImageData for `entry` from its keyframe and the deltas down to it.
+ */
+function _materialize(entry, name = BASE_PLANE) {
+  const chain = [];
+  let k = entry;
+  while (!_isBasePlane(_plane(k, name))) {
+    chain.push(_plane(k, name));
+    k = k.parent;
+  }
+  const base = _plane(k, name);
+  const { width, height } = base;
+  const out = new ImageData(width, height);
+  if (base.keyframe) out.data.set(base.keyframe);
+  else chain.push(base);
+  for (let j = chain.length - 1; j >= 0; j--) {
+    for (const [t, tile] of chain[j].tiles) {
+      _writeTile(out.data, width, _tileRect(width, height, t), tile);
+    }
+  }
+  return out;
+}
+
+/**
+ * Internal: materialized pixels of `entry` for a plane, reusing the cache when it is there.
+ */
+function _peek(entry, name = BASE_PLANE) {
+  const c = caches.get(name);
+  return c && c.entry === entry ? c.data : _materialize(entry, name);
+}
+
+/**
+ * Internal: compressed entries that _seek(target, name) would read. Moving within a keyframe
+ * chain only reads the entries that provide the touched tiles.
+ */
+function _coldFor(target, name = BASE_PLANE) {
+  const cold = new Set();
+  const cache = caches.get(name);
+  if (cache && cache.entry === target) return cold;
+  const k = _keyframeOf(target, name);
+  if (!k) return cold;
+  if (!cache || _keyframeOf(cache.entry, name) !== k) return _coldForPeek(target, name);
+  const targetChain = new Set();
+  for (let e = target; e !== k; e = e.parent) targetChain.add(e);
+  targetChain.add(k);
+  const touched = new Set();
+  let common = cache.entry;
+  for (; !targetChain.has(common); common = common.parent) {
+    for (const t of _tileIds(_plane(common, name))) touched.add(t);
+  }
+  for (let e = target; e !== common; e = e.parent) {
+    for (const t of _tileIds(_plane(e, name))) touched.add(t);
+  }
+  for (const t of touched) {
+    for (let e = target; ; e = e.parent) {
+      const p = _plane(e, name);
+      if (_hasTile(p, t) || e === k) {
+        if (e.packedBlob && (e !== k || _hasTile(p, t) || p.packedKind === "keyframe")) cold.add(e);
+        break;
+      }
+    }
+  }
+  return cold;
+}
+
+/**
+ * Internal: compressed entries needed to materialize `entry` from scratch (its whole chain).
+ */
+function _coldForPeek(entry, name = BASE_PLANE) {
+  const cold = new Set();
+  const cache = caches.get(name);
+  if (cache && cache.entry === entry) return cold;
+  const k = _keyframeOf(entry, name);
+  if (!k) return cold;
+  for (let e = entry; ; e = e.parent) {
+    if (e.packedBlob) cold.add(e);
+    if (e === k) break;
+  }
+  return cold;
+}
+
+/**
+ * Internal: compressed entries needed to move to `entry`, for the base and every layer.
+ */
+function _coldForNavigation(entry) {
+  const cold = _coldFor(entry);
+  for (const name of layerRefs.keys()) {
+    for (const e of _coldFor(entry, name)) cold.add(e);
+  }
+  return cold;
+}
+
+/**
+ * Internal: move the pixel cache of a plane to `target` and return its ImageData (null when
+ * the plane was not captured for `target`). Entries it reads must not be compressed
+ * (see _coldFor).
+ * Within one keyframe chain only the tiles touched on the path between the two entries
+ * (up to their common ancestor and back down) are rewritten.
+ */
+function _seek(target, name = BASE_PLANE) {
+  const cache = caches.get(name);
+  if (cache && cache.entry === target) return cache.data;
+  const k = _keyframeOf(target, name);
+  if (!k) return null;
+  if (!cache || _keyframeOf(cache.entry, name) !== k) {
+    const data = _materialize(target, name);
+    caches.set(name, { entry: target, data });
+    return data;
+  }
+  const { width, height, keyframe } = _plane(k, name);
+  const targetChain = new Set();
+  for (let e = target; e !== k; e = e.parent) targetChain.add(e);
+  targetChain.add(k);
+  const touched = new Set();
+  let common = cache.entry;
+  for (; !targetChain.has(common); common = common.parent) {
+    for (const t of _tileIds(_plane(common, name))) touched.add(t);
+  }
+  for (let e = target; e !== common; e = e.parent) {
+    for (const t of _tileIds(_plane(e, name))) touched.add(t);
+  }
+  for (const t of touched) {
+    const rect = _tileRect(width, height, t);
+    let tile = null;
+    for (let e = target; !tile; e = e.parent) {
+      const p = _plane(e, name);
+      tile = (p.tiles && p.tiles.get(t)) || null;
+      if (e === k) break;
+    }
+    if (!tile) tile = keyframe ? _readTile(keyframe, width, rect) : new Uint8ClampedArray(rect.w * rect.h * 4);
+    _writeTile(cache.data.data, width, rect, tile);
+  }
+  cache.entry = target;
+  return cache.data;
+}
+
+/**
+ * Internal: pick the oldest entry that can go without losing any other state: a leaf of an
+ * abandoned branch, or an entry whose data can be folded into its children (which needs it and
+ * its children uncompressed). The current entry and the pinned original are never picked.
+ */
+function _evictionCandidate() {
+  const branch = new Set(_activeBranch());
+  const warm = (e) => !e.packedBlob;
+  return entries.find(e => {
+    if (e === current || e.pinned) return false;
+    if (e.children.length === 0) return !branch.has(e);
+    return warm(e) && e.children.every(warm);
+  }) || null;
+}
+
+/**
+ * Internal: remove an entry. Its children take its place: they become roots (promoted to
+ * keyframes) when it was a root, otherwise its tiles are merged into their deltas.
+ */
+function _removeEntry(entry) {
+  const parent = entry.parent;
+  for (const child of entry.children) {
+    for (const name of _planeNames(child)) _detachPlane(child, entry, name);
+    child.parent = parent;
+    child.rev++;
+  }
+  if (parent) {
+    const siblings = parent.children;
+    siblings.splice(siblings.indexOf(entry), 1, ...entry.children);
+    if (parent.activeChild === entry) {
+      parent.activeChild = entry.activeChild || siblings[siblings.length - 1] || null;
+    }
+  }
+  entries.splice(entries.indexOf(entry), 1);
+  _releaseThumb(entry);
+  entry.packing = null;
+  for (const [name, c] of caches) {
+    if (c.entry === entry) caches.delete(name);
+  }
+  _setCurrent(current);
+}
+
+/**
+ * Internal: rewrite `child`'s plane so it no longer depends on `entry` (its parent, about to
+ * be removed). Both must be uncompressed.
+ */
+function _detachPlane(child, entry, name) {
+  const cp = _plane(child, name);
+  if (!cp || _isBasePlane(cp)) return;
+  const ep = _plane(entry, name);
+  if (!entry.parent || ep.keyframe) {
+    // The child's pixels can't be expressed against the grandparent: store them standalone
+    const pixels = _peek(child, name);
+    if (name === BASE_PLANE) {
+      child.keyframe = new Uint8ClampedArray(pixels.data);
+      child.tiles = null;
+      child.bytes = child.keyframe.byteLength;
+    } else {
+      child.layers[name] = _buildEntry(pixels, null, true);
+    }
+    return;
+  }
+  // Tiles the child did not change itself now come from the removed entry
+  const merged = new Map(ep.tiles);
+  for (const [t, tile] of cp.tiles) merged.set(t, tile);
+  let bytes = 0;
+  for (const tile of merged.values()) bytes += tile.byteLength;
+  cp.tiles = merged;
+  cp.bytes = bytes;
+  if (ep.blank) cp.blank = true;
+}
+
+/**
+ * Internal: enforce maxEntries, then keep the footprint under maxBytes: compress the oldest
+ * entries one at a time in the background and only evict once nothing is left to compress.
+ * The current entry and its neighbours stay uncompressed.
  */
 function _enforceLimits() {
   // Enforce entry count
-  while (undoStack.length > maxEntries) {
-    const evicted = undoStack.shift();
-    if (evicted) metaMap.delete(evicted);
+  let victim;
+  while (entries.length > maxEntries && (victim = _evictionCandidate())) {
+    _removeEntry(victim);
   }
 
-  if (!maxBytes) return;
+  if (!maxBytes || getEstimatedBytes() <= maxBytes) return;
+  // A pending navigation is rehydrating entries; it re-runs this when done
+  if (navPending) return;
 
-  // Estimate bytes; evict oldest until under cap
-  const bytesPerPixel = 4;
-  const estimate = () => {
-    let total = 0;
-    for (const s of undoStack) total += s.width * s.height * bytesPerPixel;
-    for (const s of redoStack) total += s.width * s.height * bytesPerPixel;
-    return total;
-  };
+  if (_canPack()) {
+    if (packInFlight) return;
+    const next = _packCandidate();
+    if (next) {
+      packInFlight = true;
+      _pack(next)
+        .catch((e) => console.warn("History compression failed:", e))
+        .finally(() => {
+          packInFlight = false;
+          _enforceLimits();
+          _updateUI();
+        });
+      return;
+    }
+  }
 
-  let totalBytes = estimate();
-  while (totalBytes > maxBytes && undoStack.length > 0) {
-    const evicted = undoStack.shift();
-    if (evicted) metaMap.delete(evicted);
-    totalBytes = estimate();
+  // Evict oldest until the real footprint is under cap
+  while (getEstimatedBytes() > maxBytes && (victim = _evictionCandidate())) {
+    _removeEntry(victim);
   }
 }
 
+function _canPack() {
+  return typeof CompressionStream === "function" && typeof DecompressionStream === "function";
+}
+
+function _packCandidate() {
+  const near = new Set([current, current && current.parent, current && current.activeChild]);
+  for (const c of caches.values()) near.add(c.entry);
+  return entries.find(e => !e.packedBlob && !near.has(e) && _entryBytes(e) >= MIN_PACK_BYTES) || null;
+}
+
+/**
+ * Internal: compress an entry's pixel data (every plane) into one deflate Blob. Deflate over the
+ * raw bytes is lossless for any alpha, unlike a canvas PNG round trip (premultiplied alpha).
+ * The result is dropped if the entry changed, was removed or is needed meanwhile.
+ */
+async function _pack(entry) {
+  const token = {};
+  entry.packing = token;
+  const rev = entry.rev;
+  const parts = [];
+  const layout = [];
+  for (const name of _planeNames(entry)) {
+    const p = _plane(entry, name);
+    if (p.keyframe) {
+      parts.push(p.keyframe);
+      layout.push({ name, kind: "keyframe", ids: null });
+    } else {
+      const ids = [...p.tiles.keys()];
+      ids.forEach(t => parts.push(p.tiles.get(t)));
+      layout.push({ name, kind: "tiles", ids });
+    }
+  }
+  const stream = new Blob(parts).stream().pipeThrough(new CompressionStream("deflate"));
+  const blob = await new Response(stream).blob();
+  if (entry.packing !== token || entry.rev !== rev || navPending || !entries.includes(entry)) return false;
+  entry.packing = null;
+  for (const { name, kind, ids } of layout) {
+    const p = _plane(entry, name);
+    p.packedKind = kind;
+    p.packedTiles = ids;
+    p.keyframe = null;
+    p.tiles = null;
+  }
+  entry.packedBlob = blob;
+  entry.rev++;
+  return true;
+}
+
+/**
+ * Internal: restore a compressed entry's pixel data. Concurrent calls share one decompression.
+ * The entry keeps its revision, so a persisted compressed copy stays valid.
+ */
+function _unpack(entry) {
+  entry.packing = null; // cancel a compression still in progress
+  if (!entry.packedBlob) return Promise.resolve();
+  if (!entry.unpacking) {
+    const blob = entry.packedBlob;
+    const stream = blob.stream().pipeThrough(new DecompressionStream("deflate"));
+    entry.unpacking = new Response(stream).arrayBuffer().then((buffer) => {
+      entry.unpacking = null;
+      if (entry.packedBlob !== blob) return;
+      let at = 0;
+      for (const name of _planeNames(entry)) {
+        const p = _plane(entry, name);
+        if (p.packedKind === "keyframe") {
+          const len = p.width * p.height * 4;
+          p.keyframe = new Uint8ClampedArray(buffer, at, len);
+          at += len;
+        } else {
+          p.tiles = new Map();
+          for (const t of p.packedTiles) {
+            const rect = _tileRect(p.width, p.height, t);
+            const len = rect.w * rect.h * 4;
+            p.tiles.set(t, new Uint8ClampedArray(buffer, at, len));
+            at += len;
+          }
+        }
+        delete p.packedKind;
+        delete p.packedTiles;
+      }
+      entry.packedBlob = null;
+    }, (e) => {
+      entry.unpacking = null;
+      throw e;
+    });
+  }
+  return entry.unpacking;
+}
+
+function _unpackAll(set) {
+  return Promise.all([...set].map(_unpack));
+}
+
+function _describe(e, idx) {
+  const siblings = _siblingsOf(e);
+  return {
+    index: idx,
+    id: e.id,
+    width: e.width,
+    height: e.height,
+    ts: e.ts || 0,
+    label: e.label || (e.pinned ? "Original" : ""),
+    thumbUrl: e.thumbUrl || null,
+    isCurrent: e === current,
+    pinned: !!e.pinned,
+    compressed: !!e.packedBlob,
+    branchCount: siblings.length,
+    branchIndex: siblings.indexOf(e)
+  };
+}
+
 /**
  * Internal: call UI callback with diagnostics if provided.
  * Includes history thumbnails and labels for preview UI.
  */
 function _updateUI(extra = undefined) {
   if (typeof updateUICallback === "function") {
-    const entries = undoStack.map((imgData, idx) => {
-      const m = metaMap.get(imgData) || {};
-      return {
-        index: idx,
-        width: imgData.width,
-        height: imgData.height,
-        ts: m.ts || 0,
-        label: m.label || "",
-        thumbDataUrl: m.thumbDataUrl || null
-      };
-    });
     const payload = {
       undoCount: getUndoCount(),
       redoCount: getRedoCount(),
       estimatedBytes: getEstimatedBytes(),
       limits: getLimits(),
-      thumbnails: entries,
+      thumbnails: getHistoryThumbnails(),
+      memory: getMemoryUsage(),
       thumbPrefs: { enabled: thumbEnabled, height: thumbHeight }
     };
     if (extra && typeof extra === "object") {
@@ -338,77 +1019,107 @@ function _updateUI(extra = undefined) {
 }
 
 /**
- * Create a thumbnail dataURL for an ImageData using an offscreen canvas.
+ * Create a thumbnail for an entry once the browser is idle. The pixels are scaled down by
+ * createImageBitmap and handed (transferred) to a worker for encoding, so the main thread never
+ * touches a full-size canvas. Evicted entries are skipped, and results arriving after eviction
+ * are dropped.
  */
-async function _scheduleThumbGeneration(imgData) {
-  const run = () => new Promise((resolve) => {
+async function _scheduleThumbGeneration(entry) {
+  const run = async () => {
+    if (!entries.includes(entry)) return;
+    const cold = _coldForPeek(entry);
+    if (cold.size) await _unpackAll(cold);
+    if (!entries.includes(entry) || _coldForPeek(entry).size) return;
+    const imgData = _peek(entry);
     const h = thumbHeight;
     const w = Math.max(1, Math.round(imgData.width * (h / imgData.height)));
-    // Use OffscreenCanvas if available, otherwise HTMLCanvasElement
-    let off;
-    try {
-      off = typeof OffscreenCanvas !== "undefined"
-        ? new OffscreenCanvas(w, h)
-        : (() => {
-            const c = document.createElement("canvas");
-            c.width = w; c.height = h; return c;
-          })();
-    } catch {
-      const c = document.createElement("canvas");
-      c.width = w; c.height = h;
-      off = c;
-    }
-    const octx = off.getContext("2d");
-    // Draw source ImageData to a temp canvas, then scale
-    const srcCanvas = document.createElement("canvas");
-    srcCanvas.width = imgData.width;
-    srcCanvas.height = imgData.height;
-    srcCanvas.getContext("2d").putImageData(imgData, 0, 0);
-    octx.imageSmoothingEnabled = true;
-    octx.imageSmoothingQuality = "high";
-    octx.drawImage(srcCanvas, 0, 0, w, h);
-
-    // Prefer webp for better compression; fall back to jpeg
-    const mime = (typeof HTMLCanvasElement !== "undefined" && "toDataURL" in off)
-      ? (canvasSupportsType("image/webp") ? "image/webp" : "image/jpeg")
-      : "image/jpeg";
-
-    // OffscreenCanvas toDataURL not widely supported; use toBlob then FileReader dataURL
-    const finalize = (blob) => {
-      const fr = new FileReader();
-      fr.onload = () => {
-        const m = metaMap.get(imgData) || {};
-        m.thumbDataUrl = String(fr.result || "");
-        metaMap.set(imgData, m);
-        _updateUI({}); // notify UI thumbnails updated
-        resolve();
-      };
-      fr.readAsDataURL(blob);
-    };
+    const type = _thumbType();
+    const blob = await _encodeThumb(imgData, w, h, type);
+    if (!blob || !entries.includes(entry)) return;
+    _releaseThumb(entry);
+    entry.thumbBlob = blob;
+    entry.thumbUrl = URL.createObjectURL(blob);
+    entry.rev++;
+    _updateUI({}); // notify UI thumbnails updated
+  };
 
-    if ("convertToBlob" in off) {
-      off.convertToBlob({ type: mime, quality: thumbQuality }).then(finalize).catch(() => resolve());
-    } else if (typeof off.toBlob === "function") {
-      off.toBlob((blob) => {
-        if (blob) finalize(blob); else resolve();
-      }, mime, thumbQuality);
-    } else {
-      try {
-        const dataUrl = off.toDataURL ? off.toDataURL(mime, thumbQuality) : "";
-        const m = metaMap.get(imgData) || {};
-        m.thumbDataUrl = dataUrl;
-        metaMap.set(imgData, m);
-        _updateUI({});
-      } catch {}
-      resolve();
+  if ("requestIdleCallback" in window) {
+    requestIdleCallback(() => { run().catch(() => {}); });
+  } else {
+    setTimeout(() => { run().catch(() => {}); }, 0);
+  }
+}
+
+function _getThumbWorker() {
+  if (thumbWorker !== undefined) return thumbWorker;
+  thumbWorker = null;
+  try {
+    if (typeof Worker !== "undefined" && typeof OffscreenCanvas !== "undefined" && typeof createImageBitmap === "function") {
+      thumbWorker = new Worker(new URL("./thumbWorker.js", import.meta.url));
+      thumbWorker.onmessage = (e) => {
+        const { jobId, blob } = e.data || {};
+        const job = thumbJobs.get(jobId);
+        if (!job) return;
+        thumbJobs.delete(jobId);
+        job.resolve(blob || null);
+      };
+      thumbWorker.onerror = () => {
+        // Worker failed to start or crashed: finish pending jobs and encode on the main thread from now on
+        try { thumbWorker.terminate(); } catch {}
+        thumbWorker = null;
+        thumbJobs.forEach(job => job.resolve(null));
+        thumbJobs.clear();
+      };
     }
+  } catch {
+    thumbWorker = null;
+  }
+  return thumbWorker;
+}
+
+/**
+ * Internal: encode a w×h thumbnail of `imgData` and resolve with the Blob (null on failure).
+ */
+async function _encodeThumb(imgData, w, h, type) {
+  const worker = _getThumbWorker();
+  if (worker) {
+    const bitmap = await createImageBitmap(imgData, { resizeWidth: w, resizeHeight: h, resizeQuality: "high" });
+    return new Promise((resolve) => {
+      const jobId = ++thumbJobId;
+      thumbJobs.set(jobId, { resolve });
+      worker.postMessage({ jobId, bitmap, type, quality: thumbQuality }, [bitmap]);
+    });
+  }
+  // Fallback without workers: scale through a small canvas on the main thread
+  const src = document.createElement("canvas");
+  src.width = imgData.width;
+  src.height = imgData.height;
+  src.getContext("2d").putImageData(imgData, 0, 0);
+  const c = document.createElement("canvas");
+  c.width = w; c.height = h;
+  const cctx = c.getContext("2d");
+  cctx.imageSmoothingEnabled = true;
+  cctx.imageSmoothingQuality = "high";
+  cctx.drawImage(src, 0, 0, w, h);
+  return new Promise((resolve) => {
+    try { c.toBlob((blob) => resolve(blob || null), type, thumbQuality); } catch { resolve(null); }
   });
+}
 
-  if ("requestIdleCallback" in window) {
-    requestIdleCallback(() => { run(); });
-  } else {
-    setTimeout(() => { run(); }, 0);
+/**
+ * Internal: drop an entry's thumbnail and revoke its object URL.
+ */
+function _releaseThumb(entry) {
+  if (entry.thumbUrl) {
+    try { URL.revokeObjectURL(entry.thumbUrl); } catch {}
   }
+  entry.thumbUrl = null;
+  entry.thumbBlob = null;
+}
+
+function _thumbType() {
+  if (!thumbTypeCached) thumbTypeCached = canvasSupportsType("image/webp") ? "image/webp" : "image/jpeg";
+  return thumbTypeCached;
 }
 
 function canvasSupportsType(type) {
@@ -420,17 +1131,139 @@ function canvasSupportsType(type) {
 
 /**
  * Public: get thumbnail metadata list (for UI components that don't receive callback payloads).
+ * Lists the active branch, including redo entries after the current one (see getCurrentIndex).
+ * Entries with branchCount > 1 have siblings reachable through switchBranch.
  */
 export function getHistoryThumbnails() {
-  return undoStack.map((imgData, idx) => {
-    const m = metaMap.get(imgData) || {};
-    return {
-      index: idx,
-      width: imgData.width,
-      height: imgData.height,
-      ts: m.ts || 0,
-      label: m.label || "",
-      thumbDataUrl: m.thumbDataUrl || null
+  return _activeBranch().map(_describe);
+}
+
+/**
+ * Public: lightweight listing of entry ids/revisions (creation order) plus the current
+ * position and branch selection, so a persistence layer can write only what changed.
+ */
+export function getPersistState() {
+  return {
+    cursor: current ? entries.indexOf(current) : -1,
+    entries: entries.map(e => ({ id: e.id, rev: e.rev })),
+    nav: {
+      activeChildren: entries.filter(e => e.activeChild).map(e => [e.id, e.activeChild.id])
+    }
+  };
+}
+
+/**
+ * Public: structured-clone friendly record for one entry (typed arrays and Maps are kept as-is).
+ */
+export function getEntryRecord(id) {
+  const e = entries.find(x => x.id === id);
+  if (!e) return null;
+  return {
+    id: e.id,
+    rev: e.rev,
+    parentId: e.parent ? e.parent.id : null,
+    width: e.width,
+    height: e.height,
+    keyframe: e.keyframe,
+    tiles: e.tiles,
+    bytes: e.bytes,
+    packedBlob: e.packedBlob || null,
+    packedKind: e.packedKind || null,
+    packedTiles: e.packedTiles || null,
+    ts: e.ts,
+    label: e.label,
+    pinned: !!e.pinned,
+    state: e.state || null,
+    layers: e.layers || null,
+    thumbBlob: e.thumbBlob || null
+  };
+}
+
+/**
+ * Internal: plane fields from a persisted record (see getEntryRecord).
+ */
+function _restorePlane(r) {
+  const plane = {
+    width: r.width,
+    height: r.height,
+    keyframe: r.keyframe || null,
+    tiles: r.keyframe || r.packedKind ? null : new Map(r.tiles || []),
+    bytes: r.bytes || 0
+  };
+  if (r.blank) plane.blank = true;
+  if (r.packedKind) {
+    plane.packedKind = r.packedKind;
+    plane.packedTiles = r.packedTiles || [];
+  }
+  return plane;
+}
+
+/**
+ * Public: rebuild history from records produced by getEntryRecord (creation order) and resolve
+ * with the ImageData of the entry at `cursorIndex` for the caller to draw. `nav` is the branch
+ * selection from getPersistState. Resolves null if the records do not form a valid tree.
+ */
+export async function restoreHistory(records, cursorIndex, nav = null) {
+  if (!Array.isArray(records) || records.length === 0) return null;
+  const byId = new Map();
+  const rebuilt = [];
+  for (const r of records) {
+    const parent = r.parentId != null ? byId.get(r.parentId) : null;
+    // Parents must precede children, every root must be a keyframe and compressed data present
+    if (r.parentId != null && !parent) return null;
+    if (!parent && !(r.keyframe || r.packedKind === "keyframe")) return null;
+    if (r.packedKind && !r.packedBlob) return null;
+    const entry = {
+      id: r.id,
+      rev: r.rev || 0,
+      parent: parent || null,
+      children: [],
+      activeChild: null,
+      ..._restorePlane(r),
+      packedBlob: r.packedBlob || null,
+      ts: r.ts || 0,
+      label: r.label || "",
+      pinned: !!r.pinned,
+      state: r.state || null,
+      layers: null,
+      thumbBlob: r.thumbBlob || null,
+      thumbUrl: null
     };
+    // A layer delta is only usable when the parent has the same layer
+    for (const name in (r.layers || {})) {
+      const p = r.layers[name];
+      if (!p || !(p.keyframe || p.blank || p.packedKind === "keyframe" || _plane(parent || {}, name))) continue;
+      if (p.packedKind && !r.packedBlob) continue;
+      entry.layers = entry.layers || {};
+      entry.layers[name] = _restorePlane(p);
+    }
+    if (parent) {
+      parent.children.push(entry);
+      parent.activeChild = entry;
+    }
+    byId.set(entry.id, entry);
+    rebuilt.push(entry);
+  }
+  const activeChildren = (nav && Array.isArray(nav.activeChildren)) ? nav.activeChildren : [];
+  for (const [id, childId] of activeChildren) {
+    const e = byId.get(id);
+    const child = byId.get(childId);
+    if (e && child && child.parent === e) e.activeChild = child;
+  }
+  entries.forEach(_releaseThumb);
+  rebuilt.forEach((e) => {
+    if (e.thumbBlob) e.thumbUrl = URL.createObjectURL(e.thumbBlob);
   });
+  entries = rebuilt;
+  nextId = entries.reduce((m, e) => Math.max(m, e.id), 0) + 1;
+  const at = Math.max(0, Math.min(entries.length - 1, Number.isFinite(cursorIndex) ? cursorIndex : entries.length - 1));
+  caches.clear();
+  isTainted = false;
+  _setCurrent(entries[at]);
+  const cold = _coldForNavigation(current);
+  if (cold.size) await _unpackAll(cold);
+  const result = _returnable(_seek(current));
+  _enforceLimits();
+  _updateUI();
+  return result;
 }
@@ -0,0 +1,245 @@
+/**
+ * layered.js
+ * Layered export: OpenRaster (.ora) and basic Photoshop (.psd) files that keep the image,
+ * pasted-image, text and drawing layers as separate named bitmaps with their visibility.
+ *
+ * API:
+ * - LAYERED_FORMATS: format -> { mime, ext, label }
+ * - encodeLayered(layers, format) => Promise<Blob>
+ *   layers: [{ name, canvas, visible }] bottom to top, all canvases the same size
+ *
+ * PSD files are 8-bit RGB with PackBits-compressed channels; each layer is cropped to its
+ * non-transparent bounds, and the merged composite is stored for readers that ignore layers.
+ */
+
+import { createZip } from "./zip.js";
+
+export const LAYERED_FORMATS = {
+  ora: { mime: "image/openraster", ext: "ora", label: "OpenRaster" },
+  psd: { mime: "image/vnd.adobe.photoshop", ext: "psd", label: "PSD" }
+};
+
+const ORA_THUMB_MAX = 256;
+
+function compose(layers, width, height) {
+  const c = document.createElement("canvas");
+  c.width = width;
+  c.height = height;
+  const cctx = c.getContext("2d");
+  layers.forEach(l => l.visible && cctx.drawImage(l.canvas, 0, 0));
+  return c;
+}
+
+function canvasToPng(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((b) => b ? resolve(b) : reject(new Error("toBlob returned null")), "image/png");
+  });
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&"']/g, ch => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "\"": "&quot;", "'": "&apos;" })[ch]);
+}
+
+function layerFileName(name, i, used) {
+  let base = String(name || "layer").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "layer";
+  if (used.has(base)) base += `-${i}`;
+  used.add(base);
+  return `data/${base}.png`;
+}
+
+/**
+ * OpenRaster: a zip whose first entry is the stored "mimetype", then stack.xml (top layer
+ * first), one PNG per layer, the merged image and a thumbnail.
+ */
+async function encodeORA(layers) {
+  const { width, height } = layers[0].canvas;
+  const used = new Set();
+  const entries = layers.map((l, i) => ({ ...l, src: layerFileName(l.name, i, used) }));
+  const stack = entries.slice().reverse().map(l =>
+    `    <layer name="${escapeXml(l.name)}" src="${l.src}" visibility="${l.visible ? "visible" : "hidden"}" opacity="1.000" x="0" y="0" composite-op="svg:src-over"/>`
+  ).join("\n");
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>\n<image version="0.0.5" w="${width}" h="${height}" xres="72" yres="72">\n  <stack>\n${stack}\n  </stack>\n</image>\n`;
+
+  const merged = compose(layers, width, height);
+  const k = Math.min(1, ORA_THUMB_MAX / Math.max(width, height));
+  const thumb = document.createElement("canvas");
+  thumb.width = Math.max(1, Math.round(width * k));
+  thumb.height = Math.max(1, Math.round(height * k));
+  const thctx = thumb.getContext("2d");
+  thctx.imageSmoothingEnabled = true;
+  thctx.imageSmoothingQuality = "high";
+  thctx.drawImage(merged, 0, 0, thumb.width, thumb.height);
+
+  const files = [{ name: "mimetype", data: LAYERED_FORMATS.ora.mime, compress: false }, { name: "stack.xml", data: xml }];
+  for (const l of entries) files.push({ name: l.src, data: await canvasToPng(l.canvas), compress: false });
+  files.push({ name: "mergedimage.png", data: await canvasToPng(merged), compress: false });
+  files.push({ name: "Thumbnails/thumbnail.png", data: await canvasToPng(thumb), compress: false });
+  const zip = await createZip(files);
+  return new Blob([zip], { type: LAYERED_FORMATS.ora.mime });
+}
+
+/**
+ * PackBits one row of a channel (PSD RLE).
+ */
+function packBits(src, start, length, out) {
+  const end = start + length;
+  let i = start;
+  while (i < end) {
+    let run = 1;
+    while (i + run < end && run < 128 && src[i + run] === src[i]) run++;
+    if (run > 1) {
+      out.push(257 - run, src[i]);
+      i += run;
+      continue;
+    }
+    let lit = 1;
+    while (i + lit < end && lit < 128 && !(i + lit + 1 < end && src[i + lit] === src[i + lit + 1])) lit++;
+    out.push(lit - 1);
+    for (let k = 0; k < lit; k++) out.push(src[i + k]);
+    i += lit;
+  }
+}
+
+/**
+ * Planar RLE data for `channels` of a w×h RGBA buffer: row byte counts for every channel's
+ * rows, then the rows. `perChannel` returns one block per channel (layer records) with its own
+ * compression marker; otherwise a single block follows one marker (merged image data).
+ */
+function rleChannels(rgba, w, h, channels, perChannel) {
+  const plane = new Uint8Array(w);
+  const encodeChannel = (c) => {
+    const counts = [];
+    const rows = [];
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) plane[x] = rgba[(y * w + x) * 4 + c];
+      const row = [];
+      packBits(plane, 0, w, row);
+      counts.push(row.length);
+      rows.push(row);
+    }
+    return { counts, rows };
+  };
+  const encoded = channels.map(encodeChannel);
+  const block = (list) => {
+    const total = list.reduce((n, e) => n + e.counts.length * 2 + e.rows.reduce((m, r) => m + r.length, 0), 2);
+    const out = new Uint8Array(total);
+    const view = new DataView(out.buffer);
+    view.setUint16(0, 1); // RLE
+    let at = 2;
+    list.forEach(e => e.counts.forEach((n) => { view.setUint16(at, n); at += 2; }));
+    list.forEach(e => e.rows.forEach((r) => { out.set(r, at); at += r.length; }));
+    return out;
+  };
+  return perChannel ? encoded.map(e => block([e])) : block(encoded);
+}
+
+// Bounds of the non-transparent pixels, or null for an empty layer
+function opaqueBounds(data, w, h) {
+  let top = h, left = w, bottom = -1, right = -1;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (data[(y * w + x) * 4 + 3] === 0) continue;
+      if (y < top) top = y;
+      if (y > bottom) bottom = y;
+      if (x < left) left = x;
+      if (x > right) right = x;
+    }
+  }
+  return bottom < 0 ? null : { top, left, bottom: bottom + 1, right: right + 1 };
+}
+
+function pascalName(name) {
+  const bytes = Array.from(String(name), ch => (ch.charCodeAt(0) < 128 ? ch.charCodeAt(0) : 0x3f)).slice(0, 255);
+  const out = [bytes.length, ...bytes];
+  while (out.length % 4) out.push(0);
+  return out;
+}
+
+// 'luni' additional layer info: the name as UTF-16 for readers that show Unicode names
+function unicodeName(name) {
+  const s = String(name);
+  const len = 4 + s.length * 2;
+  const padded = len + (len % 4 ? 4 - (len % 4) : 0);
+  const out = new Uint8Array(12 + padded);
+  const view = new DataView(out.buffer);
+  out.set([0x38, 0x42, 0x49, 0x4d, 0x6c, 0x75, 0x6e, 0x69]); // "8BIM" "luni"
+  view.setUint32(8, padded);
+  view.setUint32(12, s.length);
+  for (let i = 0; i < s.length; i++) view.setUint16(16 + i * 2, s.charCodeAt(i));
+  return out;
+}
+
+async function encodePSD(layers) {
+  const { width, height } = layers[0].canvas;
+  const records = [];
+  const channelData = [];
+  for (const layer of layers) {
+    const img = layer.canvas.getContext("2d").getImageData(0, 0, width, height);
+    const b = opaqueBounds(img.data, width, height) || { top: 0, left: 0, bottom: 0, right: 0 };
+    const w = b.right - b.left;
+    const h = b.bottom - b.top;
+    const cropped = new Uint8ClampedArray(w * h * 4);
+    for (let y = 0; y < h; y++) {
+      cropped.set(img.data.subarray(((b.top + y) * width + b.left) * 4, ((b.top + y) * width + b.right) * 4), y * w * 4);
+    }
+    // Channel order: transparency (-1), then R, G, B
+    const blocks = rleChannels(cropped, w, h, [3, 0, 1, 2], true);
+    const ids = [-1, 0, 1, 2];
+    const name = pascalName(layer.name);
+    const luni = unicodeName(layer.name);
+    const extraLen = 4 + 4 + name.length + luni.length;
+    const rec = new Uint8Array(16 + 2 + 6 * 4 + 12 + 4 + extraLen);
+    const view = new DataView(rec.buffer);
+    view.setInt32(0, b.top); view.setInt32(4, b.left); view.setInt32(8, b.bottom); view.setInt32(12, b.right);
+    view.setUint16(16, 4);
+    let at = 18;
+    ids.forEach((id, i) => { view.setInt16(at, id); view.setUint32(at + 2, blocks[i].length); at += 6; });
+    rec.set([0x38, 0x42, 0x49, 0x4d, 0x6e, 0x6f, 0x72, 0x6d], at); at += 8; // "8BIM" "norm"
+    rec[at++] = 255; // opacity
+    rec[at++] = 0;   // clipping: base
+    rec[at++] = 0x08 | (layer.visible ? 0 : 0x02); // bit 1 set = hidden
+    rec[at++] = 0;
+    view.setUint32(at, extraLen); at += 4;
+    view.setUint32(at, 0); at += 4; // no layer mask
+    view.setUint32(at, 0); at += 4; // no blending ranges
+    rec.set(name, at); at += name.length;
+    rec.set(luni, at);
+    records.push(rec);
+    channelData.push(...blocks);
+  }
+
+  let layerInfoLen = 2 + records.reduce((n, r) => n + r.length, 0) + channelData.reduce((n, d) => n + d.length, 0);
+  const pad = layerInfoLen % 2;
+  layerInfoLen += pad;
+
+  const merged = compose(layers, width, height).getContext("2d").getImageData(0, 0, width, height).data;
+  let transparent = false;
+  for (let i = 3; i < merged.length; i += 4) if (merged[i] !== 255) { transparent = true; break; }
+  const composite = rleChannels(merged, width, height, transparent ? [0, 1, 2, 3] : [0, 1, 2], false);
+
+  const head = new Uint8Array(26 + 4 + 4 + 4 + 4);
+  const hv = new DataView(head.buffer);
+  head.set([0x38, 0x42, 0x50, 0x53]); // "8BPS"
+  hv.setUint16(4, 1);
+  hv.setUint16(12, transparent ? 4 : 3);
+  hv.setUint32(14, height);
+  hv.setUint32(18, width);
+  hv.setUint16(22, 8);
+  hv.setUint16(24, 3); // RGB
+  hv.setUint32(26, 0); // color mode data
+  hv.setUint32(30, 0); // image resources
+  hv.setUint32(34, 4 + layerInfoLen + 4); // layer and mask information
+  hv.setUint32(38, layerInfoLen);
+  const count = new Uint8Array(2);
+  new DataView(count.buffer).setInt16(0, records.length);
+  const tail = new Uint8Array(pad + 4); // padding, empty global layer mask info
+
+  return new Blob([head, count, ...records, ...channelData, tail, composite], { type: LAYERED_FORMATS.psd.mime });
+}
+
+export async function encodeLayered(layers, format) {
+  if (!layers || !layers.length) throw new Error("Nothing to export");
+  if (format === "ora") return encodeORA(layers);
+  if (format === "psd") return encodePSD(layers);
+  throw new Error(`No layered encoder for ${format}`);
+}
@@ -1,39 +1,194 @@
 /**
  * loader.js
  * Handles file input and draws the selected image to the canvas.
+ * Project files (see project.js) are opened through the same inputs when `onProject` is given.
+ * onImage receives (bitmap, { file, metadata, handle, fullResolution }) where metadata is the source EXIF/XMP
+ * (metadata.js) and handle the file's FileSystemFileHandle when the browser gives one (files
+ * opened through showOpenFilePicker or dropped), so exports can be saved back over it.
+ * initPaste loads images pasted from the clipboard (Ctrl+V).
+ * With `onFiles`, picking or dropping several images hands them all to onFiles(files) (e.g. the
+ * batch queue) instead of opening the first one.
+ * Images over options.maxDimension are reduced with the kernel returned by options.getResample
+ * (resample.js; Lanczos3 by default).
+ * With options.keepFullResolution() true, an image over maxDimension is still reduced for editing
+ * but decodeImageFile also reports the original as fullResolution: { blob, width, height,
+ * orientation }, which decodeFullResolution turns into tiles (tiles.js) at export time.
+ * Every path hands out upright pixels: the EXIF orientation of JPEGs is read here and applied
+ * unless the browser's decoder already did (probed once per decoder), and onNotify reports it.
+ * Files are recognized by their first bytes: TIFF, TGA, PPM/PGM and ICO go through the script
+ * decoders (decoders.js), as do BMP variants the browser rejects. For a multi-page TIFF,
+ * options.choosePage(pages) => Promise<index|null> picks the page (null cancels the load);
+ * without it the first page is used.
+ *
+ * Files are never trusted by their MIME type: decodeImageFile checks the bytes against the
+ * supported formats, reads the declared size from the header and refuses files over
+ * options.limits (LOAD_LIMITS by default) before decoding anything; a decode that outlasts
+ * limits.timeoutMs is given up (script decoders run in a worker that is then terminated).
+ * Each refusal reaches onNotify with its reason.
  */
 
-export function initLoader({ fileInput, onImage, setLoading, options = {} }) {
+import { readProject, isProjectFile, PROJECT_EXTENSION } from "./project.js";
+import { readMetadata } from "./metadata.js";
+import { resampleCanvas, normalizeKernel } from "./resample.js";
+import { applyExifOrientation, exifOrientationTransform, EXIF_ORIENTATION_LABELS } from "./transforms.js";
+import { tilesFromSource, tilesFromPixels, transformTiles, composeTiles, canvasFits } from "./tiles.js";
+import { sniffImageFile, isImageFile, decodeFileInWorker, tiffPages, scriptImageSize, SCRIPT_FORMATS } from "./decoders.js";
+
+// maxBytes: file size; maxMegapixels: declared width × height; timeoutMs: one decode
+export const LOAD_LIMITS = {
+  maxBytes: 256 * 1024 * 1024,
+  maxMegapixels: 200,
+  timeoutMs: 30000
+};
+
+const HEAD_BYTES = 64 * 1024;
+const HEIF_BRANDS = ["avif", "avis", "heic", "heix", "mif1", "msf1"];
+
+const OPEN_PICKER_IMAGES = [
+  ".png", ".jpg", ".jpeg", ".jfif", ".webp", ".gif", ".avif", ".svg",
+  ...Object.values(SCRIPT_FORMATS).flatMap(f => f.extensions)
+];
+
+// A load the user called off (e.g. the TIFF page choice was cancelled); reported nowhere
+function isCancelled(err) {
+  return !!err && err.name === "AbortError";
+}
+
+// A file refused by the load checks; its message is the reason shown to the user
+function refused(message) {
+  const err = new Error(message);
+  err.code = "refused";
+  return err;
+}
+
+function failureMessage(err, fallback) {
+  return err && err.code === "refused" ? err.message : fallback;
+}
+
+function formatKB(bytes) {
+  const kb = bytes / 1024;
+  return kb >= 1024 ? `${(kb / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(kb))} KB`;
+}
+
+function inCrossOriginFrame() {
+  try {
+    return window.top !== window.self && !window.top.location.href;
+  } catch {
+    return true;
+  }
+}
+
+export function initLoader({ fileInput, onImage, onProject, onFiles, setLoading, options = {} }) {
   if (!fileInput) return;
 
-  fileInput.addEventListener("change", async (e) => {
-    const file = e.target.files && e.target.files[0];
-    if (!file) return;
+  const loadFile = async (file, handle = null) => {
+    if (onProject && isProjectFile(file)) {
+      await openProjectFile(file, { onProject, setLoading, onNotify: options.onNotify });
+      return;
+    }
     try {
       setLoading && setLoading(true);
-      const bitmap = await fileToImageBitmap(file, options);
-      onImage && onImage(bitmap);
+      const { bitmap, metadata, fullResolution } = await decodeImageFile(file, options);
+      onImage && onImage(bitmap, { file, metadata, handle, fullResolution });
     } catch (err) {
+      if (isCancelled(err)) return;
       console.error("Failed to load image:", err);
       // Prefer non-blocking UX; if a toast/notify callback is provided, use it; otherwise log.
       if (options.onNotify) {
-        options.onNotify("Failed to load image. Please try a different file.", { type: "error", error: err });
+        options.onNotify(failureMessage(err, "Failed to load image. Please try a different file."), { type: "error", error: err });
       } else {
         // Fallback to alert only if no notify system exists
-        alert("Failed to load image. Please try a different file.");
+        alert(failureMessage(err, "Failed to load image. Please try a different file."));
       }
     } finally {
       setLoading && setLoading(false);
-      // Let user re-select the same file if needed
-      fileInput.value = "";
+    }
+  };
+
+  if (onFiles) fileInput.multiple = true;
+  fileInput.addEventListener("change", async (e) => {
+    const files = Array.from(e.target.files || []);
+    if (!files.length) return;
+    const images = files.filter(f => !isProjectFile(f));
+    if (onFiles && images.length > 1) onFiles(images);
+    else await loadFile(files[0]);
+    // Let user re-select the same file if needed
+    fileInput.value = "";
+  });
+
+  // With the File System Access API the input opens showOpenFilePicker instead, which also
+  // hands out a handle to write the file back. Cross-origin frames may not show the picker, so
+  // there the input is left alone; the browser opens its own chooser only during the click, so
+  // it cannot be reopened once the picker has failed.
+  if (typeof window.showOpenFilePicker !== "function" || inCrossOriginFrame()) return;
+  let pickerBlocked = false;
+  fileInput.addEventListener("click", async (e) => {
+    if (pickerBlocked) return;
+    e.preventDefault();
+    let handles;
+    try {
+      handles = await window.showOpenFilePicker({
+        multiple: !!onFiles,
+        types: [
+          { description: "Images", accept: { "image/*": OPEN_PICKER_IMAGES } },
+          ...(onProject ? [{ description: "Projects", accept: { "application/zip": [PROJECT_EXTENSION] } }] : [])
+        ]
+      });
+    } catch (err) {
+      if (err && err.name === "AbortError") return;
+      console.warn("Open picker unavailable, using the file input:", err);
+      pickerBlocked = true;
+      options.onNotify && options.onNotify("The file picker could not open. Try again to use the browser's file chooser.", { type: "warning", error: err });
+      return;
+    }
+    try {
+      if (handles.length > 1) {
+        onFiles((await Promise.all(handles.map(h => h.getFile()))).filter(f => !isProjectFile(f)));
+      } else {
+        await loadFile(await handles[0].getFile(), handles[0]);
+      }
+    } catch (err) {
+      console.error("Failed to read the picked file:", err);
+      options.onNotify && options.onNotify("Could not read that file.", { type: "error", error: err });
     }
   });
 }
 
 /**
- * Initialize drag-and-drop loading on a wrapper element. Calls onImage with an ImageBitmap/Canvas.
+ * "Open project" input: reads the selected project bundle and calls onProject with it.
  */
-export function initDragAndDrop(canvasWrapper, onImage, { onNotify } = {}) {
+export function initProjectLoader({ fileInput, onProject, setLoading, onNotify }) {
+  if (!fileInput) return;
+  fileInput.addEventListener("change", async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    await openProjectFile(file, { onProject, setLoading, onNotify });
+    fileInput.value = "";
+  });
+}
+
+async function openProjectFile(file, { onProject, setLoading, onNotify }) {
+  try {
+    setLoading && setLoading(true);
+    const project = await readProject(file);
+    await (onProject && onProject(project));
+  } catch (err) {
+    console.error("Failed to open project:", err);
+    if (onNotify) {
+      onNotify("Could not open the project file.", { type: "error", error: err });
+    } else {
+      alert("Could not open the project file.");
+    }
+  } finally {
+    setLoading && setLoading(false);
+  }
+}
+
+/**
+ * Initialize drag-and-drop loading on a wrapper element. Calls onImage with an ImageBitmap/Canvas,
+ * or onProject with a parsed project when a project file is dropped.
+ */
+export function initDragAndDrop(canvasWrapper, onImage, { onNotify, onProject, onFiles, getResample, keepFullResolution, choosePage } = {}) {
   if (!canvasWrapper) return;
   const dndOverClass = "is-drag-over";
   const prevent = (e) => { e.preventDefault(); e.stopPropagation(); };
@@ -58,26 +213,359 @@ export function initDragAndDrop(canvasWrapper, onImage, { onNotify } = {}) {
   canvasWrapper.addEventListener("drop", async (e) => {
     const dt = e.dataTransfer;
     if (!dt || !dt.files || dt.files.length === 0) return;
-    const file = Array.from(dt.files).find(f => /^image\//i.test(f.type));
+    // Handles can only be requested while the drop event is being dispatched
+    const handlePromises = Array.from(dt.items || [])
+      .filter(i => i.kind === "file" && typeof i.getAsFileSystemHandle === "function")
+      .map(i => i.getAsFileSystemHandle().catch(() => null));
+    const files = Array.from(dt.files);
+    const project = onProject && files.find(isProjectFile);
+    if (project) {
+      await openProjectFile(project, { onProject, onNotify });
+      return;
+    }
+    // By MIME type, or by content for formats the system has no type for (e.g. TGA)
+    const images = [];
+    for (const f of files) if (!isProjectFile(f) && await isImageFile(f)) images.push(f);
+    if (onFiles && images.length > 1) {
+      onFiles(images);
+      return;
+    }
+    const file = images[0];
     if (!file) {
       onNotify && onNotify("Please drop an image file.", { type: "warning" });
       return;
     }
     try {
-      const bitmap = await fileToImageBitmap(file, { onNotify });
-      onImage && onImage(bitmap);
+      const { bitmap, metadata, fullResolution } = await decodeImageFile(file, { onNotify, getResample, keepFullResolution, choosePage });
+      const handle = (await Promise.all(handlePromises)).find(h => h && h.kind === "file" && h.name === file.name);
+      onImage && onImage(bitmap, { file, metadata, handle: handle || null, fullResolution });
     } catch (err) {
+      if (isCancelled(err)) return;
       console.error("Drop load failed:", err);
-      onNotify && onNotify("Could not load the dropped file.", { type: "error", error: err });
+      onNotify && onNotify(failureMessage(err, "Could not load the dropped file."), { type: "error", error: err });
     }
   });
 }
 
+/**
+ * Load images pasted into the page. With nothing open the image goes to onImage like a picked
+ * file; once hasImage() is true it is handed to onLayer(bitmap) instead, to be added as a
+ * layer over the current image. Pastes into text fields are left alone.
+ */
+export function initPaste({ target = window, onImage, onLayer, hasImage, setLoading, options = {} }) {
+  if (!target) return;
+  const { onNotify } = options;
+  target.addEventListener("paste", async (e) => {
+    const el = e.target;
+    const tag = (el && el.tagName) || "";
+    if (/INPUT|TEXTAREA|SELECT/.test(tag) || (el && el.isContentEditable)) return;
+    const dt = e.clipboardData;
+    if (!dt) return;
+    let file = Array.from(dt.files || []).find(f => /^image\//i.test(f.type));
+    if (!file) {
+      const item = Array.from(dt.items || []).find(i => i.kind === "file" && /^image\//i.test(i.type));
+      file = item ? item.getAsFile() : null;
+    }
+    // Text and other pastes are not ours to comment on
+    if (!file) return;
+    e.preventDefault();
+    const asLayer = !!(onLayer && hasImage && hasImage());
+    try {
+      setLoading && setLoading(true);
+      // A pasted layer is drawn at editing size, so only a pasted new image keeps its original
+      const { bitmap, metadata, fullResolution } = await decodeImageFile(file, asLayer ? { ...options, keepFullResolution: null } : options);
+      if (asLayer) {
+        await onLayer(bitmap);
+      } else {
+        onImage && onImage(bitmap, { file, metadata, fullResolution });
+      }
+    } catch (err) {
+      if (isCancelled(err)) return;
+      console.error("Paste failed:", err);
+      onNotify && onNotify(failureMessage(err, "Could not paste the clipboard image."), { type: "error", error: err });
+    } finally {
+      setLoading && setLoading(false);
+    }
+  });
+}
+
+// Metadata is optional: an unreadable block never blocks loading the pixels
+async function readMetadataSafe(file) {
+  try {
+    return await readMetadata(file);
+  } catch (e) {
+    console.warn("Image metadata could not be read:", e);
+    return null;
+  }
+}
+
+function ascii(bytes, at, length) {
+  return String.fromCharCode(...bytes.subarray(at, at + length));
+}
+
+// Frame size from the first SOF marker, reading on past large metadata segments as needed
+async function jpegSize(file) {
+  let base = 0;
+  let buf = new Uint8Array(0);
+  const byte = async (pos) => {
+    if (pos < base || pos >= base + buf.length) {
+      base = pos;
+      buf = new Uint8Array(await file.slice(pos, pos + HEAD_BYTES).arrayBuffer());
+    }
+    return pos - base < buf.length ? buf[pos - base] : -1;
+  };
+  let at = 2;
+  for (let guard = 0; guard < 10000 && at < file.size; guard++) {
+    if (await byte(at) !== 0xff) break;
+    const marker = await byte(at + 1);
+    if (marker === 0xff) { at++; continue; }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) { at += 2; continue; }
+    if (marker === 0xd9 || marker === 0xda) break;
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return {
+        height: ((await byte(at + 5)) << 8) | (await byte(at + 6)),
+        width: ((await byte(at + 7)) << 8) | (await byte(at + 8))
+      };
+    }
+    at += 2 + (((await byte(at + 2)) << 8) | (await byte(at + 3)));
+  }
+  return { width: null, height: null };
+}
+
+function webpSize(head, view) {
+  const chunk = ascii(head, 12, 4);
+  if (chunk === "VP8 ") return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+  if (chunk === "VP8L") {
+    return {
+      width: 1 + (((head[22] & 0x3f) << 8) | head[21]),
+      height: 1 + (((head[24] & 0x0f) << 10) | (head[23] << 2) | ((head[22] & 0xc0) >> 6))
+    };
+  }
+  if (chunk === "VP8X") {
+    return {
+      width: 1 + (head[24] | (head[25] << 8) | (head[26] << 16)),
+      height: 1 + (head[27] | (head[28] << 8) | (head[29] << 16))
+    };
+  }
+  return { width: null, height: null };
+}
+
+// AVIF/HEIF: the largest 'ispe' (image spatial extents) property in the header
+function heifSize(head, view) {
+  let width = null;
+  let height = null;
+  for (let at = head.indexOf(0x69); at >= 0 && at + 16 <= head.length; at = head.indexOf(0x69, at + 1)) {
+    if (ascii(head, at, 4) !== "ispe") continue;
+    const w = view.getUint32(at + 8);
+    const h = view.getUint32(at + 12);
+    if (w * h > (width || 0) * (height || 0)) { width = w; height = h; }
+  }
+  return { width, height };
+}
+
+function looksLikeSvg(head) {
+  const text = new TextDecoder().decode(head.subarray(0, 4096)).replace(/^\uFEFF/, "").trimStart();
+  return /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(text);
+}
+
+/**
+ * Identify an image by its first bytes and read the size its header declares, without decoding:
+ * { format, width, height } (width/height null when not declared, e.g. SVG), or null when the
+ * bytes match no supported format.
+ */
+async function inspectImageFile(file) {
+  const head = new Uint8Array(await file.slice(0, HEAD_BYTES).arrayBuffer());
+  const view = new DataView(head.buffer);
+  const starts = (...sig) => sig.every((b, i) => head[i] === b);
+  if (starts(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a)) {
+    return { format: "png", width: view.getUint32(16), height: view.getUint32(20) };
+  }
+  if (starts(0x47, 0x49, 0x46, 0x38)) return { format: "gif", width: view.getUint16(6, true), height: view.getUint16(8, true) };
+  if (starts(0xff, 0xd8, 0xff)) return { format: "jpeg", ...(await jpegSize(file)) };
+  if (starts(0x52, 0x49, 0x46, 0x46) && ascii(head, 8, 4) === "WEBP") return { format: "webp", ...webpSize(head, view) };
+  if (ascii(head, 4, 4) === "ftyp") {
+    const boxEnd = Math.min(head.length, view.getUint32(0));
+    const brands = [];
+    for (let at = 8; at + 4 <= boxEnd; at += 4) brands.push(ascii(head, at, 4));
+    return brands.some(b => HEIF_BRANDS.includes(b)) ? { format: "avif", ...heifSize(head, view) } : null;
+  }
+  const script = await sniffImageFile(file);
+  if (script === "tiff") return { format: script, width: null, height: null }; // sized per page
+  if (script) return { format: script, ...(await scriptImageSize(file, script)) };
+  if (looksLikeSvg(head)) return { format: "svg", width: null, height: null };
+  return null;
+}
+
+function checkPixels({ width, height }, limits) {
+  if (!width || !height) return;
+  const megapixels = (width * height) / 1e6;
+  if (megapixels > limits.maxMegapixels) {
+    throw refused(`The image is ${width}×${height} (${Math.round(megapixels)} megapixels); images over ${limits.maxMegapixels} megapixels are not opened.`);
+  }
+}
+
+function tookTooLong(ms) {
+  return refused(`Decoding took longer than ${Math.round(ms / 1000)} seconds; the file may be damaged.`);
+}
+
+// Give up on a decode after `ms`; a result that still arrives is released
+function withTimeout(promise, ms) {
+  if (!(ms > 0)) return promise;
+  let timer;
+  let late = false;
+  promise.then((image) => {
+    if (!late || !image) return;
+    try { typeof image.close === "function" && image.close(); } catch {}
+  }, () => {});
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        late = true;
+        reject(tookTooLong(ms));
+      }, ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Page of a TIFF to open, the one options.choosePage picks when there are several: { page, size }
+async function chooseTiffPage(file, choosePage) {
+  const pages = await tiffPages(file);
+  if (!pages.length) throw refused("That TIFF file holds no images.");
+  if (pages.length < 2 || !choosePage) return { page: 0, size: pages[0] };
+  const page = await choosePage(pages);
+  if (page === null || page === undefined) {
+    const err = new Error("No page was chosen");
+    err.name = "AbortError";
+    throw err;
+  }
+  return { page, size: pages[page] };
+}
+
+/**
+ * Decode an image file the way the inputs do: upright and reduced to options.maxDimension.
+ * Resolves { bitmap, metadata, fullResolution } (fullResolution: see keepFullResolution above,
+ * plus the script decoder `format` and TIFF `page` it was read with).
+ */
+export async function decodeImageFile(file, options = {}) {
+  const limits = { ...LOAD_LIMITS, ...(options.limits || {}) };
+  if (file.size > limits.maxBytes) {
+    throw refused(`The file is ${formatKB(file.size)}; files over ${formatKB(limits.maxBytes)} are not opened.`);
+  }
+  const header = await inspectImageFile(file).catch(() => null);
+  if (!header) throw refused("That file is not an image in a supported format.");
+  const format = SCRIPT_FORMATS[header.format] ? header.format : null;
+  let page = 0;
+  if (format === "tiff") {
+    const chosen = await chooseTiffPage(file, options.choosePage);
+    page = chosen.page;
+    checkPixels(chosen.size, limits);
+  } else {
+    checkPixels(header, limits);
+  }
+  const metadata = await readMetadataSafe(file);
+  const orientation = (metadata && metadata.orientation) || 1;
+  let fullResolution = null;
+  const decode = (scriptFormat) => {
+    const onReduced = options.keepFullResolution && options.keepFullResolution()
+      ? (width, height) => { fullResolution = { blob: file, width, height, orientation, format: scriptFormat, page }; }
+      : null;
+    const decoding = fileToImageBitmap(file, {
+      ...options, orientation, format: scriptFormat, page, onReduced,
+      timeoutMs: limits.timeoutMs, maxPixels: limits.maxMegapixels * 1e6
+    });
+    // Script decoders stop their own worker on time; the browser's decoders are only waited on
+    return scriptFormat ? decoding : withTimeout(decoding, limits.timeoutMs);
+  };
+  let bitmap;
+  if (format === "bmp") {
+    // Browsers read most bitmaps; the variants they reject go to the script decoder
+    bitmap = await decode(null).catch((e) => {
+      if (e && e.code === "refused") throw e;
+      console.warn("The browser could not decode this BMP, using the script decoder.", e);
+      return decode("bmp");
+    });
+  } else {
+    bitmap = await decode(format);
+  }
+  return { bitmap, metadata, fullResolution };
+}
+
+// Tiles turned upright for an EXIF/TIFF orientation
+function orientTiles(tiled, orientation) {
+  if (!EXIF_ORIENTATION_LABELS[orientation]) return tiled;
+  const { width, height, matrix } = exifOrientationTransform(orientation, tiled.width, tiled.height);
+  return transformTiles(tiled, width, height, matrix);
+}
+
+async function decodeScriptTiles(blob, format, page, { timeoutMs = 0, maxPixels = Infinity } = {}) {
+  let pixels;
+  try {
+    pixels = await decodeFileInWorker(blob, format, { page, timeoutMs, maxPixels });
+  } catch (err) {
+    throw err && err.name === "TimeoutError" ? tookTooLong(timeoutMs) : err;
+  }
+  return { tiled: orientTiles(tilesFromPixels(pixels), pixels.orientation), orientation: pixels.orientation };
+}
+
+/**
+ * Decode the original behind a reduced image (decodeImageFile's fullResolution) into tiles,
+ * upright.
+ */
+export async function decodeFullResolution({ blob, orientation = 1, format = null, page = 0 }) {
+  if (format) return (await decodeScriptTiles(blob, format, page)).tiled;
+  if (typeof createImageBitmap !== "function") throw new Error("Full-resolution decoding needs createImageBitmap");
+  const bitmap = await createImageBitmap(blob);
+  let tiled;
+  try {
+    tiled = tilesFromSource(bitmap);
+  } finally {
+    try { bitmap.close(); } catch {}
+  }
+  return (await decoderAppliesOrientation("bitmap")) ? tiled : orientTiles(tiled, orientation);
+}
+
 async function fileToImageBitmap(file, options = {}) {
   const {
     maxDimension = 4096,
     onNotify, // optional callback: (message, { type: 'info'|'warning'|'error', meta? })
+    getResample, // optional: () => kernel name used for the downscale
+    orientation = 1, // EXIF orientation of the file (metadata.js)
+    onReduced, // optional: (width, height) of the upright original when it is reduced
+    format = null, // script decoder to use (decoders.js) instead of the browser
+    page = 0, // TIFF page
+    timeoutMs = 0, // script decoders are stopped after this long
+    maxPixels = Infinity // script decoders refuse larger images before allocating them
   } = options;
+  const kernel = normalizeKernel(getResample && getResample());
+  const noteReduced = async (width, height, decoder) => {
+    if (onReduced) {
+      const swap = decoder !== "script" && orientation >= 5 && orientation <= 8 && !(await decoderAppliesOrientation(decoder));
+      const full = swap ? { width: height, height: width } : { width, height };
+      onReduced(full.width, full.height);
+      onNotify && onNotify(`Editing a ${maxDimension}px preview; exports use the full ${full.width}×${full.height} image.`, { type: "info" });
+    } else if (onNotify) {
+      onNotify(`Image was downscaled for performance to fit within ${maxDimension}px.`, { type: "info" });
+    }
+  };
+
+  if (format) {
+    const { tiled, orientation: tagged } = await decodeScriptTiles(file, format, page, { timeoutMs, maxPixels });
+    const { width, height } = tiled;
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    let image;
+    if (scale < 1 && !canvasFits(width, height)) {
+      // Too large for one canvas: scaled tile by tile with the browser's smoothing
+      image = composeTiles(tiled, Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+    } else {
+      image = await downscaleToMax(composeTiles(tiled), maxDimension, kernel);
+    }
+    if (scale < 1) await noteReduced(width, height, "script");
+    if (EXIF_ORIENTATION_LABELS[tagged] && onNotify) {
+      onNotify(`Image ${EXIF_ORIENTATION_LABELS[tagged]} to match its orientation tag.`, { type: "info" });
+    }
+    return image;
+  }
 
   // Preferred path: createImageBitmap directly from File/Blob (no blob URL/fetch overhead)
   if (window.createImageBitmap) {
@@ -86,16 +574,15 @@ async function fileToImageBitmap(file, options = {}) {
 
       // Optional downscale if image is extremely large
       if ((bitmap.width > maxDimension) || (bitmap.height > maxDimension)) {
-        const scaled = await downscaleToMax(bitmap, maxDimension);
+        const { width, height } = bitmap;
+        const scaled = await downscaleToMax(bitmap, maxDimension, kernel);
         // Close original bitmap to free memory when supported
         try { typeof bitmap.close === "function" && bitmap.close(); } catch {}
         bitmap = scaled;
-        if (onNotify) {
-          onNotify(`Image was downscaled for performance to fit within ${maxDimension}px.`, { type: "info" });
-        }
+        await noteReduced(width, height, "bitmap");
       }
 
-      return bitmap;
+      return await uprightImage(bitmap, orientation, "bitmap", onNotify);
     } catch (e) {
       // Fall through to HTMLImageElement fallback
       console.warn("createImageBitmap(file) failed, falling back to HTMLImageElement path.", e);
@@ -113,15 +600,14 @@ async function fileToImageBitmap(file, options = {}) {
   try {
     let bitmap = await (window.createImageBitmap ? createImageBitmap(img) : createImageBitmapFromCanvasFallbackImage(img));
     if ((bitmap.width > maxDimension) || (bitmap.height > maxDimension)) {
-      const scaled = await downscaleToMax(bitmap, maxDimension);
+      const { width, height } = bitmap;
+      const scaled = await downscaleToMax(bitmap, maxDimension, kernel);
       // If bitmap has close, close the original
       try { typeof bitmap.close === "function" && bitmap.close(); } catch {}
       bitmap = scaled;
-      if (onNotify) {
-        onNotify(`Image was downscaled for performance to fit within ${maxDimension}px.`, { type: "info" });
-      }
+      await noteReduced(width, height, "image");
     }
-    return bitmap;
+    return await uprightImage(bitmap, orientation, "image", onNotify);
   } catch {
     // Last resort: draw to canvas and return canvas (works with drawImage)
     const c = document.createElement("canvas");
@@ -133,13 +619,80 @@ async function fileToImageBitmap(file, options = {}) {
 
     // Downscale if oversized
     if ((fallback.width > maxDimension) || (fallback.height > maxDimension)) {
-      fallback = await downscaleToMax(fallback, maxDimension);
-      if (onNotify) {
-        onNotify(`Image was downscaled for performance to fit within ${maxDimension}px.`, { type: "info" });
+      const { width, height } = fallback;
+      fallback = await downscaleToMax(fallback, maxDimension, kernel);
+      await noteReduced(width, height, "image");
+    }
+    return uprightImage(fallback, orientation, "image", onNotify);
+  }
+}
+
+// Whether each decoder ("bitmap": createImageBitmap(blob), "image": HTMLImageElement and
+// canvases drawn from it) already applies EXIF orientation, as a cached Promise<boolean>
+const orientationProbes = {};
+
+/**
+ * A 2×1 JPEG tagged orientation 6 (rotate 90°): decoders that honor the tag report it as 1×2.
+ */
+async function orientedProbeJpeg() {
+  const c = document.createElement("canvas");
+  c.width = 2;
+  c.height = 1;
+  c.getContext("2d").fillRect(0, 0, 2, 1);
+  const jpeg = new Uint8Array(await new Promise((resolve, reject) => {
+    c.toBlob((b) => b ? b.arrayBuffer().then(resolve, reject) : reject(new Error("toBlob returned null")), "image/jpeg");
+  }));
+  // APP1 "Exif\0\0" + big-endian TIFF with one IFD entry: Orientation (SHORT) = 6
+  const app1 = new Uint8Array([
+    0xff, 0xe1, 0x00, 0x22, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00,
+    0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08,
+    0x00, 0x01, 0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00
+  ]);
+  return new Blob([jpeg.subarray(0, 2), app1, jpeg.subarray(2)], { type: "image/jpeg" });
+}
+
+function decoderAppliesOrientation(decoder) {
+  if (!orientationProbes[decoder]) {
+    orientationProbes[decoder] = (async () => {
+      const blob = await orientedProbeJpeg();
+      if (decoder === "bitmap") {
+        const bmp = await createImageBitmap(blob);
+        const applied = bmp.height > bmp.width;
+        try { bmp.close(); } catch {}
+        return applied;
+      }
+      const url = URL.createObjectURL(blob);
+      try {
+        const img = await loadImage(url);
+        return img.naturalHeight > img.naturalWidth;
+      } finally {
+        URL.revokeObjectURL(url);
       }
+    })().catch((e) => {
+      // Current browsers all orient on decode; assume so rather than rotating twice
+      console.warn("EXIF orientation probe failed:", e);
+      return true;
+    });
+  }
+  return orientationProbes[decoder];
+}
+
+/**
+ * Apply an EXIF orientation the decoder left out, and report the correction.
+ */
+async function uprightImage(source, orientation, decoder, onNotify) {
+  if (!EXIF_ORIENTATION_LABELS[orientation]) return source;
+  if (!(await decoderAppliesOrientation(decoder))) {
+    const upright = applyExifOrientation(source, orientation);
+    try { typeof source.close === "function" && source.close(); } catch {}
+    source = upright;
+    if (typeof createImageBitmap === "function") {
+      try { source = await createImageBitmap(upright); } catch {}
     }
-    return fallback;
   }
+  onNotify && onNotify(`Photo ${EXIF_ORIENTATION_LABELS[orientation]} to match its camera orientation.`, { type: "info" });
+  return source;
 }
 
 function readFileAsDataURL(file) {
@@ -162,9 +715,10 @@ function loadImage(src) {
 
 /**
  * Downscale any image-like source (ImageBitmap or Canvas) to fit within maxDimension.
- * Returns an ImageBitmap when possible; otherwise a Canvas.
+ * Returns an ImageBitmap when possible; otherwise a Canvas. Kernels other than "browser" go
+ * through resample.js.
  */
-async function downscaleToMax(source, maxDimension) {
+async function downscaleToMax(source, maxDimension, kernel = "browser") {
   const width = source.width;
   const height = source.height;
   const scale = Math.min(1, maxDimension / Math.max(width, height));
@@ -173,6 +727,19 @@ async function downscaleToMax(source, maxDimension) {
   const targetW = Math.max(1, Math.round(width * scale));
   const targetH = Math.max(1, Math.round(height * scale));
 
+  if (kernel !== "browser") {
+    try {
+      const resampled = await resampleCanvas(source, targetW, targetH, kernel);
+      if (typeof createImageBitmap === "function") {
+        try { return await createImageBitmap(resampled); } catch {}
+      }
+      return resampled;
+    } catch (e) {
+      // e.g. not enough memory for the source pixels: fall back to the browser's scaling
+      console.warn("Resampling failed, using canvas scaling instead.", e);
+    }
+  }
+
   // Prefer OffscreenCanvas for performance if available
   let canvas, ctx;
   if (typeof OffscreenCanvas !== "undefined") {
@@ -0,0 +1,389 @@
+/**
+ * metadata.js
+ * Source image metadata: reads EXIF and XMP from JPEG files and writes them back into exported
+ * JPEG, PNG and WebP files. Written metadata describes the exported pixels: the orientation is
+ * reset (pixels are already upright) and the pixel dimensions are updated. Location data can be
+ * removed on the way out; the stale embedded EXIF thumbnail is always dropped.
+ *
+ * API:
+ * - readMetadata(file) => Promise<{ exif: Uint8Array|null, xmp: string|null, orientation } | null>
+ *   (exif is the TIFF structure without the "Exif\0\0" prefix)
+ * - embedMetadata(blob, format, metadata, { width, height, stripLocation }) => Promise<Blob>
+ * - embedResolution(blob, format, dpi) => Promise<Blob>: print resolution in PNG (pHYs) and
+ *   JPEG (JFIF density)
+ * - METADATA_MODES: "keep" | "strip-location" | "strip"
+ */
+
+import { crc32 } from "./zip.js";
+
+export const METADATA_MODES = ["keep", "strip-location", "strip"];
+
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00]; // "Exif\0\0"
+const XMP_HEADER = "http://ns.adobe.com/xap/1.0/\0";
+const SCAN_BYTES = 512 * 1024; // metadata segments sit before the image data
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_IMAGE_WIDTH = 0x0100;
+const TAG_IMAGE_HEIGHT = 0x0101;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_PIXEL_X = 0xa002;
+const TAG_PIXEL_Y = 0xa003;
+const TAG_THUMB_OFFSET = 0x0201;
+const TAG_THUMB_LENGTH = 0x0202;
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+function startsWith(bytes, at, sig) {
+  for (let i = 0; i < sig.length; i++) if (bytes[at + i] !== sig[i]) return false;
+  return true;
+}
+
+/**
+ * Read EXIF/XMP from a JPEG File/Blob. Resolves null for other formats or when nothing is found.
+ */
+export async function readMetadata(file) {
+  if (!file) return null;
+  const bytes = new Uint8Array(await file.slice(0, SCAN_BYTES).arrayBuffer());
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+  const xmpSig = Array.from(XMP_HEADER, c => c.charCodeAt(0));
+  let exif = null;
+  let xmp = null;
+  let at = 2;
+  while (at + 4 <= bytes.length && bytes[at] === 0xff) {
+    const marker = bytes[at + 1];
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) { at += 2; continue; }
+    if (marker === 0xda || marker === 0xd9) break; // image data follows
+    const len = (bytes[at + 2] << 8) | bytes[at + 3];
+    const body = at + 4;
+    if (marker === 0xe1 && body + len - 2 <= bytes.length) {
+      if (!exif && startsWith(bytes, body, EXIF_HEADER)) {
+        exif = bytes.slice(body + EXIF_HEADER.length, at + 2 + len);
+      } else if (!xmp && startsWith(bytes, body, xmpSig)) {
+        xmp = new TextDecoder().decode(bytes.subarray(body + xmpSig.length, at + 2 + len));
+      }
+    }
+    at += 2 + len;
+  }
+  if (!exif && !xmp) return null;
+  let orientation = 1;
+  try { orientation = exif ? readOrientation(exif) : 1; } catch {}
+  return { exif, xmp, orientation };
+}
+
+/**
+ * TIFF reader helpers over the EXIF payload.
+ */
+function tiff(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const order = view.getUint16(0);
+  if (order !== 0x4949 && order !== 0x4d4d) throw new Error("Bad TIFF header");
+  const le = order === 0x4949;
+  return {
+    view,
+    le,
+    u16: (o) => view.getUint16(o, le),
+    u32: (o) => view.getUint32(o, le),
+    ifd0: view.getUint32(4, le)
+  };
+}
+
+function findEntry(t, ifd, tag) {
+  if (!ifd || ifd + 2 > t.view.byteLength) return -1;
+  const count = t.u16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > t.view.byteLength) break;
+    if (t.u16(entry) === tag) return entry;
+  }
+  return -1;
+}
+
+function readOrientation(exif) {
+  const t = tiff(exif);
+  const entry = findEntry(t, t.ifd0, TAG_ORIENTATION);
+  return entry === -1 ? 1 : t.u16(entry + 8) || 1;
+}
+
+// Overwrite an entry with a single LONG (or SHORT) value stored inline
+function setNumber(t, entry, value, type = 4) {
+  t.view.setUint16(entry + 2, type, t.le);
+  t.view.setUint32(entry + 4, 1, t.le);
+  t.view.setUint32(entry + 8, 0, t.le);
+  if (type === 3) t.view.setUint16(entry + 8, value, t.le);
+  else t.view.setUint32(entry + 8, value, t.le);
+}
+
+// Blank an IFD together with the out-of-line values its entries point to
+function zeroIfd(t, ifd, extra = []) {
+  const bytes = new Uint8Array(t.view.buffer, t.view.byteOffset, t.view.byteLength);
+  const count = t.u16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > bytes.length) break;
+    const size = (TYPE_SIZES[t.u16(entry + 2)] || 1) * t.u32(entry + 4);
+    if (size > 4) {
+      const at = t.u32(entry + 8);
+      bytes.fill(0, Math.min(at, bytes.length), Math.min(at + size, bytes.length));
+    }
+  }
+  extra.forEach(([at, size]) => bytes.fill(0, Math.min(at, bytes.length), Math.min(at + size, bytes.length)));
+  bytes.fill(0, ifd, Math.min(ifd + 2 + count * 12 + 4, bytes.length));
+}
+
+// Drop an entry from an IFD; the following entries and the next-IFD pointer move up
+function removeEntry(t, ifd, entry) {
+  const bytes = new Uint8Array(t.view.buffer, t.view.byteOffset, t.view.byteLength);
+  const count = t.u16(ifd);
+  const end = ifd + 2 + count * 12;
+  bytes.copyWithin(entry, entry + 12, end + 4);
+  bytes.fill(0, end - 8, end + 4);
+  t.view.setUint16(ifd, count - 1, t.le);
+}
+
+/**
+ * Copy of the EXIF payload describing the exported image: orientation 1, new pixel size,
+ * no thumbnail and optionally no GPS block.
+ */
+export function rewriteExif(exif, { width, height, stripLocation = false } = {}) {
+  const out = exif.slice();
+  const t = tiff(out);
+  const ifd0 = t.ifd0;
+  const o = findEntry(t, ifd0, TAG_ORIENTATION);
+  if (o !== -1) setNumber(t, o, 1, 3);
+  const w = findEntry(t, ifd0, TAG_IMAGE_WIDTH);
+  if (w !== -1 && width) setNumber(t, w, width);
+  const h = findEntry(t, ifd0, TAG_IMAGE_HEIGHT);
+  if (h !== -1 && height) setNumber(t, h, height);
+
+  const exifPtr = findEntry(t, ifd0, TAG_EXIF_IFD);
+  if (exifPtr !== -1) {
+    const sub = t.u32(exifPtr + 8);
+    const px = findEntry(t, sub, TAG_PIXEL_X);
+    if (px !== -1 && width) setNumber(t, px, width);
+    const py = findEntry(t, sub, TAG_PIXEL_Y);
+    if (py !== -1 && height) setNumber(t, py, height);
+  }
+
+  if (stripLocation) {
+    const gps = findEntry(t, ifd0, TAG_GPS_IFD);
+    if (gps !== -1) {
+      const gpsIfd = t.u32(gps + 8);
+      if (gpsIfd && gpsIfd < out.length) zeroIfd(t, gpsIfd);
+      removeEntry(t, ifd0, gps);
+    }
+  }
+
+  // IFD1 holds a thumbnail of the original pixels; it no longer matches the export
+  const nextAt = ifd0 + 2 + t.u16(ifd0) * 12;
+  const ifd1 = nextAt + 4 <= out.length ? t.u32(nextAt) : 0;
+  if (ifd1 && ifd1 < out.length) {
+    const off = findEntry(t, ifd1, TAG_THUMB_OFFSET);
+    const len = findEntry(t, ifd1, TAG_THUMB_LENGTH);
+    const thumb = off !== -1 && len !== -1 ? [[t.u32(off + 8), t.u32(len + 8)]] : [];
+    zeroIfd(t, ifd1, thumb);
+    t.view.setUint32(nextAt, 0, t.le);
+  }
+  return out;
+}
+
+const XMP_LOCATION = [
+  /\s+exif:GPS\w+="[^"]*"/g,
+  /<exif:(GPS\w+)\b[^>]*?(?:\/>|>[\s\S]*?<\/exif:\1>)/g,
+  /\s+(?:photoshop:(?:City|State|Country)|Iptc4xmpCore:(?:Location|CountryCode))="[^"]*"/g,
+  /<(photoshop:(?:City|State|Country)|Iptc4xmpCore:(?:Location|CountryCode))\b[^>]*?(?:\/>|>[\s\S]*?<\/\1>)/g
+];
+
+/**
+ * XMP packet describing the exported image (same rules as rewriteExif).
+ */
+export function rewriteXmp(xmp, { width, height, stripLocation = false } = {}) {
+  let out = xmp;
+  const setValue = (name, value) => {
+    out = out
+      .replace(new RegExp(`(${name}=")[^"]*(")`, "g"), `$1${value}$2`)
+      .replace(new RegExp(`(<${name}>)[^<]*(</${name}>)`, "g"), `$1${value}$2`);
+  };
+  setValue("tiff:Orientation", 1);
+  if (width) ["exif:PixelXDimension", "tiff:ImageWidth"].forEach(n => setValue(n, width));
+  if (height) ["exif:PixelYDimension", "tiff:ImageLength"].forEach(n => setValue(n, height));
+  if (stripLocation) XMP_LOCATION.forEach((re) => { out = out.replace(re, ""); });
+  return out;
+}
+
+function segment(marker, payload) {
+  if (payload.length + 2 > 0xffff) return null; // does not fit a JPEG segment
+  const seg = new Uint8Array(4 + payload.length);
+  seg[0] = 0xff;
+  seg[1] = marker;
+  seg[2] = (payload.length + 2) >> 8;
+  seg[3] = (payload.length + 2) & 0xff;
+  seg.set(payload, 4);
+  return seg;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  parts.forEach((p) => { out.set(p, at); at += p.length; });
+  return out;
+}
+
+function embedJpeg(bytes, exif, xmp) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+  // Insert after SOI and a leading JFIF APP0
+  let at = 2;
+  if (bytes[2] === 0xff && bytes[3] === 0xe0) at = 4 + ((bytes[4] << 8) | bytes[5]);
+  const parts = [bytes.subarray(0, at)];
+  if (exif) {
+    const seg = segment(0xe1, concat([Uint8Array.from(EXIF_HEADER), exif]));
+    seg && parts.push(seg);
+  }
+  if (xmp) {
+    const seg = segment(0xe1, new TextEncoder().encode(XMP_HEADER + xmp));
+    seg && parts.push(seg);
+  }
+  parts.push(bytes.subarray(at));
+  return concat(parts);
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+function embedPng(bytes, exif, xmp) {
+  if (!startsWith(bytes, 0, [0x89, 0x50, 0x4e, 0x47])) return null;
+  // Insert right after IHDR (signature 8 bytes + IHDR chunk 25 bytes)
+  const at = 8 + 12 + new DataView(bytes.buffer, bytes.byteOffset).getUint32(8);
+  const parts = [bytes.subarray(0, at)];
+  exif && parts.push(pngChunk("eXIf", exif));
+  if (xmp) {
+    // iTXt: keyword, NUL, compression flag, method, empty language and translated keyword
+    const head = new TextEncoder().encode("XML:com.adobe.xmp");
+    parts.push(pngChunk("iTXt", concat([head, new Uint8Array([0, 0, 0, 0, 0]), new TextEncoder().encode(xmp)])));
+  }
+  parts.push(bytes.subarray(at));
+  return concat(parts);
+}
+
+function riffChunk(fourcc, data) {
+  const pad = data.length & 1;
+  const chunk = new Uint8Array(8 + data.length + pad);
+  for (let i = 0; i < 4; i++) chunk[i] = fourcc.charCodeAt(i);
+  new DataView(chunk.buffer).setUint32(4, data.length, true);
+  chunk.set(data, 8);
+  return chunk;
+}
+
+function embedWebp(bytes, exif, xmp, width, height) {
+  const fourcc = (at) => String.fromCharCode(bytes[at], bytes[at + 1], bytes[at + 2], bytes[at + 3]);
+  if (fourcc(0) !== "RIFF" || fourcc(8) !== "WEBP") return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const body = bytes.subarray(12);
+  const parts = [];
+  let flags = (exif ? 0x08 : 0) | (xmp ? 0x04 : 0);
+  if (fourcc(12) === "VP8X") {
+    const vp8x = bytes.slice(12, 12 + 18);
+    vp8x[8] |= flags;
+    parts.push(vp8x, body.subarray(18));
+  } else {
+    // Simple file: a VP8X header is needed before metadata chunks are allowed
+    if (fourcc(12) === "VP8L" && bytes.length > 25) {
+      const bits = view.getUint32(21, true);
+      if ((bits >>> 28) & 1) flags |= 0x10;
+    }
+    const data = new Uint8Array(10);
+    data[0] = flags;
+    const w = width - 1;
+    const h = height - 1;
+    data.set([w & 0xff, (w >> 8) & 0xff, (w >> 16) & 0xff, h & 0xff, (h >> 8) & 0xff, (h >> 16) & 0xff], 4);
+    parts.push(riffChunk("VP8X", data), body);
+  }
+  exif && parts.push(riffChunk("EXIF", exif));
+  xmp && parts.push(riffChunk("XMP ", new TextEncoder().encode(xmp)));
+  const payload = concat(parts);
+  const head = new Uint8Array(12);
+  head.set(bytes.subarray(0, 12));
+  new DataView(head.buffer).setUint32(4, payload.length + 4, true);
+  return concat([head, payload]);
+}
+
+/**
+ * Write metadata into an exported image Blob. Resolves the original Blob when there is nothing
+ * to write or the format is not supported.
+ */
+export async function embedMetadata(blob, format, metadata, { width, height, stripLocation = false } = {}) {
+  if (!metadata || (!metadata.exif && !metadata.xmp)) return blob;
+  let exif = null;
+  let xmp = null;
+  try { exif = metadata.exif ? rewriteExif(metadata.exif, { width, height, stripLocation }) : null; } catch (e) {
+    console.warn("EXIF could not be rewritten; leaving it out:", e);
+  }
+  xmp = metadata.xmp ? rewriteXmp(metadata.xmp, { width, height, stripLocation }) : null;
+  if (!exif && !xmp) return blob;
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let out = null;
+  if (format === "jpeg") out = embedJpeg(bytes, exif, xmp);
+  else if (format === "png") out = embedPng(bytes, exif, xmp);
+  else if (format === "webp") out = embedWebp(bytes, exif, xmp, width, height);
+  return out ? new Blob([out], { type: blob.type }) : blob;
+}
+
+const JFIF_APP0 = [0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01]; // up to the units byte
+
+function jpegDensity(bytes, dpi) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+  const d = Math.max(1, Math.min(0xffff, Math.round(dpi)));
+  if (startsWith(bytes, 2, [0xff, 0xe0]) && startsWith(bytes, 6, [0x4a, 0x46, 0x49, 0x46, 0x00])) {
+    const out = bytes.slice();
+    out[13] = 1; // units: dots per inch
+    out[14] = d >> 8; out[15] = d & 0xff;
+    out[16] = d >> 8; out[17] = d & 0xff;
+    return out;
+  }
+  // No JFIF header: add one after SOI
+  const app0 = Uint8Array.from([...JFIF_APP0, 1, d >> 8, d & 0xff, d >> 8, d & 0xff, 0, 0]);
+  return concat([bytes.subarray(0, 2), app0, bytes.subarray(2)]);
+}
+
+function pngDensity(bytes, dpi) {
+  if (!startsWith(bytes, 0, [0x89, 0x50, 0x4e, 0x47])) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const data = new Uint8Array(9);
+  const ppm = Math.round(dpi / 0.0254);
+  new DataView(data.buffer).setUint32(0, ppm);
+  new DataView(data.buffer).setUint32(4, ppm);
+  data[8] = 1; // unit: meter
+  const ihdrEnd = 8 + 12 + view.getUint32(8);
+  // Drop an existing pHYs (it must come before IDAT, so stop there)
+  const parts = [bytes.subarray(0, ihdrEnd), pngChunk("pHYs", data)];
+  let at = ihdrEnd;
+  while (at + 8 <= bytes.length) {
+    const len = view.getUint32(at);
+    const type = String.fromCharCode(bytes[at + 4], bytes[at + 5], bytes[at + 6], bytes[at + 7]);
+    if (type === "IDAT") break;
+    if (type === "pHYs") {
+      parts.push(bytes.subarray(ihdrEnd, at), bytes.subarray(at + 12 + len));
+      return concat(parts);
+    }
+    at += 12 + len;
+  }
+  parts.push(bytes.subarray(ihdrEnd));
+  return concat(parts);
+}
+
+/**
+ * Write the print resolution into an exported PNG or JPEG Blob; other formats are returned
+ * as they are.
+ */
+export async function embedResolution(blob, format, dpi) {
+  if (!(dpi > 0) || (format !== "png" && format !== "jpeg")) return blob;
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const out = format === "png" ? pngDensity(bytes, dpi) : jpegDensity(bytes, dpi);
+  return out ? new Blob([out], { type: blob.type }) : blob;
+}
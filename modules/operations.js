@@ -0,0 +1,439 @@
+/**
+ * operations.js
+ * Non-destructive edit pipeline. Every edit is recorded as a parameterized operation
+ * ({ id, type, params }) over the original bitmap, so earlier steps can be tweaked or removed
+ * and the image re-rendered from source. The log serializes to JSON and can be replayed.
+ *
+ * API: initOperations() => {
+ *   setSource, clearSource, hasSource, getSource, getOps, setOps, append, update, remove,
+ *   applyTo, render, renderTiled, tiledSize, describe, serialize, parse
+ * }
+ *
+ * renderTiled replays the log on a tiled full-resolution image (tiles.js) when the source is a
+ * reduced proxy of it: geometry is scaled up, and filters run tile by tile with their vignette
+ * computed over the whole image so tile edges don't show.
+ */
+
+import { rotate90CW, flipHorizontal, cropToRect } from "./transforms.js";
+import { drawTextState } from "./textTool.js";
+import { transformTiles, mapTiles, drawOverTiles } from "./tiles.js";
+
+const LOG_FORMAT = "horizon-beta.ops";
+const LOG_VERSION = 1;
+const MAX_CHECKPOINTS = 2;
+
+export const FILTER_NAMES = ["vintage", "lomo", "sepia", "nostalgia"];
+
+/**
+ * Operation registry: type -> { label(params), apply(canvas, params) => canvas | Promise<canvas>,
+ * tiled(image, params, k) => tiled | Promise<tiled> }.
+ * apply may mutate the given working canvas (and resize it) and returns the result canvas.
+ * tiled applies the operation to a tiled image; params were recorded on an image k.x/k.y times
+ * smaller.
+ */
+const OPERATIONS = {
+  crop: {
+    label: (p) => `Crop ${Math.round(p.rect.w)}×${Math.round(p.rect.h)}`,
+    apply: (canvas, p) => { cropToRect(canvas, p.rect); return canvas; },
+    tiled: (image, p, k) => {
+      const r = scaledRect(p.rect, k, image);
+      return transformTiles(image, r.w, r.h, [1, 0, 0, 1, -r.x, -r.y]);
+    }
+  },
+  rotate: {
+    label: () => "Rotate 90°",
+    apply: (canvas) => { rotate90CW(canvas); return canvas; },
+    tiled: (image) => transformTiles(image, image.height, image.width, [0, 1, -1, 0, image.height, 0])
+  },
+  flipH: {
+    label: () => "Flip H",
+    apply: (canvas) => { flipHorizontal(canvas); return canvas; },
+    tiled: (image) => transformTiles(image, image.width, image.height, [-1, 0, 0, 1, image.width, 0])
+  },
+  adjust: {
+    label: () => "Adjustments",
+    apply: (canvas, p) => {
+      const { brightness = 0, contrast = 0, saturation = 0, vibrance = 0 } = p;
+      if (!brightness && !contrast && !saturation && !vibrance) return canvas;
+      return runCaman(canvas, function () {
+        if (brightness) this.brightness(brightness);
+        if (contrast) this.contrast(contrast);
+        if (saturation) this.saturation(saturation);
+        if (vibrance) this.vibrance(vibrance);
+      });
+    },
+    // Per-pixel adjustments are the same tile by tile
+    tiled: (image, p) => mapTiles(image, tile => OPERATIONS.adjust.apply(tile, p))
+  },
+  filter: {
+    label: (p) => p.name.charAt(0).toUpperCase() + p.name.slice(1),
+    apply: (canvas, p) => {
+      if (!FILTER_NAMES.includes(p.name)) throw new Error(`Unknown filter: ${p.name}`);
+      return runCaman(canvas, function () { this[p.name](); });
+    },
+    tiled: (image, p, k) => {
+      const tiledFilter = TILED_FILTERS[p.name];
+      if (!tiledFilter) throw new Error(`Unknown filter: ${p.name}`);
+      const scale = (k.x + k.y) / 2;
+      const margin = (tiledFilter.radius || 0) * scale;
+      return mapTiles(image, async (tile, x, y) => {
+        await runCaman(tile, tiledFilter.work(scale));
+        tiledFilter.vignette && vignette(tile, x, y, image.width, image.height, ...tiledFilter.vignette);
+        return tile;
+      }, { margin });
+    }
+  },
+  text: {
+    label: (p) => `Text “${p.text}”`,
+    apply: (canvas, p) => {
+      const ctx = canvas.getContext("2d");
+      drawTextState(ctx, p);
+      return canvas;
+    },
+    tiled: (image, p, k) => {
+      drawOverTiles(image, ctx => drawTextState(ctx, { ...p, x: p.x * k.x, y: p.y * k.y, size: p.size * Math.min(k.x, k.y) }));
+      return image;
+    }
+  }
+};
+
+// Crop rect recorded on a proxy, in the pixels of the full image
+function scaledRect(rect, k, image) {
+  let { x, y, w, h } = rect;
+  if (w < 0) { x += w; w = -w; }
+  if (h < 0) { y += h; h = -h; }
+  const x0 = Math.max(0, Math.min(image.width - 1, Math.round(x * k.x)));
+  const y0 = Math.max(0, Math.min(image.height - 1, Math.round(y * k.y)));
+  return {
+    x: x0,
+    y: y0,
+    w: Math.max(1, Math.min(image.width - x0, Math.round(w * k.x))),
+    h: Math.max(1, Math.min(image.height - y0, Math.round(h * k.y)))
+  };
+}
+
+/**
+ * CamanJS presets split for tiles: `work(scale)` is the preset without its vignette (blur
+ * radii scaled to the full image), `vignette` is [size %, strength] applied over the whole
+ * image, `radius` the neighbourhood (at proxy scale) a tile needs from its neighbours.
+ */
+const TILED_FILTERS = {
+  sepia: { work: () => function () { this.sepia(); } },
+  vintage: { work: () => function () { this.vintage(false); }, vignette: [40, 30] },
+  lomo: { work: () => function () { this.lomo(false); }, vignette: [50, 60] },
+  nostalgia: {
+    radius: 10,
+    work: (scale) => function () {
+      this.saturation(20);
+      this.gamma(1.4);
+      this.greyscale();
+      this.contrast(5);
+      this.sepia(100);
+      this.channels({ red: 8, blue: 2, green: 4 });
+      this.gamma(0.8);
+      this.contrast(5);
+      this.exposure(10);
+      this.newLayer(function () {
+        this.setBlendingMode("overlay");
+        this.copyParent();
+        this.opacity(55);
+        this.filter.stackBlur(Math.round(10 * scale));
+      });
+    },
+    vignette: [50, 30]
+  }
+};
+
+// CamanJS' vignette falloff: bezier through (0,1) (30,30) (70,60) (100,80), sampled at 0..100
+let vignetteCurve = null;
+function vignetteTable() {
+  if (vignetteCurve) return vignetteCurve;
+  const p = [[0, 1], [30, 30], [70, 60], [100, 80]];
+  const table = new Float32Array(101);
+  const seen = new Uint8Array(101);
+  for (let i = 0; i <= 1000; i++) {
+    const t = i / 1000;
+    const u = 1 - t;
+    const bx = u * u * u * p[0][0] + 3 * u * u * t * p[1][0] + 3 * u * t * t * p[2][0] + t * t * t * p[3][0];
+    const by = u * u * u * p[0][1] + 3 * u * u * t * p[1][1] + 3 * u * t * t * p[2][1] + t * t * t * p[3][1];
+    const at = Math.round(bx);
+    if (!seen[at]) { table[at] = by; seen[at] = 1; }
+  }
+  vignetteCurve = table;
+  return table;
+}
+
+/**
+ * Darken toward the corners of the full width×height image, for a tile placed at (ox, oy).
+ */
+function vignette(tile, ox, oy, width, height, sizePercent, strengthPercent) {
+  const size = Math.min(width, height) * (sizePercent / 100);
+  const strength = strengthPercent / 100;
+  const cx = width / 2;
+  const cy = height / 2;
+  const end = Math.sqrt(cx * cx + cy * cy) - size;
+  const curve = vignetteTable();
+  const tctx = tile.getContext("2d");
+  const img = tctx.getImageData(0, 0, tile.width, tile.height);
+  const d = img.data;
+  for (let y = 0; y < tile.height; y++) {
+    for (let x = 0; x < tile.width; x++) {
+      const dist = Math.hypot(ox + x - cx, oy + y - cy);
+      if (dist <= end) continue;
+      const div = Math.max(1, (curve[Math.min(100, Math.round(((dist - end) / size) * 100))] / 10) * strength);
+      const i = (y * tile.width + x) * 4;
+      d[i] = Math.pow(d[i] / 255, div) * 255;
+      d[i + 1] = Math.pow(d[i + 1] / 255, div) * 255;
+      d[i + 2] = Math.pow(d[i + 2] / 255, div) * 255;
+    }
+  }
+  tctx.putImageData(img, 0, 0);
+}
+
+/**
+ * Run CamanJS work on a detached canvas and resolve once rendered. The Caman instance is
+ * dropped from its store afterwards so repeated renders don't retain pixel copies.
+ */
+function runCaman(canvas, work) {
+  return new Promise((resolve, reject) => {
+    const Caman = window.Caman;
+    if (typeof Caman !== "function") {
+      reject(new Error("CamanJS is not loaded"));
+      return;
+    }
+    try {
+      Caman(canvas, function () {
+        try {
+          work.call(this);
+          this.render(() => {
+            try { Caman.Store && Caman.Store.flush && Caman.Store.flush(this.id); } catch {}
+            resolve(canvas);
+          });
+        } catch (e) {
+          reject(e);
+        }
+      });
+    } catch (e) {
+      reject(e);
+    }
+  });
+}
+
+function copyCanvas(source) {
+  const c = document.createElement("canvas");
+  c.width = source.width;
+  c.height = source.height;
+  c.getContext("2d").drawImage(source, 0, 0);
+  return c;
+}
+
+function cloneParams(params) {
+  return JSON.parse(JSON.stringify(params || {}));
+}
+
+function opsKey(ops) {
+  return JSON.stringify(ops.map(op => [op.type, op.params]));
+}
+
+/**
+ * Validate a plain { type, params } list (e.g. parsed JSON). Throws on unknown types.
+ */
+function normalizeOps(list) {
+  if (!Array.isArray(list)) throw new Error("Operation log must be an array");
+  return list.map((op) => {
+    if (!op || !OPERATIONS[op.type]) throw new Error(`Unknown operation: ${op && op.type}`);
+    const params = cloneParams(op.params);
+    if (op.type === "crop" && !(params.rect && params.rect.w && params.rect.h)) {
+      throw new Error("Crop operation needs a rect");
+    }
+    if (op.type === "filter" && !FILTER_NAMES.includes(params.name)) {
+      throw new Error(`Unknown filter: ${params.name}`);
+    }
+    return { type: op.type, params };
+  });
+}
+
+export function initOperations() {
+  let source = null;  // canvas holding the original bitmap
+  let ops = [];
+  let nextId = 1;
+  // Rendered prefixes ({ key, canvas }) so tweaking a late step doesn't replay the whole log
+  let checkpoints = [];
+
+  const withId = (op) => ({ id: nextId++, type: op.type, params: cloneParams(op.params) });
+
+  /**
+   * Set the original bitmap (ImageBitmap or canvas) and start an empty log.
+   */
+  function setSource(bitmap) {
+    source = copyCanvas(bitmap);
+    ops = [];
+    checkpoints = [];
+  }
+
+  // No image open: drop the source and its log
+  function clearSource() {
+    source = null;
+    ops = [];
+    checkpoints = [];
+  }
+
+  function hasSource() {
+    return !!source;
+  }
+
+  function getSource() {
+    return source;
+  }
+
+  function getOps() {
+    return ops.map(op => ({ id: op.id, type: op.type, params: cloneParams(op.params) }));
+  }
+
+  /**
+   * Replace the log, e.g. when history moves to an entry recorded with a different log.
+   */
+  function setOps(list) {
+    ops = normalizeOps(list || []).map(withId);
+  }
+
+  function append(type, params) {
+    const op = withId(normalizeOps([{ type, params }])[0]);
+    ops.push(op);
+    return { ...op, params: cloneParams(op.params) };
+  }
+
+  function update(id, params) {
+    const op = ops.find(o => o.id === id);
+    if (!op) return false;
+    op.params = normalizeOps([{ type: op.type, params: { ...op.params, ...params } }])[0].params;
+    return true;
+  }
+
+  function remove(id) {
+    const at = ops.findIndex(o => o.id === id);
+    if (at === -1) return false;
+    ops.splice(at, 1);
+    return true;
+  }
+
+  /**
+   * Apply a single operation to a canvas and resolve with the result canvas.
+   */
+  async function applyTo(canvas, op) {
+    const def = OPERATIONS[op.type];
+    if (!def) throw new Error(`Unknown operation: ${op.type}`);
+    return def.apply(canvas, op.params);
+  }
+
+  function remember(prefix, canvas) {
+    const key = opsKey(prefix);
+    if (checkpoints.some(c => c.key === key)) return;
+    checkpoints.unshift({ key, canvas: copyCanvas(canvas) });
+    checkpoints.length = Math.min(checkpoints.length, MAX_CHECKPOINTS);
+  }
+
+  /**
+   * Re-render from the original bitmap and resolve with a new canvas; `list` defaults to the
+   * current log. The rendered prefix before step `checkpointAt` (default: the last step) is
+   * kept, so repeatedly tweaking that step only replays from there.
+   */
+  async function render(list = ops, { checkpointAt = list.length - 1 } = {}) {
+    if (!source) throw new Error("No source image");
+    let start = 0;
+    let working = null;
+    for (let n = list.length; n > 0 && !working; n--) {
+      const key = opsKey(list.slice(0, n));
+      const hit = checkpoints.find(c => c.key === key);
+      if (hit) {
+        working = copyCanvas(hit.canvas);
+        start = n;
+      }
+    }
+    if (!working) working = copyCanvas(source);
+    for (let i = start; i < list.length; i++) {
+      if (i === checkpointAt && i > 0) remember(list.slice(0, i), working);
+      working = await applyTo(working, list[i]);
+    }
+    return working;
+  }
+
+  /**
+   * Replay the log on `image`, a tiled full-resolution version of the source that is
+   * scale.x/scale.y times larger, and resolve with the resulting tiled image.
+   */
+  async function renderTiled(image, scale, list = ops) {
+    let k = { x: scale.x, y: scale.y };
+    for (const op of list) {
+      const def = OPERATIONS[op.type];
+      if (!def) throw new Error(`Unknown operation: ${op.type}`);
+      image = await def.tiled(image, op.params, k);
+      // A quarter turn swaps which axis each scale factor belongs to
+      if (op.type === "rotate") k = { x: k.y, y: k.x };
+    }
+    return image;
+  }
+
+  /**
+   * Size renderTiled produces for a width×height image, without rendering it.
+   */
+  function tiledSize(width, height, scale, list = ops) {
+    let size = { width, height };
+    let k = { x: scale.x, y: scale.y };
+    for (const op of list) {
+      if (op.type === "crop") {
+        const r = scaledRect(op.params.rect, k, size);
+        size = { width: r.w, height: r.h };
+      } else if (op.type === "rotate") {
+        size = { width: size.height, height: size.width };
+        k = { x: k.y, y: k.x };
+      }
+    }
+    return size;
+  }
+
+  function describe(op) {
+    const def = OPERATIONS[op.type];
+    try { return def ? def.label(op.params) : op.type; } catch { return op.type; }
+  }
+
+  /**
+   * JSON text for the current log (ids are not part of the format).
+   */
+  function serialize(list = ops) {
+    return JSON.stringify({
+      format: LOG_FORMAT,
+      version: LOG_VERSION,
+      ops: list.map(op => ({ type: op.type, params: op.params }))
+    }, null, 2);
+  }
+
+  /**
+   * Parse JSON produced by serialize() into a validated { type, params } list.
+   */
+  function parse(text) {
+    const data = typeof text === "string" ? JSON.parse(text) : text;
+    if (!data || data.format !== LOG_FORMAT) throw new Error("Not an edit log");
+    if (data.version > LOG_VERSION) throw new Error("Edit log was written by a newer version");
+    return normalizeOps(data.ops);
+  }
+
+  return {
+    setSource,
+    clearSource,
+    hasSource,
+    getSource,
+    getOps,
+    setOps,
+    append,
+    update,
+    remove,
+    applyTo,
+    render,
+    renderTiled,
+    tiledSize,
+    describe,
+    serialize,
+    parse
+  };
+}
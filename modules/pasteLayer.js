@@ -0,0 +1,124 @@
+/**
+ * modules/pasteLayer.js
+ * Layer for images pasted over an open image: its own canvas between the image and the text
+ * layer, which can be moved, hidden and cleared without touching the other layers.
+ *
+ * API: initPasteLayer(pasteLayer, { onMoveEnd })
+ * - pasteLayer: the pasted-image canvas element
+ * - onMoveEnd: () => void, optional callback after the layer has been dragged to a new place
+ *
+ * Returns { place, setMoving, isMoving, setVisible, isVisible, clear, ensureLayerSizeLike }.
+ * Dragging moves the whole layer while setMoving(true). app.js records pastes, moves and
+ * deletions in history (the canvas is registered there like the drawing layer).
+ */
+
+export function initPasteLayer(pasteLayer, { onMoveEnd } = {}) {
+  if (!pasteLayer) throw new Error("pasteLayer is required");
+  const ctx = pasteLayer.getContext("2d");
+  if (!ctx) throw new Error("2D context unavailable for paste layer");
+
+  let moving = false;
+  let drag = null; // { x, y, pointerId, before: canvas }
+
+  function pointFromEvent(e) {
+    const rect = pasteLayer.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (pasteLayer.width / rect.width),
+      y: (e.clientY - rect.top) * (pasteLayer.height / rect.height)
+    };
+  }
+
+  function onPointerDown(e) {
+    if (!moving || e.button !== 0 || !pasteLayer.width) return;
+    const before = document.createElement("canvas");
+    before.width = pasteLayer.width;
+    before.height = pasteLayer.height;
+    before.getContext("2d").drawImage(pasteLayer, 0, 0);
+    drag = { ...pointFromEvent(e), pointerId: e.pointerId, before };
+    pasteLayer.setPointerCapture?.(e.pointerId);
+    e.preventDefault();
+  }
+
+  function onPointerMove(e) {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    const p = pointFromEvent(e);
+    ctx.clearRect(0, 0, pasteLayer.width, pasteLayer.height);
+    ctx.drawImage(drag.before, Math.round(p.x - drag.x), Math.round(p.y - drag.y));
+    e.preventDefault();
+  }
+
+  function onPointerUp(e) {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    const p = pointFromEvent(e);
+    const moved = Math.round(p.x - drag.x) || Math.round(p.y - drag.y);
+    pasteLayer.releasePointerCapture?.(e.pointerId);
+    drag = null;
+    moved && onMoveEnd && onMoveEnd();
+  }
+
+  function onPointerCancel(e) {
+    if (!drag) return;
+    // An interrupted drag puts the layer back
+    ctx.clearRect(0, 0, pasteLayer.width, pasteLayer.height);
+    ctx.drawImage(drag.before, 0, 0);
+    pasteLayer.releasePointerCapture?.(e.pointerId);
+    drag = null;
+  }
+
+  pasteLayer.addEventListener("pointerdown", onPointerDown);
+  window.addEventListener("pointermove", onPointerMove);
+  window.addEventListener("pointerup", onPointerUp);
+  window.addEventListener("pointercancel", onPointerCancel);
+
+  function ensureLayerSizeLike(baseCanvas) {
+    if (!baseCanvas) return;
+    if (pasteLayer.width !== baseCanvas.width || pasteLayer.height !== baseCanvas.height) {
+      pasteLayer.width = baseCanvas.width;
+      pasteLayer.height = baseCanvas.height;
+    }
+  }
+
+  /**
+   * Draw `image` over the layer, scaled down to fit `baseCanvas` and centered. Returns the
+   * size it was drawn at.
+   */
+  function place(image, baseCanvas) {
+    ensureLayerSizeLike(baseCanvas);
+    const k = Math.min(1, pasteLayer.width / image.width, pasteLayer.height / image.height);
+    const width = Math.max(1, Math.round(image.width * k));
+    const height = Math.max(1, Math.round(image.height * k));
+    ctx.save();
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(image, Math.floor((pasteLayer.width - width) / 2), Math.floor((pasteLayer.height - height) / 2), width, height);
+    ctx.restore();
+    // A paste is meant to be seen
+    setVisible(true);
+    return { width, height };
+  }
+
+  function setMoving(active) {
+    moving = !!active;
+    pasteLayer.style.pointerEvents = moving ? "auto" : "none";
+    pasteLayer.style.cursor = moving ? "move" : "";
+  }
+
+  // Hidden layers stay in the stack (and in layered exports) but are left out of flattened output
+  function setVisible(visible) {
+    pasteLayer.style.visibility = visible ? "" : "hidden";
+  }
+
+  function clear() {
+    ctx.clearRect(0, 0, pasteLayer.width, pasteLayer.height);
+  }
+
+  return {
+    place,
+    setMoving,
+    isMoving: () => moving,
+    setVisible,
+    isVisible: () => pasteLayer.style.visibility !== "hidden",
+    clear,
+    ensureLayerSizeLike
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * pdf.js
+ * Single-page PDF export of a flattened image for printing.
+ *
+ * API:
+ * - PAGE_SIZES: page name -> [width, height] in mm (portrait)
+ * - encodePDF(canvas, options) => Promise<Blob>
+ *   options: { page: "a4"|"letter"|"custom", width, height (mm, custom pages),
+ *   orientation: "auto"|"portrait"|"landscape", margin (mm),
+ *   placement: "fit"|"fill"|"actual", dpi, quality, resample }
+ *
+ * "fit" shows the whole image inside the margins, "fill" covers the area inside the margins
+ * (cropping the overflow) and "actual" prints the pixels at `dpi`, centered and clipped to the
+ * margins. The image is embedded as JPEG (on white paper) and never holds more pixels than
+ * its printed size needs at `dpi`.
+ */
+
+import { resampleCanvas } from "./resample.js";
+
+export const PAGE_SIZES = {
+  a4: [210, 297],
+  letter: [215.9, 279.4]
+};
+
+const PT_PER_MM = 72 / 25.4;
+const MIN_PAGE_MM = 10;
+const MAX_PAGE_MM = 5080; // PDF's 200 inch page limit
+
+function num(v) {
+  // Short fixed-point numbers keep the content stream readable
+  return (Math.round(v * 1000) / 1000).toString();
+}
+
+function pageSizeMm({ page, width, height, orientation }, imgW, imgH) {
+  let [w, h] = PAGE_SIZES[page] || [
+    Math.max(MIN_PAGE_MM, Math.min(MAX_PAGE_MM, Number(width) || PAGE_SIZES.a4[0])),
+    Math.max(MIN_PAGE_MM, Math.min(MAX_PAGE_MM, Number(height) || PAGE_SIZES.a4[1]))
+  ];
+  const landscape = orientation === "landscape" || (orientation === "auto" && imgW > imgH);
+  const portrait = orientation === "portrait" || (orientation === "auto" && imgW < imgH);
+  if ((landscape && w < h) || (portrait && w > h)) [w, h] = [h, w];
+  return [w, h];
+}
+
+/**
+ * Image placement in points (PDF origin is bottom-left) and the clip box inside the margins.
+ */
+function placeImage(pageW, pageH, marginPt, imgW, imgH, placement, dpi) {
+  const boxW = Math.max(1, pageW - marginPt * 2);
+  const boxH = Math.max(1, pageH - marginPt * 2);
+  let w;
+  let h;
+  if (placement === "actual") {
+    w = (imgW / dpi) * 72;
+    h = (imgH / dpi) * 72;
+  } else {
+    const k = placement === "fill" ? Math.max(boxW / imgW, boxH / imgH) : Math.min(boxW / imgW, boxH / imgH);
+    w = imgW * k;
+    h = imgH * k;
+  }
+  return {
+    x: marginPt + (boxW - w) / 2,
+    y: marginPt + (boxH - h) / 2,
+    w,
+    h,
+    clip: [marginPt, marginPt, boxW, boxH]
+  };
+}
+
+function canvasToJpeg(canvas, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((b) => {
+      if (!b) { reject(new Error("toBlob returned null")); return; }
+      b.arrayBuffer().then(buf => resolve(new Uint8Array(buf)), reject);
+    }, "image/jpeg", quality);
+  });
+}
+
+function pdfDate(d) {
+  const p = (n) => String(n).padStart(2, "0");
+  return `D:${d.getFullYear()}${p(d.getMonth() + 1)}${p(d.getDate())}${p(d.getHours())}${p(d.getMinutes())}${p(d.getSeconds())}`;
+}
+
+export async function encodePDF(canvas, {
+  page = "a4",
+  width,
+  height,
+  orientation = "auto",
+  margin = 10,
+  placement = "fit",
+  dpi = 300,
+  quality = 0.9,
+  resample
+} = {}) {
+  const [pageWmm, pageHmm] = pageSizeMm({ page, width, height, orientation }, canvas.width, canvas.height);
+  const pageW = pageWmm * PT_PER_MM;
+  const pageH = pageHmm * PT_PER_MM;
+  const marginPt = Math.max(0, Math.min(Math.min(pageWmm, pageHmm) / 2 - 1, Number(margin) || 0)) * PT_PER_MM;
+  const place = placeImage(pageW, pageH, marginPt, canvas.width, canvas.height, placement, dpi);
+
+  // Pixels beyond what the printed size resolves at `dpi` only make the file bigger
+  let source = canvas;
+  const needW = Math.ceil((place.w / 72) * dpi);
+  const needH = Math.ceil((place.h / 72) * dpi);
+  if (needW < canvas.width && needH < canvas.height) {
+    source = await resampleCanvas(canvas, Math.max(1, needW), Math.max(1, needH), resample);
+  }
+  const flat = document.createElement("canvas");
+  flat.width = source.width;
+  flat.height = source.height;
+  const fctx = flat.getContext("2d");
+  fctx.fillStyle = "#ffffff";
+  fctx.fillRect(0, 0, flat.width, flat.height);
+  fctx.drawImage(source, 0, 0);
+  const jpeg = await canvasToJpeg(flat, quality);
+
+  const [cx, cy, cw, ch] = place.clip;
+  const content = `q\n${num(cx)} ${num(cy)} ${num(cw)} ${num(ch)} re W n\n` +
+    `${num(place.w)} 0 0 ${num(place.h)} ${num(place.x)} ${num(place.y)} cm\n/Im0 Do\nQ\n`;
+
+  const enc = new TextEncoder();
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+  const push = (chunk) => {
+    const bytes = typeof chunk === "string" ? enc.encode(chunk) : chunk;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, body, stream) => {
+    offsets[id] = length;
+    push(`${id} 0 obj\n${body}\n`);
+    if (stream) {
+      push("stream\n");
+      push(stream);
+      push("\nendstream\n");
+    }
+    push("endobj\n");
+  };
+
+  push("%PDF-1.4\n%âãÏÓ\n");
+  object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  object(2, "<< /Type /Pages /Kids [3 0 R] /Count 1 >>");
+  object(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(pageW)} ${num(pageH)}] ` +
+    "/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>");
+  object(4, `<< /Type /XObject /Subtype /Image /Width ${flat.width} /Height ${flat.height} ` +
+    `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>`, jpeg);
+  const contentBytes = enc.encode(content);
+  object(5, `<< /Length ${contentBytes.length} >>`, contentBytes);
+  object(6, `<< /Producer (Horizon Beta) /CreationDate (${pdfDate(new Date())}) >>`);
+
+  const xrefAt = length;
+  let xref = `xref\n0 7\n0000000000 65535 f \n`;
+  for (let id = 1; id <= 6; id++) xref += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  push(xref);
+  push(`trailer\n<< /Size 7 /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`);
+  return new Blob(parts, { type: "application/pdf" });
+}
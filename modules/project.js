@@ -0,0 +1,178 @@
+/**
+ * project.js
+ * Savable project bundle: a zip holding everything needed to continue an edit elsewhere.
+ *
+ * Layout:
+ * - project.json: format/version, size, source file name, edit log, pending text, slider values,
+ *   history index
+ * - source.png: the original bitmap the edit log replays over
+ * - image.png: the current base canvas
+ * - layers/paste.png, layers/draw.png, layers/text.png: the pasted-image layer, the drawing layer
+ *   and the pending text layer
+ * - metadata/exif.bin, metadata/xmp.xml: source metadata written back on export (optional)
+ * - history.bin: binary payload of the history records (tiles, keyframes, compressed entries,
+ *   thumbnails); project.json refers to it by offset
+ *
+ * API:
+ * - writeProject({ source, image, layers, ops, text, adjustments, metadata, name, history }) => Promise<Blob>
+ * - readProject(blob) => Promise<project>, throws on files that are not projects
+ * - isProjectFile(file) => boolean, by extension
+ */
+
+import { createZip, readZip } from "./zip.js";
+
+const PROJECT_FORMAT = "horizon-beta.project";
+const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = ".hbproj";
+
+const TYPED_ARRAYS = { Uint8Array, Uint8ClampedArray, Uint16Array, Int16Array, Uint32Array, Int32Array, Float32Array, Float64Array };
+
+function canvasToPng(canvas) {
+  return new Promise((resolve, reject) => {
+    if (!canvas || !canvas.width || !canvas.height) { resolve(null); return; }
+    canvas.toBlob((b) => b ? resolve(b) : reject(new Error("toBlob returned null")), "image/png");
+  });
+}
+
+/**
+ * JSON for history records with binary values (typed arrays, Blobs, Maps) moved into one
+ * payload; binary values become { $bytes|$blob: [offset, length] } references.
+ */
+function encodeRecords(records) {
+  const parts = [];
+  let offset = 0;
+  const place = (part, size) => {
+    const ref = [offset, size];
+    parts.push(part);
+    offset += size;
+    return ref;
+  };
+  const json = JSON.stringify(records, function (key, value) {
+    if (value instanceof Blob) return { $blob: place(value, value.size), type: value.type };
+    if (ArrayBuffer.isView(value)) {
+      // Copy so later edits to the live history cannot change what is written
+      const copy = new Uint8Array(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+      return { $bytes: place(copy, copy.byteLength), kind: value.constructor.name };
+    }
+    if (value instanceof Map) return { $map: [...value] };
+    return value;
+  });
+  return { json, payload: new Blob(parts) };
+}
+
+function decodeRecords(json, payload) {
+  const slice = ([at, size]) => {
+    if (!(at >= 0 && size >= 0 && at + size <= payload.length)) throw new Error("Project history data is truncated");
+    return payload.slice(at, at + size);
+  };
+  return JSON.parse(json, (key, value) => {
+    if (!value || typeof value !== "object") return value;
+    if (value.$blob) return new Blob([slice(value.$blob)], { type: value.type || "" });
+    if (value.$bytes) {
+      const Kind = TYPED_ARRAYS[value.kind];
+      if (!Kind) throw new Error(`Unsupported array type in project: ${value.kind}`);
+      return new Kind(slice(value.$bytes).buffer);
+    }
+    if (value.$map) return new Map(value.$map);
+    return value;
+  });
+}
+
+/**
+ * Bundle the editor state into a project zip.
+ * - source, image: canvases (or image Blobs) for the original bitmap and the current base
+ * - layers: { paste, draw, text } canvases; empty ones are skipped
+ * - ops: the edit log ({ type, params } list), text: pending text state, adjustments: slider values
+ * - metadata: source { exif, xmp } (see metadata.js), or null
+ * - name: file name of the opened image, used for export names, or null
+ * - history: { state: getPersistState(), getEntryRecord } from history.js, or null
+ */
+export async function writeProject({ source, image, layers = {}, ops = [], text = null, adjustments = null, metadata = null, name = null, history = null } = {}) {
+  const png = (v) => (v instanceof Blob ? Promise.resolve(v) : canvasToPng(v));
+  // History is read synchronously so the records describe one consistent moment
+  let encoded = null;
+  let historyIndex = null;
+  if (history && history.state && history.state.entries.length) {
+    const records = history.state.entries.map(({ id }) => history.getEntryRecord(id)).filter(Boolean);
+    encoded = encodeRecords(records);
+    historyIndex = { cursor: history.state.cursor, nav: history.state.nav || null, records: encoded.json };
+  }
+
+  const [sourcePng, imagePng, pastePng, drawPng, textPng] = await Promise.all([
+    png(source), png(image), png(layers.paste), png(layers.draw), png(layers.text)
+  ]);
+  if (!imagePng) throw new Error("Nothing to save");
+
+  const manifest = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    width: image.width,
+    height: image.height,
+    name: name || null,
+    ops: ops.map(op => ({ type: op.type, params: op.params })),
+    text,
+    adjustments,
+    history: historyIndex
+  };
+
+  const files = [{ name: "project.json", data: JSON.stringify(manifest) }];
+  sourcePng && files.push({ name: "source.png", data: sourcePng, compress: false });
+  files.push({ name: "image.png", data: imagePng, compress: false });
+  pastePng && files.push({ name: "layers/paste.png", data: pastePng, compress: false });
+  drawPng && files.push({ name: "layers/draw.png", data: drawPng, compress: false });
+  textPng && files.push({ name: "layers/text.png", data: textPng, compress: false });
+  encoded && files.push({ name: "history.bin", data: encoded.payload });
+  metadata && metadata.exif && files.push({ name: "metadata/exif.bin", data: metadata.exif });
+  metadata && metadata.xmp && files.push({ name: "metadata/xmp.xml", data: metadata.xmp });
+  return createZip(files);
+}
+
+/**
+ * Read a project zip. Resolves { width, height, name, ops, text, adjustments, source, image,
+ * layers: { paste, draw, text }, metadata, history: { records, cursor, nav } | null } with images as Blobs.
+ */
+export async function readProject(blob) {
+  const files = await readZip(blob);
+  const manifestBytes = files.get("project.json");
+  if (!manifestBytes) throw new Error("Not a project file");
+  const manifest = JSON.parse(new TextDecoder().decode(manifestBytes));
+  if (!manifest || manifest.format !== PROJECT_FORMAT) throw new Error("Not a project file");
+  if (manifest.version > PROJECT_VERSION) throw new Error("Project was written by a newer version");
+
+  const image = (name) => files.has(name) ? new Blob([files.get(name)], { type: "image/png" }) : null;
+  if (!files.has("image.png")) throw new Error("Project has no image");
+
+  let history = null;
+  if (manifest.history && manifest.history.records) {
+    try {
+      const records = decodeRecords(manifest.history.records, files.get("history.bin") || new Uint8Array(0));
+      history = { records, cursor: manifest.history.cursor, nav: manifest.history.nav || null };
+    } catch (e) {
+      // The flattened image and edit log still open without the history
+      console.warn("Project history unreadable:", e);
+    }
+  }
+
+  const exif = files.get("metadata/exif.bin") || null;
+  const xmp = files.has("metadata/xmp.xml") ? new TextDecoder().decode(files.get("metadata/xmp.xml")) : null;
+
+  return {
+    width: manifest.width,
+    height: manifest.height,
+    name: typeof manifest.name === "string" ? manifest.name : null,
+    ops: Array.isArray(manifest.ops) ? manifest.ops : [],
+    text: manifest.text || null,
+    adjustments: manifest.adjustments || null,
+    source: image("source.png"),
+    image: image("image.png"),
+    layers: { paste: image("layers/paste.png"), draw: image("layers/draw.png"), text: image("layers/text.png") },
+    metadata: exif || xmp ? { exif, xmp, orientation: 1 } : null,
+    history
+  };
+}
+
+export function isProjectFile(file) {
+  if (!file) return false;
+  return (file.name || "").toLowerCase().endsWith(PROJECT_EXTENSION);
+}
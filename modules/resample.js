@@ -0,0 +1,259 @@
+/**
+ * resample.js
+ * Image resampling with selectable kernels, for reductions where a single smoothed drawImage
+ * aliases. Filters run as two separable passes over premultiplied RGBA (so transparent pixels
+ * don't bleed dark fringes), widened by the reduction factor when downscaling. Work is done in
+ * resampleWorker.js when module workers are available, on the main thread otherwise.
+ *
+ * API:
+ * - KERNELS: kernel names, DEFAULT_KERNEL, KERNEL_LABELS
+ * - normalizeKernel(name) => a valid kernel name
+ * - resampleImageData(imageData, width, height, kernel) => ImageData (synchronous)
+ * - resampleCanvas(source, width, height, kernel) => Promise<HTMLCanvasElement>
+ *   source: anything drawImage accepts (canvas, ImageBitmap, image)
+ *
+ * "browser" keeps the canvas' own smoothing (fastest); "nearest" keeps hard pixel edges.
+ */
+
+export const KERNELS = ["lanczos3", "bicubic", "box", "nearest", "browser"];
+export const DEFAULT_KERNEL = "lanczos3";
+export const KERNEL_LABELS = {
+  lanczos3: "Lanczos3 (sharpest)",
+  bicubic: "Bicubic",
+  box: "Box (area average)",
+  nearest: "Nearest (pixel art)",
+  browser: "Browser (fastest)"
+};
+
+function sinc(x) {
+  if (x === 0) return 1;
+  const px = Math.PI * x;
+  return Math.sin(px) / px;
+}
+
+// support: filter radius in source pixels at 1:1
+const FILTERS = {
+  lanczos3: { support: 3, fn: (x) => (x > -3 && x < 3 ? sinc(x) * sinc(x / 3) : 0) },
+  // Catmull-Rom (a = -0.5)
+  bicubic: {
+    support: 2,
+    fn: (x) => {
+      const t = Math.abs(x);
+      if (t < 1) return 1.5 * t * t * t - 2.5 * t * t + 1;
+      if (t < 2) return -0.5 * t * t * t + 2.5 * t * t - 4 * t + 2;
+      return 0;
+    }
+  },
+  box: { support: 0.5, fn: (x) => (x >= -0.5 && x < 0.5 ? 1 : 0) }
+};
+
+export function normalizeKernel(name) {
+  return KERNELS.includes(name) ? name : DEFAULT_KERNEL;
+}
+
+/**
+ * Per output pixel, the first source index and normalized tap weights along one axis.
+ */
+function contributions(srcSize, dstSize, filter) {
+  const scale = dstSize / srcSize;
+  const stretch = Math.max(1, 1 / scale);
+  const radius = filter.support * stretch;
+  const maxTaps = Math.ceil(radius * 2) + 2;
+  const start = new Int32Array(dstSize);
+  const count = new Int32Array(dstSize);
+  const weights = new Float32Array(dstSize * maxTaps);
+  for (let i = 0; i < dstSize; i++) {
+    const center = (i + 0.5) / scale;
+    const lo = Math.max(0, Math.floor(center - radius));
+    const hi = Math.min(srcSize - 1, Math.ceil(center + radius));
+    let sum = 0;
+    let n = 0;
+    for (let j = lo; j <= hi && n < maxTaps; j++, n++) {
+      const w = filter.fn((j + 0.5 - center) / stretch);
+      weights[i * maxTaps + n] = w;
+      sum += w;
+    }
+    if (sum === 0) {
+      // Box at an exact half-pixel boundary: take the nearest source pixel
+      weights[i * maxTaps] = 1;
+      start[i] = Math.min(srcSize - 1, Math.max(0, Math.floor(center)));
+      count[i] = 1;
+      continue;
+    }
+    for (let k = 0; k < n; k++) weights[i * maxTaps + k] /= sum;
+    start[i] = lo;
+    count[i] = n;
+  }
+  return { start, count, weights, maxTaps };
+}
+
+function resampleNearest(src, sw, sh, dw, dh) {
+  const out = new Uint8ClampedArray(dw * dh * 4);
+  const xs = new Int32Array(dw);
+  for (let x = 0; x < dw; x++) xs[x] = Math.min(sw - 1, Math.floor((x + 0.5) * sw / dw));
+  const s32 = new Uint32Array(src.buffer, src.byteOffset, sw * sh);
+  const o32 = new Uint32Array(out.buffer);
+  for (let y = 0; y < dh; y++) {
+    const row = Math.min(sh - 1, Math.floor((y + 0.5) * sh / dh)) * sw;
+    for (let x = 0; x < dw; x++) o32[y * dw + x] = s32[row + xs[x]];
+  }
+  return out;
+}
+
+/**
+ * Resample RGBA bytes. The horizontal pass is computed per source row on demand and only the
+ * rows the vertical taps still need are kept, so memory stays at a few output rows.
+ */
+function resamplePixels(src, sw, sh, dw, dh, kernel) {
+  if (kernel === "nearest") return resampleNearest(src, sw, sh, dw, dh);
+  const filter = FILTERS[kernel] || FILTERS[DEFAULT_KERNEL];
+  const hc = contributions(sw, dw, filter);
+  const vc = contributions(sh, dh, filter);
+  const rows = new Array(sh);
+  let released = 0;
+
+  const horizontalRow = (y) => {
+    let row = rows[y];
+    if (row) return row;
+    row = new Float32Array(dw * 4);
+    const base = y * sw * 4;
+    for (let x = 0; x < dw; x++) {
+      const first = hc.start[x];
+      const n = hc.count[x];
+      const wAt = x * hc.maxTaps;
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let k = 0; k < n; k++) {
+        const w = hc.weights[wAt + k];
+        const i = base + (first + k) * 4;
+        const pa = src[i + 3] * w;
+        r += src[i] * pa;
+        g += src[i + 1] * pa;
+        b += src[i + 2] * pa;
+        a += pa;
+      }
+      const o = x * 4;
+      row[o] = r; row[o + 1] = g; row[o + 2] = b; row[o + 3] = a;
+    }
+    rows[y] = row;
+    return row;
+  };
+
+  const out = new Uint8ClampedArray(dw * dh * 4);
+  for (let y = 0; y < dh; y++) {
+    const first = vc.start[y];
+    const n = vc.count[y];
+    const wAt = y * vc.maxTaps;
+    // Rows above this output row's window are never needed again (windows only move down)
+    for (; released < first; released++) rows[released] = null;
+    const taps = [];
+    for (let k = 0; k < n; k++) taps.push(horizontalRow(first + k));
+    const o = y * dw * 4;
+    for (let x = 0; x < dw * 4; x += 4) {
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let k = 0; k < n; k++) {
+        const w = vc.weights[wAt + k];
+        const row = taps[k];
+        r += row[x] * w;
+        g += row[x + 1] * w;
+        b += row[x + 2] * w;
+        a += row[x + 3] * w;
+      }
+      if (a <= 0) continue; // fully transparent (out is zeroed)
+      out[o + x] = r / a;
+      out[o + x + 1] = g / a;
+      out[o + x + 2] = b / a;
+      out[o + x + 3] = a;
+    }
+  }
+  return out;
+}
+
+export function resampleImageData(imageData, width, height, kernel = DEFAULT_KERNEL) {
+  const { width: sw, height: sh, data } = imageData;
+  const dw = Math.max(1, Math.round(width));
+  const dh = Math.max(1, Math.round(height));
+  const k = normalizeKernel(kernel);
+  if (dw === sw && dh === sh) return new ImageData(new Uint8ClampedArray(data), dw, dh);
+  return new ImageData(resamplePixels(data, sw, sh, dw, dh, k === "browser" ? DEFAULT_KERNEL : k), dw, dh);
+}
+
+// Worker plumbing, same shape as history.js thumbnails: one lazily created worker, jobs by id
+let worker;
+let jobId = 0;
+const jobs = new Map();
+
+function getWorker() {
+  if (worker !== undefined) return worker;
+  worker = null;
+  try {
+    if (typeof Worker !== "undefined") {
+      worker = new Worker(new URL("./resampleWorker.js", import.meta.url), { type: "module" });
+      worker.onmessage = (e) => {
+        const { jobId: id, data, error } = e.data || {};
+        const job = jobs.get(id);
+        if (!job) return;
+        jobs.delete(id);
+        job.resolve(data && !error ? new Uint8ClampedArray(data) : null);
+      };
+      worker.onerror = () => {
+        // No module worker support (or a crash): finish pending jobs on the main thread
+        try { worker.terminate(); } catch {}
+        worker = null;
+        jobs.forEach(job => job.resolve(null));
+        jobs.clear();
+      };
+    }
+  } catch {
+    worker = null;
+  }
+  return worker;
+}
+
+function runInWorker(imageData, dw, dh, kernel) {
+  const w = getWorker();
+  if (!w) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const id = ++jobId;
+    jobs.set(id, { resolve });
+    // A copy is transferred so the caller's ImageData stays usable for the fallback
+    const copy = new Uint8ClampedArray(imageData.data);
+    w.postMessage({ jobId: id, width: imageData.width, height: imageData.height, data: copy.buffer, dw, dh, kernel }, [copy.buffer]);
+  });
+}
+
+function sourceImageData(source) {
+  if (source.getContext) {
+    const sctx = source.getContext("2d");
+    if (sctx) return sctx.getImageData(0, 0, source.width, source.height);
+  }
+  const c = document.createElement("canvas");
+  c.width = source.width;
+  c.height = source.height;
+  const cctx = c.getContext("2d");
+  cctx.drawImage(source, 0, 0);
+  return cctx.getImageData(0, 0, c.width, c.height);
+}
+
+/**
+ * Resample `source` into a new width×height canvas with `kernel`.
+ */
+export async function resampleCanvas(source, width, height, kernel = DEFAULT_KERNEL) {
+  const dw = Math.max(1, Math.round(width));
+  const dh = Math.max(1, Math.round(height));
+  const k = normalizeKernel(kernel);
+  const out = document.createElement("canvas");
+  out.width = dw;
+  out.height = dh;
+  const octx = out.getContext("2d");
+  if (k === "browser" || (dw === source.width && dh === source.height)) {
+    octx.imageSmoothingEnabled = true;
+    octx.imageSmoothingQuality = "high";
+    octx.drawImage(source, 0, 0, dw, dh);
+    return out;
+  }
+  const src = sourceImageData(source);
+  let pixels = await runInWorker(src, dw, dh, k);
+  if (!pixels) pixels = resamplePixels(src.data, src.width, src.height, dw, dh, k);
+  octx.putImageData(new ImageData(pixels, dw, dh), 0, 0);
+  return out;
+}
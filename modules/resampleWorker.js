@@ -0,0 +1,19 @@
+/**
+ * resampleWorker.js
+ * Module Web Worker that runs resample.js kernels off the main thread.
+ *
+ * Message in:  { jobId, width, height, data:ArrayBuffer (RGBA, transferred), dw, dh, kernel }
+ * Message out: { jobId, data:ArrayBuffer|null (dw×dh RGBA, transferred), error?:string }
+ */
+
+import { resampleImageData } from "./resample.js";
+
+self.onmessage = (e) => {
+  const { jobId, width, height, data, dw, dh, kernel } = e.data || {};
+  try {
+    const out = resampleImageData(new ImageData(new Uint8ClampedArray(data), width, height), dw, dh, kernel);
+    self.postMessage({ jobId, data: out.data.buffer }, [out.data.buffer]);
+  } catch (err) {
+    self.postMessage({ jobId, data: null, error: String((err && err.message) || err) });
+  }
+};
@@ -0,0 +1,307 @@
+/**
+ * session.js
+ * Crash-safe session recovery backed by IndexedDB.
+ *
+ * History entries are written incrementally: each entry is stored as its own record and only
+ * rewritten when its revision changes, so a long session does not re-serialize the whole stack
+ * after every edit. A single meta record keeps the entry order, the current position and extra
+ * layer content supplied by the app (the original bitmap the edit log replays over).
+ * Blobs inside that layer content (the encoded original, a full-resolution file) go to a store
+ * of their own, written once per Blob; meta keeps only { blobRef } in their place.
+ *
+ * API: initSession({ getPersistState, getEntryRecord, collectLayers, delay })
+ * - getPersistState: () => { cursor, entries: [{ id, rev }], nav } (see history.js)
+ * - getEntryRecord: (id) => record (see history.js)
+ * - collectLayers: async () => object, pending layer content to store alongside history
+ * - delay: debounce in ms before changes are written
+ */
+
+const DB_NAME = "photoEdit.session";
+const DB_VERSION = 2;
+const STORE_ENTRIES = "entries";
+const STORE_META = "meta";
+const STORE_BLOBS = "blobs";
+const META_KEY = "state";
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB unavailable"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE_ENTRIES)) db.createObjectStore(STORE_ENTRIES, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(STORE_META)) db.createObjectStore(STORE_META);
+      if (!db.objectStoreNames.contains(STORE_BLOBS)) db.createObjectStore(STORE_BLOBS);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+const isPlainObject = v => !!v && typeof v === "object" && Object.getPrototypeOf(v) === Object.prototype;
+
+// Copy of `value` with every Blob replaced by { blobRef: key }; keyOf(blob) names each one
+function replaceBlobs(value, keyOf) {
+  if (value instanceof Blob) return { blobRef: keyOf(value) };
+  if (Array.isArray(value)) return value.map(v => replaceBlobs(v, keyOf));
+  if (!isPlainObject(value)) return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = replaceBlobs(v, keyOf);
+  return out;
+}
+
+// The reverse of replaceBlobs: getBlob(key) => Blob, or undefined when it is missing
+function resolveBlobs(value, getBlob) {
+  if (Array.isArray(value)) return value.map(v => resolveBlobs(v, getBlob));
+  if (!isPlainObject(value)) return value;
+  if (typeof value.blobRef === "string" && Object.keys(value).length === 1) return getBlob(value.blobRef);
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = resolveBlobs(v, getBlob);
+  return out;
+}
+
+function blobRefs(value, refs = new Set()) {
+  if (Array.isArray(value)) value.forEach(v => blobRefs(v, refs));
+  else if (isPlainObject(value)) {
+    if (typeof value.blobRef === "string" && Object.keys(value).length === 1) refs.add(value.blobRef);
+    else Object.values(value).forEach(v => blobRefs(v, refs));
+  }
+  return refs;
+}
+
+export function initSession({
+  getPersistState,
+  getEntryRecord,
+  collectLayers,
+  delay = 600
+} = {}) {
+  let dbPromise = null;
+  let enabled = false;
+  let timer = null;
+  let inFlight = null;
+  let pending = false;
+  const persisted = new Map(); // entry id -> rev last written
+  const blobKeys = new WeakMap(); // Blob -> key in STORE_BLOBS
+  const storedBlobs = new Set(); // keys written to STORE_BLOBS
+  let blobCounter = 0;
+
+  const keyOf = (blob) => {
+    let key = blobKeys.get(blob);
+    if (!key) {
+      key = `${Date.now().toString(36)}-${++blobCounter}`;
+      blobKeys.set(blob, key);
+    }
+    return key;
+  };
+
+  const db = () => {
+    if (!dbPromise) dbPromise = openDb();
+    return dbPromise;
+  };
+
+  async function readMeta() {
+    const d = await db();
+    const tx = d.transaction(STORE_META, "readonly");
+    return requestToPromise(tx.objectStore(STORE_META).get(META_KEY));
+  }
+
+  /**
+   * Resolve true when a previous session with at least one history entry is stored.
+   */
+  async function hasSavedSession() {
+    try {
+      const meta = await readMeta();
+      return !!(meta && Array.isArray(meta.ids) && meta.ids.length > 0);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Load the stored session: history records (creation order), the cursor index, the branch
+   * selection and layer content.
+   * Resolves null when nothing usable is stored.
+   */
+  async function load() {
+    const meta = await readMeta();
+    if (!meta || !Array.isArray(meta.ids) || meta.ids.length === 0) return null;
+    const d = await db();
+    const tx = d.transaction([STORE_ENTRIES, STORE_BLOBS], "readonly");
+    const store = tx.objectStore(STORE_ENTRIES);
+    const blobStore = tx.objectStore(STORE_BLOBS);
+    const refs = [...blobRefs(meta.layers)];
+    const [records, blobs] = await Promise.all([
+      Promise.all(meta.ids.map(id => requestToPromise(store.get(id)))),
+      Promise.all(refs.map(key => requestToPromise(blobStore.get(key))))
+    ]);
+    if (records.some(r => !r) || blobs.some(b => !b)) return null;
+    // What was loaded is what is on disk
+    persisted.clear();
+    records.forEach(r => persisted.set(r.id, r.rev));
+    storedBlobs.clear();
+    const byKey = new Map();
+    refs.forEach((key, i) => {
+      byKey.set(key, blobs[i]);
+      blobKeys.set(blobs[i], key);
+      storedBlobs.add(key);
+    });
+    const layers = meta.layers ? resolveBlobs(meta.layers, key => byKey.get(key)) : null;
+    const cursor = Math.max(0, meta.ids.indexOf(meta.cursorId));
+    return { records, cursor, nav: meta.nav || null, layers, savedAt: meta.savedAt || 0 };
+  }
+
+  async function write() {
+    const state = getPersistState ? getPersistState() : { cursor: -1, entries: [] };
+    if (!state.entries.length) {
+      await clear();
+      return;
+    }
+    // Gather async content before opening the transaction so it does not auto-commit early
+    let layers = null;
+    try { layers = collectLayers ? await collectLayers() : null; } catch (e) {
+      console.warn("Session layer capture failed:", e);
+    }
+
+    const blobs = new Map();
+    const storedLayers = replaceBlobs(layers, (blob) => {
+      const key = keyOf(blob);
+      blobs.set(key, blob);
+      return key;
+    });
+
+    const d = await db();
+    const tx = d.transaction([STORE_ENTRIES, STORE_META, STORE_BLOBS], "readwrite");
+    const entryStore = tx.objectStore(STORE_ENTRIES);
+    const blobStore = tx.objectStore(STORE_BLOBS);
+    // A blob is written once; later writes only refer to it
+    blobs.forEach((blob, key) => { if (!storedBlobs.has(key)) blobStore.put(blob, key); });
+    const droppedBlobs = [...storedBlobs].filter(key => !blobs.has(key));
+    droppedBlobs.forEach(key => blobStore.delete(key));
+    const written = new Map();
+    const live = new Set();
+    for (const { id, rev } of state.entries) {
+      live.add(id);
+      if (persisted.get(id) === rev) continue;
+      const record = getEntryRecord && getEntryRecord(id);
+      if (record) {
+        entryStore.put(record);
+        written.set(id, rev);
+      }
+    }
+    const removed = [];
+    for (const id of persisted.keys()) {
+      if (!live.has(id)) {
+        entryStore.delete(id);
+        removed.push(id);
+      }
+    }
+    const current = state.entries[state.cursor];
+    tx.objectStore(STORE_META).put({
+      ids: state.entries.map(e => e.id),
+      cursorId: current ? current.id : null,
+      nav: state.nav || null,
+      layers: storedLayers,
+      savedAt: Date.now()
+    }, META_KEY);
+    await transactionDone(tx);
+    written.forEach((rev, id) => persisted.set(id, rev));
+    removed.forEach(id => persisted.delete(id));
+    blobs.forEach((blob, key) => storedBlobs.add(key));
+    droppedBlobs.forEach(key => storedBlobs.delete(key));
+  }
+
+  /**
+   * Write outstanding changes now. Concurrent calls are coalesced into one follow-up write.
+   */
+  async function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!enabled) return;
+    if (inFlight) {
+      pending = true;
+      return inFlight;
+    }
+    inFlight = write()
+      .catch((e) => console.warn("Session persist failed:", e))
+      .finally(() => {
+        inFlight = null;
+        if (pending) {
+          pending = false;
+          schedulePersist();
+        }
+      });
+    return inFlight;
+  }
+
+  function schedulePersist() {
+    if (!enabled) return;
+    clearTimeout(timer);
+    timer = setTimeout(flush, delay);
+  }
+
+  /**
+   * Remove everything stored for the session.
+   */
+  async function clear() {
+    clearTimeout(timer);
+    timer = null;
+    try {
+      const d = await db();
+      const tx = d.transaction([STORE_ENTRIES, STORE_META, STORE_BLOBS], "readwrite");
+      tx.objectStore(STORE_ENTRIES).clear();
+      tx.objectStore(STORE_META).clear();
+      tx.objectStore(STORE_BLOBS).clear();
+      await transactionDone(tx);
+      persisted.clear();
+      storedBlobs.clear();
+    } catch (e) {
+      console.warn("Session clear failed:", e);
+    }
+  }
+
+  /**
+   * Persistence stays off until the app has decided what to do with a stored session,
+   * so an empty editor does not overwrite it on startup.
+   */
+  function setEnabled(next) {
+    enabled = !!next;
+    if (!enabled) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  // Best effort: write pending changes when the page is hidden or unloaded
+  const onHide = () => { if (timer) flush(); };
+  window.addEventListener("pagehide", onHide);
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") onHide();
+  });
+
+  return {
+    hasSavedSession,
+    load,
+    flush,
+    schedulePersist,
+    clear,
+    setEnabled
+  };
+}
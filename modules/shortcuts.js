@@ -2,6 +2,9 @@
  * shortcuts.js
  * Extracted keyboard shortcuts initialization from app.js.
  * Accepts dependencies so it stays decoupled from app state.
+ * undo/redo may return ImageData or a Promise of it (compressed history entries).
+ * copy (optional) runs on Ctrl/Cmd+C when no page text is selected. Pasting is handled by
+ * loader.js initPaste through the paste event.
  */
 
 export function initShortcuts({
@@ -9,6 +12,7 @@ export function initShortcuts({
   redo,
   drawImageData,
   onHistoryChange,
+  copy,
   announce,
   showToast
 }) {
@@ -22,18 +26,26 @@ export function initShortcuts({
 
     if ((e.ctrlKey || e.metaKey) && !e.shiftKey && key === "z") {
       e.preventDefault();
-      const data = undo && undo();
-      if (data && typeof drawImageData === "function") drawImageData(data);
-      onHistoryChange && onHistoryChange();
-      announce && announce("Undid last action");
-      showToast && showToast("Undo", "Reverted to previous state.");
+      Promise.resolve(undo && undo()).then((data) => {
+        if (data && typeof drawImageData === "function") drawImageData(data);
+        onHistoryChange && onHistoryChange();
+        announce && announce("Undid last action");
+        showToast && showToast("Undo", "Reverted to previous state.");
+      });
     } else if ((e.ctrlKey || e.metaKey) && (key === "y" || (e.shiftKey && key === "z"))) {
       e.preventDefault();
-      const data = redo && redo();
-      if (data && typeof drawImageData === "function") drawImageData(data);
-      onHistoryChange && onHistoryChange();
-      announce && announce("Redid action");
-      showToast && showToast("Redo", "Reapplied last change.");
+      Promise.resolve(redo && redo()).then((data) => {
+        if (data && typeof drawImageData === "function") drawImageData(data);
+        onHistoryChange && onHistoryChange();
+        announce && announce("Redid action");
+        showToast && showToast("Redo", "Reapplied last change.");
+      });
+    } else if ((e.ctrlKey || e.metaKey) && !e.shiftKey && key === "c" && copy) {
+      // Leave normal text copying alone
+      const selected = window.getSelection ? String(window.getSelection()) : "";
+      if (selected) return;
+      e.preventDefault();
+      copy();
     } else if (key === "escape") {
       // ESC may be handled elsewhere (e.g., crop overlay). No-op here.
     }
@@ -1,3 +1,20 @@
+/**
+ * Draw a text state ({ text, color, size, x, y }) onto a 2D context. Shared by the text layer
+ * preview and the text operation replayed by operations.js.
+ */
+export function drawTextState(ctx, { text, color, size, x, y }) {
+  if (!text) return;
+  ctx.save();
+  ctx.font = `${size}px sans-serif`;
+  ctx.fillStyle = color;
+  ctx.textAlign = "left";      // use left/alphabetic for precise hitbox
+  ctx.textBaseline = "alphabetic";
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  ctx.fillText(text, x, y);
+  ctx.restore();
+}
+
 export function initTextTool({
   canvas,               // main image canvas
   textLayer,            // new separate text layer canvas
@@ -7,11 +24,11 @@ export function initTextTool({
   textColor,
   fontSize,
   flattenBtn,           // new button to flatten/apply text layer
-  onCommit
+  onCommit,             // (state) => void, called with the text to apply to the image (the app renders it)
+  onChange              // optional: (state, reason) => void, pending text was added ("add") or moved ("move")
 }) {
   if (!canvas || !textLayer || !addTextBtn || !textInput || !textColor || !fontSize) return;
 
-  const mainCtx = canvas.getContext("2d");
   const textCtx = textLayer.getContext("2d");
 
   // State for current text and drag interaction
@@ -41,16 +58,7 @@ export function initTextTool({
 
   function drawText() {
     clearTextLayer();
-    if (!textState.text) return;
-    textCtx.save();
-    textCtx.font = `${textState.size}px sans-serif`;
-    textCtx.fillStyle = textState.color;
-    textCtx.textAlign = "left";      // use left/alphabetic for precise hitbox
-    textCtx.textBaseline = "alphabetic";
-    textCtx.imageSmoothingEnabled = true;
-    textCtx.imageSmoothingQuality = "high";
-    textCtx.fillText(textState.text, textState.x, textState.y);
-    textCtx.restore();
+    drawTextState(textCtx, textState);
   }
 
   // Helpers
@@ -119,6 +127,7 @@ export function initTextTool({
       textState.isDragging = false;
       try { textLayer.releasePointerCapture && textLayer.releasePointerCapture(e.pointerId); } catch {}
       e.preventDefault();
+      if (typeof onChange === "function") onChange(getState(), "move");
     }
   }
 
@@ -181,8 +190,9 @@ export function initTextTool({
       textState.y = Math.floor(textLayer.height / 2 + baselineOffset);
 
       drawText();
+      if (typeof onChange === "function") onChange(getState(), "add");
 
-      // Do NOT push history here — user can still move/modify before flattening
+      // Text stays movable until flattened; onChange lets the app record this step
       return true;
     } catch (e) {
       console.error("Add text failed:", e);
@@ -194,17 +204,13 @@ export function initTextTool({
     try {
       if (!canvas.width || !canvas.height) return false;
       ensureLayerSize();
-      // Composite text layer onto main canvas
-      mainCtx.save();
-      mainCtx.imageSmoothingEnabled = true;
-      mainCtx.imageSmoothingQuality = "high";
-      mainCtx.drawImage(textLayer, 0, 0);
-      mainCtx.restore();
+      // The main canvas is left to the app, which applies the text in order with other edits
+      const committed = getState();
       // Clear text layer and reset state text (keep position for next time)
       clearTextLayer();
       textState.text = "";
       // Commit history once flattened
-      if (typeof onCommit === "function") onCommit();
+      if (typeof onCommit === "function") onCommit(committed);
       return true;
     } catch (e) {
       console.error("Flatten text layer failed:", e);
@@ -212,8 +218,25 @@ export function initTextTool({
     }
   }
 
+  // Pending (not yet flattened) text parameters, e.g. for session persistence
+  function getState() {
+    const { text, color, size, x, y } = textState;
+    return { text, color, size, x, y };
+  }
+
+  function setState(next) {
+    if (!next || typeof next !== "object") return;
+    textState.text = typeof next.text === "string" ? next.text : "";
+    if (typeof next.color === "string") textState.color = next.color;
+    if (Number.isFinite(next.size)) textState.size = next.size;
+    if (Number.isFinite(next.x)) textState.x = next.x;
+    if (Number.isFinite(next.y)) textState.y = next.y;
+    ensureLayerSize();
+    drawText();
+  }
+
   // Public API
-  const api = { addText, flatten, clearTextLayer, setInteractive, ensureLayerSize, drawText };
+  const api = { addText, flatten, clearTextLayer, setInteractive, ensureLayerSize, drawText, getState, setState };
 
   // Wire "Add" to draw on the text layer
   addTextBtn.addEventListener("click", (e) => {
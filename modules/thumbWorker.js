@@ -0,0 +1,26 @@
+/**
+ * thumbWorker.js
+ * Web Worker that encodes history thumbnails off the main thread (see history.js).
+ *
+ * Message in:  { jobId, bitmap:ImageBitmap (transferred, already thumbnail-sized), type, quality }
+ * Message out: { jobId, blob:Blob|null, error?:string }
+ */
+
+self.onmessage = async (e) => {
+  const { jobId, bitmap, type, quality } = e.data || {};
+  try {
+    const off = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const octx = off.getContext("2d");
+    octx.imageSmoothingEnabled = true;
+    octx.imageSmoothingQuality = "high";
+    octx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    let blob = await off.convertToBlob({ type, quality });
+    // Encoders without WebP support silently fall back to PNG; JPEG is much smaller
+    if (blob.type !== type) blob = await off.convertToBlob({ type: "image/jpeg", quality });
+    self.postMessage({ jobId, blob });
+  } catch (err) {
+    try { bitmap && bitmap.close(); } catch {}
+    self.postMessage({ jobId, blob: null, error: String((err && err.message) || err) });
+  }
+};
@@ -0,0 +1,173 @@
+/**
+ * tiles.js
+ * Tiled images for full-resolution work: an image is kept as a grid of canvases no larger than
+ * TILE_SIZE, so no single canvas exceeds browser limits however large the image is.
+ *
+ * API:
+ * - TILE_SIZE
+ * - tilesFromSource(source) => tiled   (source: anything drawImage accepts)
+ * - tilesFromPixels({ width, height, data }) => tiled   (RGBA pixels, e.g. from decoders.js)
+ * - transformTiles(tiled, width, height, matrix) => tiled: the image drawn through an affine
+ *   matrix [a, b, c, d, e, f] (source -> output pixels) into a width×height grid; used for
+ *   crops, quarter turns and flips
+ * - mapTiles(tiled, fn, { margin }) => Promise<tiled>: fn(canvas, x, y) => canvas | Promise
+ *   runs on each tile, padded by `margin` pixels of its neighbours for neighbourhood filters
+ * - drawOverTiles(tiled, draw): draw(ctx) paints in full-image coordinates on every tile
+ * - composeTiles(tiled, width, height) => canvas: the whole image, scaled tile by tile when
+ *   width×height differs from the tiled size
+ * - canvasFits(width, height) => boolean: whether the browser can hold a canvas this large
+ *
+ * tiled: { width, height, size, tiles } with tiles[row][col] canvases.
+ */
+
+export const TILE_SIZE = 2048;
+
+function newCanvas(w, h) {
+  const c = document.createElement("canvas");
+  c.width = w;
+  c.height = h;
+  return c;
+}
+
+function emptyTiles(width, height, size = TILE_SIZE) {
+  const tiles = [];
+  for (let y = 0; y < height; y += size) {
+    const row = [];
+    for (let x = 0; x < width; x += size) row.push(newCanvas(Math.min(size, width - x), Math.min(size, height - y)));
+    tiles.push(row);
+  }
+  return { width, height, size, tiles };
+}
+
+function forEachTile(tiled, fn) {
+  tiled.tiles.forEach((row, r) => row.forEach((tile, c) => fn(tile, c * tiled.size, r * tiled.size)));
+}
+
+export function tilesFromSource(source) {
+  const tiled = emptyTiles(source.width, source.height);
+  forEachTile(tiled, (tile, x, y) => {
+    tile.getContext("2d").drawImage(source, x, y, tile.width, tile.height, 0, 0, tile.width, tile.height);
+  });
+  return tiled;
+}
+
+export function tilesFromPixels({ width, height, data }) {
+  const tiled = emptyTiles(width, height);
+  forEachTile(tiled, (tile, x, y) => {
+    const part = new ImageData(tile.width, tile.height);
+    for (let row = 0; row < tile.height; row++) {
+      const from = ((y + row) * width + x) * 4;
+      part.data.set(data.subarray(from, from + tile.width * 4), row * tile.width * 4);
+    }
+    tile.getContext("2d").putImageData(part, 0, 0);
+  });
+  return tiled;
+}
+
+function invert([a, b, c, d, e, f]) {
+  const det = a * d - b * c;
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+}
+
+/**
+ * Source tiles covering the output rectangle (x, y, w, h) mapped back through `inverse`.
+ */
+function tilesUnder(tiled, inverse, x, y, w, h) {
+  const [a, b, c, d, e, f] = inverse;
+  const xs = [];
+  const ys = [];
+  [[x, y], [x + w, y], [x, y + h], [x + w, y + h]].forEach(([px, py]) => {
+    xs.push(a * px + c * py + e);
+    ys.push(b * px + d * py + f);
+  });
+  const x0 = Math.min(...xs), x1 = Math.max(...xs), y0 = Math.min(...ys), y1 = Math.max(...ys);
+  const out = [];
+  forEachTile(tiled, (tile, tx, ty) => {
+    if (tx < x1 && tx + tile.width > x0 && ty < y1 && ty + tile.height > y0) out.push({ tile, tx, ty });
+  });
+  return out;
+}
+
+export function transformTiles(tiled, width, height, matrix) {
+  const out = emptyTiles(width, height, tiled.size);
+  const inverse = invert(matrix);
+  const [a, b, c, d, e, f] = matrix;
+  forEachTile(out, (tile, x, y) => {
+    const tctx = tile.getContext("2d");
+    tctx.imageSmoothingEnabled = false;
+    tctx.setTransform(a, b, c, d, e - x, f - y);
+    tilesUnder(tiled, inverse, x, y, tile.width, tile.height).forEach(src => tctx.drawImage(src.tile, src.tx, src.ty));
+    tctx.setTransform(1, 0, 0, 1, 0, 0);
+  });
+  return out;
+}
+
+/**
+ * Copy the region (x, y, w, h) of a tiled image into a new canvas.
+ */
+function region(tiled, x, y, w, h) {
+  const c = newCanvas(w, h);
+  const cctx = c.getContext("2d");
+  tilesUnder(tiled, [1, 0, 0, 1, 0, 0], x, y, w, h).forEach(src => cctx.drawImage(src.tile, src.tx - x, src.ty - y));
+  return c;
+}
+
+export async function mapTiles(tiled, fn, { margin = 0 } = {}) {
+  const out = emptyTiles(tiled.width, tiled.height, tiled.size);
+  const jobs = [];
+  forEachTile(out, (tile, x, y) => jobs.push({ tile, x, y }));
+  // One tile at a time: filters hold several copies of the pixels they work on
+  for (const { tile, x, y } of jobs) {
+    const m = Math.ceil(margin);
+    const px = Math.max(0, x - m);
+    const py = Math.max(0, y - m);
+    const pw = Math.min(tiled.width, x + tile.width + m) - px;
+    const ph = Math.min(tiled.height, y + tile.height + m) - py;
+    const done = await fn(region(tiled, px, py, pw, ph), px, py);
+    tile.getContext("2d").drawImage(done, x - px, y - py, tile.width, tile.height, 0, 0, tile.width, tile.height);
+  }
+  return out;
+}
+
+export function drawOverTiles(tiled, draw) {
+  forEachTile(tiled, (tile, x, y) => {
+    const tctx = tile.getContext("2d");
+    tctx.save();
+    tctx.translate(-x, -y);
+    draw(tctx);
+    tctx.restore();
+  });
+}
+
+export function composeTiles(tiled, width = tiled.width, height = tiled.height) {
+  const out = newCanvas(width, height);
+  const octx = out.getContext("2d");
+  octx.imageSmoothingEnabled = true;
+  octx.imageSmoothingQuality = "high";
+  const kx = width / tiled.width;
+  const ky = height / tiled.height;
+  forEachTile(tiled, (tile, x, y) => {
+    // Rounded edges keep neighbouring tiles touching without gaps or overlaps
+    const dx = Math.round(x * kx);
+    const dy = Math.round(y * ky);
+    octx.drawImage(tile, dx, dy, Math.round((x + tile.width) * kx) - dx, Math.round((y + tile.height) * ky) - dy);
+  });
+  return out;
+}
+
+export function canvasFits(width, height) {
+  try {
+    const c = newCanvas(width, height);
+    if (c.width !== width || c.height !== height) return false;
+    const cctx = c.getContext("2d");
+    if (!cctx) return false;
+    // Oversized canvases are created but silently refuse to draw
+    cctx.fillRect(width - 1, height - 1, 1, 1);
+    const ok = cctx.getImageData(width - 1, height - 1, 1, 1).data[3] !== 0;
+    c.width = 0;
+    c.height = 0;
+    return ok;
+  } catch {
+    return false;
+  }
+}
@@ -1,8 +1,60 @@
 /**
  * transforms.js
- * Geometric transforms (rotate, flip) and crop operation on a canvas.
+ * Geometric transforms (rotate, flip) and crop operation on a canvas, and EXIF orientation
+ * normalization for decoded images.
  */
 
+// EXIF orientation 1-8 -> canvas transform [a, b, c, d, e, f] that draws the stored pixels
+// upright; w/h are the stored (unrotated) size
+const EXIF_TRANSFORMS = {
+  1: () => [1, 0, 0, 1, 0, 0],
+  2: (w) => [-1, 0, 0, 1, w, 0],
+  3: (w, h) => [-1, 0, 0, -1, w, h],
+  4: (w, h) => [1, 0, 0, -1, 0, h],
+  5: () => [0, 1, 1, 0, 0, 0],
+  6: (w, h) => [0, 1, -1, 0, h, 0],
+  7: (w, h) => [0, -1, -1, 0, h, w],
+  8: (w) => [0, -1, 1, 0, 0, w]
+};
+
+export const EXIF_ORIENTATION_LABELS = {
+  2: "mirrored horizontally",
+  3: "rotated 180°",
+  4: "mirrored vertically",
+  5: "mirrored horizontally and rotated 270° clockwise",
+  6: "rotated 90° clockwise",
+  7: "mirrored horizontally and rotated 90° clockwise",
+  8: "rotated 270° clockwise"
+};
+
+/**
+ * Upright size and the transform drawing a w×h image upright for an EXIF orientation.
+ * Orientations 5-8 swap width and height.
+ */
+export function exifOrientationTransform(orientation, w, h) {
+  const swap = orientation >= 5 && orientation <= 8;
+  return {
+    width: swap ? h : w,
+    height: swap ? w : h,
+    matrix: (EXIF_TRANSFORMS[orientation] || EXIF_TRANSFORMS[1])(w, h)
+  };
+}
+
+/**
+ * Draw `source` (anything drawImage accepts) upright for an EXIF orientation into a new canvas.
+ */
+export function applyExifOrientation(source, orientation) {
+  const { width, height, matrix } = exifOrientationTransform(orientation, source.width, source.height);
+  const out = document.createElement("canvas");
+  out.width = width;
+  out.height = height;
+  const octx = out.getContext("2d");
+  octx.setTransform(...matrix);
+  octx.drawImage(source, 0, 0);
+  octx.setTransform(1, 0, 0, 1, 0, 0);
+  return out;
+}
+
 /**
  * Rotate canvas content 90 degrees clockwise.
  * This resizes the canvas and redraws the rotated content.
@@ -35,7 +35,8 @@ export function renderHistoryStrip(historyStripEl, entries, prefs, {
   undo,
   redo,
   getCurrentIndex,
-  jumpTo, // optional optimized jump
+  jumpTo, // optional optimized jump; may return a Promise while compressed entries load
+  switchBranch, // optional: (index, step) => ImageData|Promise, selects a sibling branch
   drawImageData, // required for correct canvas updates while jumping
   onHistoryChange,
   announce: announceFn,
@@ -48,18 +49,19 @@ export function renderHistoryStrip(historyStripEl, entries, prefs, {
 
   entries.forEach((e, idx) => {
     const btn = document.createElement("button");
-    btn.className = "history-item" + (idx === currentIdx ? " selected" : "");
+    btn.className = "history-item" + (idx === currentIdx ? " selected" : "") + (idx > currentIdx ? " is-redo" : "") +
+      (e.pinned ? " is-pinned" : "") + (e.compressed ? " is-compressed" : "");
     btn.setAttribute("role", "option");
     btn.setAttribute("aria-selected", String(idx === currentIdx));
-    btn.title = (e.label ? (e.label + " • ") : "") + `${e.width}×${e.height}`;
+    btn.title = (e.label ? (e.label + " • ") : "") + `${e.width}×${e.height}` + (e.compressed ? " • compressed" : "");
 
     const img = document.createElement("img");
     img.alt = e.label || `State ${idx+1}`;
     const prefH = prefs && prefs.height ? prefs.height : parseInt(getComputedStyle(historyStripEl).getPropertyValue("--hist-thumb")) || 96;
     img.height = prefH;
     img.width = Math.max(1, Math.round((e.width / e.height) * prefH));
-    if (e.thumbDataUrl) {
-      img.src = e.thumbDataUrl;
+    if (e.thumbUrl) {
+      img.src = e.thumbUrl;
     } else if (idx === currentIdx && canvas && canvas.width && canvas.height) {
       try {
         const h = prefH;
@@ -84,14 +86,21 @@ export function renderHistoryStrip(historyStripEl, entries, prefs, {
     btn.addEventListener("click", () => {
       const delta = currentIdx - idx;
       if (delta === 0) return;
+      const done = () => {
+        onHistoryChange && onHistoryChange();
+        announceFn && announceFn("Jumped to history step " + (idx + 1));
+        showToastFn && showToastFn("History", `Jumped to step ${idx + 1}`);
+      };
+      // Prefer optimized jump if available; it resolves later when compressed entries are involved
+      if (typeof jumpTo === "function") {
+        Promise.resolve()
+          .then(() => jumpTo(idx))
+          .then((data) => { if (data && drawImageData) drawImageData(data); })
+          .finally(done);
+        return;
+      }
       try {
-        // Prefer optimized jump if available
-        if (typeof jumpTo === "function") {
-          const data = jumpTo(idx);
-          if (data && drawImageData) {
-            drawImageData(data);
-          }
-        } else if (drawImageData) {
+        if (drawImageData) {
           // Minimal fix: apply returned ImageData on each step
           if (delta > 0) {
             for (let i = 0; i < delta; i++) {
@@ -113,30 +122,178 @@ export function renderHistoryStrip(historyStripEl, entries, prefs, {
           }
         }
       } finally {
-        onHistoryChange && onHistoryChange();
-        announceFn && announceFn("Jumped to history step " + (idx + 1));
-        showToastFn && showToastFn("History", `Jumped to step ${idx + 1}`);
+        done();
       }
     });
 
-    historyStripEl.appendChild(btn);
+    // Entries with siblings get a small branch switcher under the thumbnail
+    if (typeof switchBranch === "function" && e.branchCount > 1) {
+      const node = document.createElement("div");
+      node.className = "history-node";
+      const branchRow = document.createElement("div");
+      branchRow.className = "history-branch";
+      const makeStep = (step, text, aria) => {
+        const b = document.createElement("button");
+        b.type = "button";
+        b.textContent = text;
+        b.setAttribute("aria-label", aria);
+        b.addEventListener("click", () => {
+          Promise.resolve()
+            .then(() => switchBranch(idx, step))
+            .then((data) => { if (data && drawImageData) drawImageData(data); })
+            .finally(() => {
+              onHistoryChange && onHistoryChange();
+              announceFn && announceFn(`Switched to branch at step ${idx + 1}`);
+            });
+        });
+        return b;
+      };
+      const count = document.createElement("span");
+      count.textContent = `${e.branchIndex + 1}/${e.branchCount}`;
+      branchRow.appendChild(makeStep(-1, "‹", `Previous branch at step ${idx + 1}`));
+      branchRow.appendChild(count);
+      branchRow.appendChild(makeStep(1, "›", `Next branch at step ${idx + 1}`));
+      node.appendChild(btn);
+      node.appendChild(branchRow);
+      historyStripEl.appendChild(node);
+    } else {
+      historyStripEl.appendChild(btn);
+    }
   });
 }
 
-export function updateUndoRedoButtons({ undoBtn, redoBtn, saveBtn, brightness, contrast, saturation, vibrance }, { getTainted, canUndo, canRedo }) {
+/**
+ * Render the edit operation log. Each step can be removed; adjustment steps can be selected
+ * for slider editing and filter steps can be switched to another filter.
+ */
+export function renderOperationList(listEl, ops, {
+  describe,
+  editingId = null,
+  filterNames = [],
+  onRemove,
+  onEdit,
+  onChangeFilter
+} = {}) {
+  if (!listEl) return;
+  listEl.innerHTML = "";
+  if (!Array.isArray(ops) || ops.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "op-empty";
+    empty.textContent = "No edits yet";
+    listEl.appendChild(empty);
+    return;
+  }
+  ops.forEach((op, idx) => {
+    const desc = describe ? describe(op) : op.type;
+    const li = document.createElement("li");
+    li.className = "op-item" + (op.id === editingId ? " editing" : "");
+
+    const label = document.createElement("span");
+    label.className = "label";
+    label.textContent = desc;
+    li.appendChild(label);
+
+    const actions = document.createElement("span");
+    actions.className = "op-actions";
+
+    if (op.type === "filter" && filterNames.length) {
+      const sel = document.createElement("select");
+      sel.setAttribute("aria-label", `Filter for step ${idx + 1}`);
+      filterNames.forEach(name => {
+        const opt = document.createElement("option");
+        opt.value = name;
+        opt.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+        sel.appendChild(opt);
+      });
+      sel.value = op.params.name;
+      sel.addEventListener("change", () => onChangeFilter && onChangeFilter(op, idx, sel.value));
+      actions.appendChild(sel);
+      label.classList.add("sr-only");
+    }
+
+    if (op.type === "adjust" && onEdit) {
+      const edit = document.createElement("button");
+      edit.type = "button";
+      edit.textContent = "Edit";
+      edit.setAttribute("aria-pressed", String(op.id === editingId));
+      edit.setAttribute("aria-label", `Edit step ${idx + 1}: ${desc}`);
+      edit.addEventListener("click", () => onEdit(op, idx));
+      actions.appendChild(edit);
+    }
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.textContent = "×";
+    remove.setAttribute("aria-label", `Remove step ${idx + 1}: ${desc}`);
+    remove.addEventListener("click", () => onRemove && onRemove(op, idx));
+    actions.appendChild(remove);
+
+    li.appendChild(actions);
+    listEl.appendChild(li);
+  });
+}
+
+/**
+ * Fill the compare reference <select> with the active branch entries (value = entry id).
+ */
+export function renderCompareOptions(selectEl, entries, selectedId) {
+  if (!selectEl) return;
+  if (!Array.isArray(entries)) entries = [];
+  selectEl.innerHTML = "";
+  entries.forEach((e, idx) => {
+    const opt = document.createElement("option");
+    opt.value = String(e.id);
+    const name = idx === 0 ? "Original" : (e.label || `${e.width}×${e.height}`);
+    opt.textContent = `${idx + 1}. ${name}`;
+    selectEl.appendChild(opt);
+  });
+  if (selectedId != null) selectEl.value = String(selectedId);
+  selectEl.disabled = entries.length === 0;
+}
+
+const MB = 1024 * 1024;
+
+function formatMB(bytes) {
+  const mb = bytes / MB;
+  return mb >= 10 ? `${Math.round(mb)} MB` : `${mb.toFixed(1)} MB`;
+}
+
+/**
+ * Show history memory use against its budget ({ rawBytes, packedBytes, cacheBytes, maxBytes }
+ * from history.js getMemoryUsage).
+ */
+export function renderMemoryBudget(meterEl, textEl, memory) {
+  if (!memory) return;
+  const used = (memory.rawBytes || 0) + (memory.packedBytes || 0) + (memory.cacheBytes || 0);
+  const max = memory.maxBytes || 0;
+  if (meterEl) {
+    meterEl.max = max || Math.max(used, 1);
+    meterEl.high = meterEl.max * 0.9;
+    meterEl.value = Math.min(used, meterEl.max);
+  }
+  if (textEl) {
+    let text = `History ${formatMB(used)}` + (max ? ` / ${formatMB(max)}` : "");
+    if (memory.packedEntries) text += ` (${memory.packedEntries} compressed, ${formatMB(memory.packedBytes || 0)})`;
+    textEl.textContent = text;
+  }
+}
+
+export function updateUndoRedoButtons({ undoBtn, redoBtn, saveBtn, copyBtn, brightness, contrast, saturation, vibrance }, { getTainted, canUndo, canRedo }) {
   const tainted = getTainted && getTainted();
   if (undoBtn) undoBtn.disabled = tainted || !canUndo();
   if (redoBtn) redoBtn.disabled = tainted || !canRedo();
   if (saveBtn) saveBtn.disabled = !!tainted;
+  if (copyBtn) copyBtn.disabled = !!tainted;
   if (brightness) brightness.disabled = !!tainted;
   if (contrast) contrast.disabled = !!tainted;
   if (saturation) saturation.disabled = !!tainted;
   if (vibrance) vibrance.disabled = !!tainted;
 }
 
-export function handleFormatChange(formatSel, qualityRange, qualityVal) {
+// usesQuality: optional (format) => boolean when the encoder decides (see export.js)
+export function handleFormatChange(formatSel, qualityRange, qualityVal, usesQuality) {
   const fmt = (formatSel && formatSel.value) || "png";
-  const isLossy = fmt === "jpeg" || fmt === "webp";
+  const isLossy = usesQuality ? usesQuality(fmt) : (fmt === "jpeg" || fmt === "webp");
   if (qualityRange) {
     qualityRange.disabled = !isLossy;
     if (!isLossy) qualityVal && (qualityVal.textContent = "N/A");
@@ -180,6 +337,7 @@ export function initUI(elements, services) {
     redo: services?.redo,
     getCurrentIndex: services?.getCurrentIndex,
     jumpTo: services?.jumpTo,
+    switchBranch: services?.switchBranch,
     drawImageData: services?.drawImageData,
     onHistoryChange: services?.onHistoryChange,
     announce: boundAnnounce,
@@ -192,6 +350,9 @@ export function initUI(elements, services) {
       canRedo: services?.canRedo
     });
   const boundHandleFormatChange = () => handleFormatChange(formatSel, qualityRange, qualityVal);
+  const boundRenderOperationList = (listEl, ops, opts) => renderOperationList(listEl, ops, opts);
+  const boundRenderCompareOptions = (selectEl, entries, selectedId) => renderCompareOptions(selectEl, entries, selectedId);
+  const boundRenderMemoryBudget = (meterEl, textEl, memory) => renderMemoryBudget(meterEl, textEl, memory);
   const boundApplyHistSize = (h) => applyHistSize(historyStrip, h);
   const boundUpdateCanvasAriaLabel = () => updateCanvasAriaLabel(canvas);
 
@@ -200,6 +361,9 @@ export function initUI(elements, services) {
     announce: boundAnnounce,
     renderHistoryStrip: boundRenderHistoryStrip,
     updateUndoRedoButtons: boundUpdateUndoRedoButtons,
+    renderOperationList: boundRenderOperationList,
+    renderCompareOptions: boundRenderCompareOptions,
+    renderMemoryBudget: boundRenderMemoryBudget,
     handleFormatChange: boundHandleFormatChange,
     applyHistSize: boundApplyHistSize,
     updateCanvasAriaLabel: boundUpdateCanvasAriaLabel
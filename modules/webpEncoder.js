@@ -0,0 +1,207 @@
+/**
+ * webpEncoder.js
+ * Lossless WebP (VP8L) encoder used when the browser cannot encode WebP itself. It applies the
+ * subtract-green transform and codes literals with per-channel Huffman codes (no backward
+ * references or color cache), so files are larger than native output but decode everywhere.
+ *
+ * API: encodeWebPLossless(imageData) => Uint8Array
+ */
+
+const MAX_DIMENSION = 16384;
+const MAX_CODE_LENGTH = 15;
+const MAX_CODE_LENGTH_CODE_LENGTH = 7;
+const CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+const GREEN_ALPHABET = 256 + 24; // literals + length prefixes (no color cache)
+const TRANSFORM_SUBTRACT_GREEN = 2;
+
+function bitWriter(sizeHint) {
+  let buf = new Uint8Array(Math.max(64, sizeHint));
+  let pos = 0;
+  let acc = 0;
+  let n = 0;
+  return {
+    put(value, bits) {
+      // Split long writes so the accumulator never overflows 32 bits
+      while (bits > 16) {
+        this.put(value & 0xffff, 16);
+        value >>>= 16;
+        bits -= 16;
+      }
+      acc |= (value & ((1 << bits) - 1)) << n;
+      n += bits;
+      while (n >= 8) {
+        if (pos >= buf.length) {
+          const next = new Uint8Array(buf.length * 2);
+          next.set(buf);
+          buf = next;
+        }
+        buf[pos++] = acc & 0xff;
+        acc >>>= 8;
+        n -= 8;
+      }
+    },
+    finish() {
+      if (n > 0) this.put(0, 8 - n);
+      return buf.subarray(0, pos);
+    }
+  };
+}
+
+/**
+ * Huffman code lengths limited to `maxLength`; counts are flattened until the tree fits.
+ */
+function codeLengths(counts, maxLength) {
+  const used = [];
+  counts.forEach((c, s) => { if (c > 0) used.push(s); });
+  const lengths = new Array(counts.length).fill(0);
+  if (used.length === 0) return lengths;
+  if (used.length === 1) { lengths[used[0]] = 1; return lengths; }
+  for (let floor = 1; ; floor *= 2) {
+    let nodes = used.map(s => ({ weight: Math.max(counts[s], floor), symbol: s }));
+    while (nodes.length > 1) {
+      nodes.sort((a, b) => a.weight - b.weight);
+      const [a, b] = nodes.splice(0, 2);
+      nodes.push({ weight: a.weight + b.weight, left: a, right: b });
+    }
+    let max = 0;
+    const walk = (node, depth) => {
+      if (node.symbol !== undefined) {
+        lengths[node.symbol] = depth;
+        if (depth > max) max = depth;
+        return;
+      }
+      walk(node.left, depth + 1);
+      walk(node.right, depth + 1);
+    };
+    walk(nodes[0], 0);
+    if (max <= maxLength) return lengths;
+  }
+}
+
+/**
+ * Canonical codes for `lengths`, bit-reversed for the LSB-first bit writer.
+ */
+function canonicalCodes(lengths) {
+  const maxLen = Math.max(0, ...lengths);
+  const blCount = new Array(maxLen + 1).fill(0);
+  lengths.forEach((l) => { if (l) blCount[l]++; });
+  const next = new Array(maxLen + 2).fill(0);
+  let code = 0;
+  for (let bits = 1; bits <= maxLen; bits++) {
+    code = (code + blCount[bits - 1]) << 1;
+    next[bits] = code;
+  }
+  return lengths.map((len) => {
+    if (!len) return 0;
+    let c = next[len]++;
+    let rev = 0;
+    for (let i = 0; i < len; i++) { rev = (rev << 1) | (c & 1); c >>= 1; }
+    return rev;
+  });
+}
+
+/**
+ * A prefix code for one alphabet: { lengths, codes, single } where single means the decoder
+ * reads zero bits per symbol (simple code with one symbol, or one used symbol).
+ */
+function buildCode(counts, maxLength = MAX_CODE_LENGTH) {
+  const lengths = codeLengths(counts, maxLength);
+  const usedCount = lengths.filter(Boolean).length;
+  return { lengths, codes: canonicalCodes(lengths), single: usedCount <= 1 };
+}
+
+function writeSymbol(w, code, symbol) {
+  if (!code.single) w.put(code.codes[symbol], code.lengths[symbol]);
+}
+
+function writePrefixCode(w, counts) {
+  const used = [];
+  counts.forEach((c, s) => { if (c > 0) used.push(s); });
+  // Simple code: one or two symbols below 256
+  if (used.length <= 2 && used.every(s => s < 256)) {
+    const symbols = used.length ? used : [0];
+    w.put(1, 1);
+    w.put(symbols.length - 1, 1);
+    const wide = symbols[0] > 1;
+    w.put(wide ? 1 : 0, 1);
+    w.put(symbols[0], wide ? 8 : 1);
+    if (symbols.length === 2) w.put(symbols[1], 8);
+    const code = { lengths: new Array(counts.length).fill(0), codes: new Array(counts.length).fill(0), single: symbols.length === 1 };
+    if (symbols.length === 2) {
+      code.lengths[symbols[0]] = 1;
+      code.lengths[symbols[1]] = 1;
+      code.codes[symbols[1]] = 1;
+    }
+    return code;
+  }
+
+  // Normal code: the code lengths are themselves Huffman coded (no run-length codes)
+  const code = buildCode(counts);
+  const clCounts = new Array(19).fill(0);
+  code.lengths.forEach(l => clCounts[l]++);
+  const clCode = buildCode(clCounts, MAX_CODE_LENGTH_CODE_LENGTH);
+  let numCodes = 19;
+  while (numCodes > 4 && clCode.lengths[CODE_LENGTH_ORDER[numCodes - 1]] === 0) numCodes--;
+  w.put(0, 1);
+  w.put(numCodes - 4, 4);
+  for (let i = 0; i < numCodes; i++) w.put(clCode.lengths[CODE_LENGTH_ORDER[i]], 3);
+  w.put(0, 1); // max_symbol = alphabet size
+  code.lengths.forEach(l => writeSymbol(w, clCode, l));
+  return code;
+}
+
+export function encodeWebPLossless(imageData) {
+  const { width, height, data } = imageData;
+  if (width < 1 || height < 1 || width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    throw new Error("Image size is outside WebP limits");
+  }
+  const count = width * height;
+  // Subtract green: red and blue are stored relative to green, which usually lowers entropy
+  const argb = new Uint8Array(count * 4); // [g, r, b, a] per pixel
+  const green = new Array(GREEN_ALPHABET).fill(0);
+  const red = new Array(256).fill(0);
+  const blue = new Array(256).fill(0);
+  const alpha = new Array(256).fill(0);
+  let hasAlpha = false;
+  for (let p = 0, i = 0; p < count; p++, i += 4) {
+    const g = data[i + 1];
+    const r = (data[i] - g) & 0xff;
+    const b = (data[i + 2] - g) & 0xff;
+    const a = data[i + 3];
+    argb[i] = g; argb[i + 1] = r; argb[i + 2] = b; argb[i + 3] = a;
+    green[g]++; red[r]++; blue[b]++; alpha[a]++;
+    if (a !== 255) hasAlpha = true;
+  }
+
+  const w = bitWriter(count * 3 + 1024);
+  w.put(0x2f, 8);
+  w.put(width - 1, 14);
+  w.put(height - 1, 14);
+  w.put(hasAlpha ? 1 : 0, 1);
+  w.put(0, 3); // version
+  w.put(1, 1); // transform present
+  w.put(TRANSFORM_SUBTRACT_GREEN, 2);
+  w.put(0, 1); // no more transforms
+  w.put(0, 1); // no color cache
+  w.put(0, 1); // no meta prefix codes
+  const codes = [green, red, blue, alpha, [1]].map(counts => writePrefixCode(w, counts));
+  const [gc, rc, bc, ac] = codes;
+  for (let i = 0; i < argb.length; i += 4) {
+    writeSymbol(w, gc, argb[i]);
+    writeSymbol(w, rc, argb[i + 1]);
+    writeSymbol(w, bc, argb[i + 2]);
+    writeSymbol(w, ac, argb[i + 3]);
+  }
+  const bitstream = w.finish();
+
+  // RIFF container with a single VP8L chunk
+  const pad = bitstream.length & 1;
+  const out = new Uint8Array(20 + bitstream.length + pad);
+  const view = new DataView(out.buffer);
+  out.set([0x52, 0x49, 0x46, 0x46], 0); // RIFF
+  view.setUint32(4, out.length - 8, true);
+  out.set([0x57, 0x45, 0x42, 0x50, 0x56, 0x50, 0x38, 0x4c], 8); // WEBPVP8L
+  view.setUint32(16, bitstream.length, true);
+  out.set(bitstream, 20);
+  return out;
+}
@@ -0,0 +1,185 @@
+/**
+ * zip.js
+ * Minimal ZIP archive writer/reader for bundles produced by the editor (project files,
+ * multi-file exports). Entries are deflated with CompressionStream("deflate-raw") when the
+ * browser has it and stored otherwise. No ZIP64, encryption or multi-disk support.
+ *
+ * API:
+ * - createZip(files) => Promise<Blob>; files: [{ name, data: Blob|Uint8Array|ArrayBuffer|string, compress? }]
+ * - readZip(blob) => Promise<Map<name, Uint8Array>>
+ * - crc32(bytes) => number, the CRC-32 shared with PNG chunk writers
+ */
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const SIG_LOCAL = 0x04034b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_END = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function canStream(kind) {
+  try {
+    if (kind === "compress") new CompressionStream("deflate-raw");
+    else new DecompressionStream("deflate-raw");
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function pipe(bytes, stream) {
+  const out = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+async function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  if (typeof data === "string") return new TextEncoder().encode(data);
+  if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+  throw new Error("Unsupported zip entry data");
+}
+
+// MS-DOS date/time fields used by the zip headers
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a zip Blob. `compress: false` stores an entry as-is (use for already compressed
+ * data such as PNG/JPEG); other entries are deflated when supported.
+ */
+export async function createZip(files) {
+  const deflate = canStream("compress");
+  const { time, day } = dosDateTime(new Date());
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = new TextEncoder().encode(file.name);
+    const raw = await toBytes(file.data);
+    const crc = crc32(raw);
+    let method = METHOD_STORE;
+    let body = raw;
+    if (deflate && file.compress !== false && raw.length > 0) {
+      const packed = await pipe(raw, new CompressionStream("deflate-raw"));
+      if (packed.length < raw.length) {
+        method = METHOD_DEFLATE;
+        body = packed;
+      }
+    }
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, SIG_LOCAL, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, body.length, true);
+    local.setUint32(22, raw.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local.buffer, name, body);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, SIG_CENTRAL, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, UTF8_FLAG, true);
+    entry.setUint16(10, method, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, day, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, body.length, true);
+    entry.setUint32(24, raw.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(entry.buffer, name);
+
+    offset += 30 + name.length + body.length;
+  }
+
+  const centralSize = central.reduce((n, p) => n + p.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, SIG_END, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end.buffer], { type: "application/zip" });
+}
+
+/**
+ * Read every entry of a zip Blob into memory. Throws when the archive is not a zip, uses an
+ * unsupported compression method or fails its checksum.
+ */
+export async function readZip(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end-of-central-directory record sits at the end, before an optional comment
+  let endAt = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === SIG_END) { endAt = i; break; }
+  }
+  if (endAt < 0) throw new Error("Not a zip archive");
+
+  const count = view.getUint16(endAt + 10, true);
+  let at = view.getUint32(endAt + 16, true);
+  const decoder = new TextDecoder();
+  const out = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (at + 46 > bytes.length || view.getUint32(at, true) !== SIG_CENTRAL) throw new Error("Corrupt zip directory");
+    const method = view.getUint16(at + 10, true);
+    const crc = view.getUint32(at + 16, true);
+    const size = view.getUint32(at + 20, true);
+    const nameLen = view.getUint16(at + 28, true);
+    const extraLen = view.getUint16(at + 30, true);
+    const commentLen = view.getUint16(at + 32, true);
+    const localAt = view.getUint32(at + 42, true);
+    const name = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLen));
+    at += 46 + nameLen + extraLen + commentLen;
+
+    if (localAt + 30 > bytes.length || view.getUint32(localAt, true) !== SIG_LOCAL) throw new Error(`Corrupt zip entry: ${name}`);
+    const dataAt = localAt + 30 + view.getUint16(localAt + 26, true) + view.getUint16(localAt + 28, true);
+    const body = bytes.subarray(dataAt, dataAt + size);
+    if (name.endsWith("/")) continue;
+
+    let data;
+    if (method === METHOD_STORE) {
+      data = body.slice();
+    } else if (method === METHOD_DEFLATE) {
+      if (!canStream("decompress")) throw new Error("This browser cannot decompress zip entries");
+      data = await pipe(body, new DecompressionStream("deflate-raw"));
+    } else {
+      throw new Error(`Unsupported zip compression (${method}) in ${name}`);
+    }
+    if (crc32(data) !== crc) throw new Error(`Checksum mismatch in ${name}`);
+    out.set(name, data);
+  }
+  return out;
+}